@@ -0,0 +1,141 @@
+import { polyhedra, faceNormal, computeDual } from './polyhedra.js';
+
+// Canonical form of a polyhedron, following George Hart's canonicalization
+// (see data/COPYRIGHT.txt): vertices are moved until every edge is tangent to
+// the unit sphere, the tangent points average to the origin and every face is
+// planar. The result is unique up to rotation for any convex polyhedron, and
+// its dual by reciprocation in the unit sphere is canonical too.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (v, s) => [v[0] * s, v[1] * s, v[2] * s];
+const centroid = (points) => scale(points.reduce(add, [0, 0, 0]), 1 / points.length);
+
+// Damping of each step; larger values are faster but can oscillate
+const STABILITY = 0.3;
+
+function edgeList(faces) {
+  const seen = new Set();
+  const edges = [];
+  for (const face of faces) {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        edges.push([a, b]);
+      }
+    });
+  }
+  return edges;
+}
+
+// Point on the line through a and b nearest the origin
+function tangentPoint(a, b) {
+  const d = sub(b, a);
+  return sub(a, scale(d, dot(d, a) / dot(d, d)));
+}
+
+// Largest distance of a vertex from its face's plane (through the face centroid,
+// along Newell's normal), relative to the mean edge length
+export function planarityError(vertices, faces) {
+  const edges = edgeList(faces);
+  const meanEdge = edges.reduce((sum, [a, b]) => sum + Math.sqrt(dot(sub(vertices[a], vertices[b]), sub(vertices[a], vertices[b]))), 0) / edges.length;
+  let error = 0;
+  for (const face of faces) {
+    if (face.length < 4) continue;
+    const normal = faceNormal(vertices, face);
+    const center = centroid(face.map(i => vertices[i]));
+    for (const i of face) error = Math.max(error, Math.abs(dot(sub(vertices[i], center), normal)));
+  }
+  return error / meanEdge;
+}
+
+// One iteration: pull each edge's tangent point towards the unit sphere, move
+// the tangent points' centroid to the origin, then flatten each face towards
+// its mean plane
+function step(vertices, faces, edges) {
+  // Tangentify
+  const moved = vertices.map(v => [...v]);
+  for (const [a, b] of edges) {
+    const t = tangentPoint(vertices[a], vertices[b]);
+    const push = scale(t, STABILITY / 2 * (1 - Math.sqrt(dot(t, t))));
+    moved[a] = add(moved[a], push);
+    moved[b] = add(moved[b], push);
+  }
+
+  // Recentre
+  const center = centroid(edges.map(([a, b]) => tangentPoint(moved[a], moved[b])));
+  const centered = moved.map(v => sub(v, center));
+
+  // Planarize
+  const flattened = centered.map(v => [...v]);
+  for (const face of faces) {
+    let normal = faceNormal(centered, face);
+    const faceCenter = centroid(face.map(i => centered[i]));
+    if (dot(normal, faceCenter) < 0) normal = scale(normal, -1);
+    for (const i of face) {
+      flattened[i] = add(flattened[i], scale(normal, STABILITY * dot(normal, sub(faceCenter, centered[i]))));
+    }
+  }
+  return flattened;
+}
+
+// Iterations of the canonicalization, for showing progress: yields
+// { iteration, change, vertices } after each one, where change is the largest
+// distance a vertex moved, and stops once that is below tolerance
+export function* canonicalSteps(vertices, faces, { iterations = 5000, tolerance = 1e-9 } = {}) {
+  const chi = vertices.length - edgeList(faces).length + faces.length;
+  if (chi !== 2) {
+    throw new Error(`Only polyhedra with the topology of a sphere have a canonical form (V − E + F is ${chi}, not 2)`);
+  }
+
+  const edges = edgeList(faces);
+  // Start centred, with the mean tangent point at distance 1
+  const start = centroid(vertices);
+  let current = vertices.map(v => sub(v, start));
+  const meanDistance = edges.reduce((sum, [a, b]) => sum + Math.sqrt(dot(tangentPoint(current[a], current[b]), tangentPoint(current[a], current[b]))), 0) / edges.length;
+  current = current.map(v => scale(v, 1 / meanDistance));
+
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    const next = step(current, faces, edges);
+    let change = 0;
+    next.forEach((v, i) => {
+      change = Math.max(change, Math.sqrt(dot(sub(v, current[i]), sub(v, current[i]))));
+    });
+    current = next;
+    yield { iteration, change, vertices: current };
+    if (change < tolerance) return;
+  }
+}
+
+// The canonical form in one call: { vertices, faces, iterations, converged }
+export function canonicalize(vertices, faces, options = {}) {
+  const { tolerance = 1e-9 } = options;
+  let last = { iteration: 0, change: Infinity, vertices };
+  for (const progress of canonicalSteps(vertices, faces, options)) last = progress;
+  return { vertices: last.vertices, faces, iterations: last.iteration, converged: last.change < tolerance };
+}
+
+// Register the canonical form of a shape, or of its dual, in the polyhedra map
+// as canonical_<key> or canonical_<key>_dual, and return the key. The form is
+// computed unless its vertices are given (from a run of canonicalSteps).
+export function createCanonicalShape(sourceKey, { dual = false, name, vertices = null }) {
+  const key = `canonical_${sourceKey}${dual ? '_dual' : ''}`;
+  if (polyhedra[key]) return key;
+
+  const source = polyhedra[sourceKey];
+  if (!source) throw new Error(`Unknown shape "${sourceKey}"`);
+  const start = dual ? computeDual(source.vertices, source.faces, 'vertex') : source;
+
+  polyhedra[key] = {
+    name: `Canonical ${name}`,
+    category: 'canonical',
+    vertices: vertices || canonicalize(start.vertices, start.faces).vertices,
+    faces: start.faces,
+    sourceKey,
+    dual
+  };
+  return key;
+}
@@ -0,0 +1,301 @@
+import { getPolygonColor, polygonColors, faceNormal, edgeList } from './polyhedra.js';
+import { measureElements } from './measure.js';
+import { findSymmetries } from './symmetry.js';
+
+// Face coloring schemes. Each gives a color per face plus a legend:
+//   sides       the polygon convention, by number of sides
+//   congruence  faces that are congruent (mirror images included) match
+//   orbit       faces that a symmetry of the shape maps onto one another match
+//   area        a color ramp over face area
+//   distance    a color ramp over the distance of the face plane from the centre
+//   graph       as few colors as possible with no two faces sharing an edge alike
+// The palettes supply the colors for the classes and the ramps.
+
+export const colorSchemes = {
+  sides: 'Side count',
+  congruence: 'Congruent faces',
+  orbit: 'Symmetry orbits',
+  area: 'Face area',
+  distance: 'Distance from centre',
+  graph: 'Fewest colors'
+};
+
+// Standard extends the polygon convention with the golden-angle hues of
+// getPolygonColor. Color-blind is Okabe and Ito's palette with cividis, and
+// Print uses greys of distinct lightness that survive a black-and-white copy.
+export const colorPalettes = {
+  standard: {
+    label: 'Standard',
+    classes: Object.values(polygonColors),
+    ramp: [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725]
+  },
+  colorBlind: {
+    label: 'Color-blind safe',
+    classes: [0xe69f00, 0x56b4e9, 0x009e73, 0xf0e442, 0x0072b2, 0xd55e00, 0xcc79a7, 0x999999],
+    ramp: [0x00204d, 0x414d6b, 0x7c7b78, 0xbcaf6f, 0xffea46]
+  },
+  print: {
+    label: 'Print (greys)',
+    classes: [0xffffff, 0xb0b0b0, 0x6e6e6e, 0xdedede, 0x8c8c8c, 0xc8c8c8, 0x505050, 0xf0f0f0],
+    ramp: [0xf7f7f7, 0xcccccc, 0x969696, 0x636363, 0x3a3a3a]
+  }
+};
+
+const CLASS_TOLERANCE = 1e-4; // relative to the shortest edge, and in radians
+const RAMP_GROUPS = 12;       // distinct values listed before the legend shows just the range
+const SEARCH_STEPS = 20000;   // backtracking budget for each number of colors tried
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (v) => Math.sqrt(dot(v, v));
+const centroid = (points) => [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+
+// The i-th class color: the palette's list, then fresh hues for the standard
+// palette or the list again for the others
+function classColor(palette, i) {
+  const { classes } = colorPalettes[palette];
+  if (i < classes.length) return classes[i];
+  return palette === 'standard' ? getPolygonColor(13 + i) : classes[i % classes.length];
+}
+
+// Color at t in 0..1 along the palette's ramp
+function rampColor(palette, t) {
+  const { ramp } = colorPalettes[palette];
+  const x = Math.min(1, Math.max(0, t)) * (ramp.length - 1);
+  const i = Math.min(Math.floor(x), ramp.length - 2);
+  const f = x - i;
+  return [16, 8, 0].reduce((color, shift) => {
+    const a = (ramp[i] >> shift) & 0xff, b = (ramp[i + 1] >> shift) & 0xff;
+    return color | (Math.round(a + (b - a) * f) << shift);
+  }, 0);
+}
+
+// Classes as arrays of face indices, ordered by face type, then largest first
+function sortClasses(classes, labels) {
+  const sides = (f) => parseInt(labels[f], 10);
+  return classes.sort((x, y) => sides(x[0]) - sides(y[0]) || labels[x[0]].localeCompare(labels[y[0]]) ||
+    y.length - x.length || x[0] - y[0]);
+}
+
+// Color each class, lettering the classes of one face type when there are several
+function classColoring(faceCount, classes, labels, palette) {
+  const colors = new Array(faceCount);
+  const perLabel = new Map();
+  for (const members of classes) perLabel.set(labels[members[0]], (perLabel.get(labels[members[0]]) || 0) + 1);
+  const letters = new Map();
+  const legend = classes.map((members, i) => {
+    const label = labels[members[0]];
+    const color = classColor(palette, i);
+    for (const f of members) colors[f] = color;
+    const letter = letters.get(label) || 0;
+    letters.set(label, letter + 1);
+    return { color, label, variant: perLabel.get(label) > 1 ? String.fromCharCode(65 + letter) : undefined, count: members.length };
+  });
+  return { colors, legend };
+}
+
+// Side lengths and corner angles round a face, as [angle, length of the next side]
+function corners(vertices, face, scale) {
+  const n = face.length;
+  return face.map((v, i) => {
+    const p = vertices[v];
+    const prev = sub(vertices[face[(i + n - 1) % n]], p);
+    const next = sub(vertices[face[(i + 1) % n]], p);
+    const angle = Math.acos(Math.max(-1, Math.min(1, dot(prev, next) / (length(prev) * length(next)))));
+    return [angle, length(next) * scale];
+  });
+}
+
+// Whether two corner sequences match, starting anywhere and running either way
+function congruent(s, t) {
+  const n = s.length;
+  if (t.length !== n) return false;
+  // t backwards: corner i is followed by the side from i to i - 1
+  const reversed = t.map((_, j) => {
+    const i = (n - j) % n;
+    return [t[i][0], t[(i + n - 1) % n][1]];
+  });
+  const close = (a, b) => Math.abs(a[0] - b[0]) < CLASS_TOLERANCE && Math.abs(a[1] - b[1]) < CLASS_TOLERANCE;
+  return [t, reversed].some(u => {
+    for (let start = 0; start < n; start++) {
+      if (s.every((c, i) => close(c, u[(start + i) % n]))) return true;
+    }
+    return false;
+  });
+}
+
+function congruenceClasses(vertices, faces, scale) {
+  const shapes = faces.map(face => corners(vertices, face, scale));
+  const classes = [];
+  shapes.forEach((shape, f) => {
+    const match = classes.find(members => congruent(shapes[members[0]], shape));
+    if (match) match.push(f);
+    else classes.push([f]);
+  });
+  return classes;
+}
+
+function orbitClasses(vertices, faces) {
+  const keyOf = (face) => [...face].sort((a, b) => a - b).join(',');
+  const index = new Map(faces.map((face, f) => [keyOf(face), f]));
+  const symmetries = findSymmetries(vertices, faces);
+  const orbitOf = new Array(faces.length).fill(-1);
+  const classes = [];
+  faces.forEach((face, f) => {
+    if (orbitOf[f] >= 0) return;
+    const members = new Set([f]);
+    for (const { permutation } of symmetries) {
+      const image = index.get(keyOf(face.map(v => permutation[v])));
+      if (image !== undefined) members.add(image);
+    }
+    for (const g of members) orbitOf[g] = classes.length;
+    classes.push([...members].sort((a, b) => a - b));
+  });
+  return classes;
+}
+
+// Ramp coloring of one value per face. The legend lists the distinct values
+// when there are few, else just the two ends of the range.
+function rampColoring(values, palette) {
+  const min = Math.min(...values), max = Math.max(...values);
+  const spread = max - min;
+  const tolerance = 1e-5 * Math.max(Math.abs(max), Math.abs(min), 1e-12);
+  const at = (value) => spread > tolerance ? (value - min) / spread : 0.5;
+  const colors = values.map(value => rampColor(palette, at(value)));
+
+  const groups = [];
+  for (const value of [...values].sort((a, b) => a - b)) {
+    const last = groups[groups.length - 1];
+    if (last && value - last.value < tolerance) last.count++;
+    else groups.push({ value, count: 1 });
+  }
+  const legend = groups.length <= RAMP_GROUPS
+    ? groups.map(({ value, count }) => ({ color: rampColor(palette, at(value)), value, count }))
+    : [{ color: rampColor(palette, 0), value: min, bound: 'min' }, { color: rampColor(palette, 1), value: max, bound: 'max' }];
+  return { colors, legend };
+}
+
+// Faces sharing an edge with each face
+function faceNeighbours(faces) {
+  const byEdge = new Map();
+  faces.forEach((face, f) => face.forEach((a, i) => {
+    const b = face[(i + 1) % face.length];
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    byEdge.set(key, [...(byEdge.get(key) || []), f]);
+  }));
+  const neighbours = faces.map(() => new Set());
+  for (const members of byEdge.values()) {
+    for (const f of members) for (const g of members) if (f !== g) neighbours[f].add(g);
+  }
+  return neighbours.map(set => [...set]);
+}
+
+// A coloring with k colors by backtracking, always coloring next the face with
+// the most differently colored neighbours (DSatur), and opening a new color
+// only as the lowest unused one. Returns the colors, null if there is no such
+// coloring, or undefined if the search ran out of steps.
+function colorWith(neighbours, k) {
+  const n = neighbours.length;
+  const colors = new Array(n).fill(-1);
+  const around = neighbours.map(() => new Array(k).fill(0)); // neighbours of each color
+  let steps = 0;
+
+  const next = () => {
+    let best = -1, bestSaturation = -1, bestDegree = -1;
+    for (let f = 0; f < n; f++) {
+      if (colors[f] >= 0) continue;
+      const saturation = around[f].filter(c => c > 0).length;
+      if (saturation > bestSaturation || (saturation === bestSaturation && neighbours[f].length > bestDegree)) {
+        best = f;
+        bestSaturation = saturation;
+        bestDegree = neighbours[f].length;
+      }
+    }
+    return best;
+  };
+
+  const search = (used) => {
+    const f = next();
+    if (f < 0) return true;
+    if (++steps > SEARCH_STEPS) return undefined;
+    for (let c = 0; c < Math.min(k, used + 1); c++) {
+      if (around[f][c] > 0) continue;
+      colors[f] = c;
+      for (const g of neighbours[f]) around[g][c]++;
+      const found = search(Math.max(used, c + 1));
+      if (found !== false) return found;
+      for (const g of neighbours[f]) around[g][c]--;
+      colors[f] = -1;
+    }
+    return false;
+  };
+
+  const found = search(0);
+  return found === true ? colors : found === false ? null : undefined;
+}
+
+// Fewest colors found, trying 1, 2, ... colors; proven is false when a search
+// with fewer gave up rather than ruling them out
+function fewestColors(faces) {
+  const neighbours = faceNeighbours(faces);
+  let proven = true;
+  for (let k = 1; ; k++) {
+    const colors = colorWith(neighbours, k);
+    if (colors === undefined) proven = false;
+    else if (colors) return { colors, count: k, proven };
+  }
+}
+
+// { colors, legend, note } for a shape: a color (0xRRGGBB) per face, and
+// legend entries of { color } with one of
+//   sides                            side count
+//   label, variant, count            face type (n or n/d), its letter if several classes share it
+//   value, count or value, bound     a value on the ramp, or the min/max end of the range
+//   index, count                     a graph color
+export function faceColoring(vertices, faces, scheme = 'sides', palette = 'standard') {
+  if (scheme === 'sides') {
+    const allSides = palette === 'standard' ? Object.keys(polygonColors).map(Number) : [];
+    const sides = [...new Set([...allSides, ...faces.map(face => face.length)])].sort((a, b) => a - b);
+    const color = (n) => palette === 'standard' ? getPolygonColor(n) : classColor(palette, n - 3);
+    return {
+      colors: faces.map(face => color(face.length)),
+      legend: sides.map(n => ({ color: color(n), sides: n }))
+    };
+  }
+
+  if (scheme === 'graph') {
+    const { colors, count, proven } = fewestColors(faces);
+    const legend = Array.from({ length: count }, (_, index) => ({
+      color: classColor(palette, index),
+      index,
+      count: colors.filter(c => c === index).length
+    }));
+    return {
+      colors: colors.map(c => classColor(palette, c)),
+      legend,
+      note: proven ? `${count} colors, the fewest possible` : `${count} colors; the search for fewer gave up`
+    };
+  }
+
+  // Lengths in units of the shortest edge, as the inspector gives them
+  const edges = edgeList(faces).map(([a, b]) => length(sub(vertices[a], vertices[b])));
+  const scale = 1 / Math.min(...edges);
+
+  if (scheme === 'area' || scheme === 'distance') {
+    const center = centroid(vertices);
+    const values = scheme === 'area'
+      ? measureElements(vertices, faces).faces.map(face => face.area)
+      : faces.map(face => Math.abs(dot(sub(vertices[face[0]], center), faceNormal(vertices, face))) * scale);
+    return {
+      ...rampColoring(values, palette),
+      note: scheme === 'area' ? 'Face area, shortest edge 1' : 'Distance of the face plane from the centre, shortest edge 1'
+    };
+  }
+
+  const labels = measureElements(vertices, faces).faces.map(face => face.label);
+  const classes = scheme === 'orbit' ? orbitClasses(vertices, faces) : congruenceClasses(vertices, faces, scale);
+  return {
+    ...classColoring(faces.length, sortClasses(classes, labels), labels, palette),
+    note: `${classes.length} ${scheme === 'orbit' ? 'orbit' : 'class'}${classes.length === 1 ? '' : scheme === 'orbit' ? 's' : 'es'}`
+  };
+}
@@ -0,0 +1,20 @@
+import { edgeList } from './polyhedra.js';
+import { measureElements, compareLabels } from './measure.js';
+
+// Counts of two shapes side by side for the comparison view. Rows are
+// { type, a, b, difference } with type 'vertices', 'edges' or 'faces', then
+// one row of type 'face' per face type (with its label, n or n/d for a star
+// polygon) found in either shape. difference is b - a.
+export function compareCounts(a, b) {
+  const [labelsA, labelsB] = [a, b].map(({ vertices, faces }) => measureElements(vertices, faces).faces.map(f => f.label));
+  const row = (type, countA, countB, extra) => ({ type, ...extra, a: countA, b: countB, difference: countB - countA });
+  const count = (labels, label) => labels.filter(l => l === label).length;
+
+  return [
+    row('vertices', a.vertices.length, b.vertices.length),
+    row('edges', edgeList(a.faces).length, edgeList(b.faces).length),
+    row('faces', a.faces.length, b.faces.length),
+    ...[...new Set([...labelsA, ...labelsB])].sort(compareLabels)
+      .map(label => row('face', count(labelsA, label), count(labelsB, label), { label }))
+  ];
+}
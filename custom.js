@@ -0,0 +1,320 @@
+import { polyhedra, convertPolyhedron } from './polyhedra.js';
+
+// User polyhedra imported from OFF, OBJ or JSON files. Imported shapes are
+// validated, recentred and scaled like the vendored data, registered in the
+// polyhedra map under the 'custom' category and kept in localStorage.
+
+const STORAGE_KEY = 'polyhedra-viewer.custom';
+
+export const importExtensions = ['.off', '.obj', '.json'];
+
+const MAX_NAME_LENGTH = 80;
+
+// Names come from the files, and are shown in the page and kept across
+// sessions, so are cut down to a line of plain text without markup characters
+function cleanName(name, fallback = 'Imported shape') {
+  const text = typeof name === 'string'
+    ? name.replace(/[\u0000-\u001f\u007f<>&"'`]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH).trim()
+    : '';
+  return text || fallback;
+}
+
+// Non-empty lines with # comments removed, split into tokens
+function tokenLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(line => line.length > 0)
+    .map(line => line.split(/\s+/));
+}
+
+function parseNumber(token, what) {
+  const value = Number(token);
+  if (token === undefined || !Number.isFinite(value)) {
+    throw new Error(`Invalid number "${token ?? ''}" in ${what}`);
+  }
+  return value;
+}
+
+// Object File Format: header, "V F E" counts, vertex lines, then "n i j k ..." faces
+// (anything after a face's indices, such as a color, is ignored)
+function parseOFF(text, name) {
+  const lines = tokenLines(text);
+  let line = 0;
+  if (!/^[A-Z]*OFF$/i.test(lines[0]?.[0] ?? '')) throw new Error('Missing OFF header');
+  const header = lines[line++];
+  const counts = header.length > 1 ? header.slice(1) : lines[line++];
+  if (!counts) throw new Error('Missing vertex and face counts');
+  const vertexCount = parseNumber(counts[0], 'the vertex count');
+  const faceCount = parseNumber(counts[1], 'the face count');
+  if (lines.length < line + vertexCount + faceCount) {
+    throw new Error(`Expected ${vertexCount} vertices and ${faceCount} faces, file is too short`);
+  }
+
+  const vertex = [];
+  for (let i = 0; i < vertexCount; i++, line++) {
+    vertex.push(lines[line].slice(0, 3).map(t => parseNumber(t, `vertex ${i}`)));
+  }
+  const face = [];
+  for (let i = 0; i < faceCount; i++, line++) {
+    const n = parseNumber(lines[line][0], `face ${i}`);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid vertex count "${lines[line][0]}" in face ${i}`);
+    if (lines[line].length < n + 1) throw new Error(`Face ${i} declares ${n} vertices but lists ${lines[line].length - 1}`);
+    face.push(lines[line].slice(1, n + 1).map(t => parseNumber(t, `face ${i}`)));
+  }
+  return { name, vertex, face };
+}
+
+// Wavefront OBJ: "v x y z" and "f a b c ..." (1-based, negative = relative,
+// "a/t/n" forms allowed); an "o" line names the shape
+function parseOBJ(text, name) {
+  const vertex = [];
+  const face = [];
+  for (const [type, ...args] of tokenLines(text)) {
+    if (type === 'v') {
+      vertex.push(args.slice(0, 3).map(t => parseNumber(t, `vertex ${vertex.length + 1}`)));
+    } else if (type === 'f') {
+      face.push(args.map(arg => {
+        const index = parseNumber(arg.split('/')[0], `face ${face.length + 1}`);
+        return index < 0 ? vertex.length + index : index - 1;
+      }));
+    } else if (type === 'o' && args.length) {
+      name = args.join(' ');
+    }
+  }
+  return { name, vertex, face };
+}
+
+// JSON in either the vendored format ({name, vertex, face}) or the viewer's
+// own ({name, vertices, faces})
+function parseJSON(text, name) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  const vertex = data.vertex || data.vertices;
+  const face = data.face || data.faces;
+  if (!Array.isArray(vertex) || !Array.isArray(face)) {
+    throw new Error('JSON needs "vertices" and "faces" arrays');
+  }
+  return { name: data.name || name, vertex, face };
+}
+
+const parsers = { '.off': parseOFF, '.obj': parseOBJ, '.json': parseJSON };
+
+// Parse file contents into the vendored {name, vertex, face} format
+export function parsePolyhedronFile(fileName, text) {
+  const extension = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+  const parser = parsers[extension];
+  if (!parser) {
+    throw new Error(`Unsupported file type "${extension}" (use ${importExtensions.join(', ')})`);
+  }
+  const baseName = fileName.replace(/\.[^.]*$/, '').replace(/[_-]+/g, ' ');
+  return parser(text, baseName);
+}
+
+// Union-find over indices 0..n-1, returning the number of sets after joining
+function countComponents(n, pairs) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (const [a, b] of pairs) parent[find(a)] = find(b);
+  return parent.filter((p, i) => find(i) === i).length;
+}
+
+// Check that vertices and faces form a single closed, consistently oriented
+// surface without degenerate faces. Unused vertices are dropped and inward
+// winding is flipped; anything else throws an Error describing the problem.
+// Returns { vertices, faces, genus }.
+export function validatePolyhedron(vertices, faces) {
+  if (!Array.isArray(vertices) || vertices.length < 4) throw new Error('A polyhedron needs at least 4 vertices');
+  if (!Array.isArray(faces) || faces.length < 4) throw new Error('A polyhedron needs at least 4 faces');
+  vertices.forEach((v, i) => {
+    if (!Array.isArray(v) || v.length < 3 || !v.slice(0, 3).every(Number.isFinite)) {
+      throw new Error(`Vertex ${i} is not a 3D point`);
+    }
+  });
+
+  faces.forEach((face, fi) => {
+    if (!Array.isArray(face) || face.length < 3) throw new Error(`Face ${fi} has fewer than 3 vertices`);
+    for (const i of face) {
+      if (!Number.isInteger(i) || i < 0 || i >= vertices.length) {
+        throw new Error(`Face ${fi} refers to missing vertex ${i}`);
+      }
+    }
+    if (new Set(face).size !== face.length) throw new Error(`Face ${fi} repeats a vertex`);
+  });
+
+  // Degenerate faces: coincident vertices or zero area, relative to the shape's size
+  const size = vertices.reduce((max, v) => Math.max(max, Math.abs(v[0]), Math.abs(v[1]), Math.abs(v[2])), 0);
+  const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+  faces.forEach((face, fi) => {
+    let nx = 0, ny = 0, nz = 0;
+    face.forEach((a, i) => {
+      const p = vertices[a], q = vertices[face[(i + 1) % face.length]];
+      if (distance(p, q) < 1e-9 * size) throw new Error(`Face ${fi} has a zero-length edge`);
+      nx += (p[1] - q[1]) * (p[2] + q[2]);
+      ny += (p[2] - q[2]) * (p[0] + q[0]);
+      nz += (p[0] - q[0]) * (p[1] + q[1]);
+    });
+    if (Math.hypot(nx, ny, nz) / 2 < 1e-9 * size * size) throw new Error(`Face ${fi} has zero area`);
+  });
+
+  // Every edge in exactly two faces, traversed once in each direction
+  const directed = new Map();
+  const undirected = new Map();
+  faces.forEach((face, fi) => {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const key = `${a}>${b}`;
+      if (directed.has(key)) {
+        throw new Error(`Inconsistent orientation: faces ${directed.get(key)} and ${fi} both run ${a}→${b}`);
+      }
+      directed.set(key, fi);
+      const edge = a < b ? `${a}-${b}` : `${b}-${a}`;
+      undirected.set(edge, [...(undirected.get(edge) || []), fi]);
+    });
+  });
+  for (const [edge, edgeFaces] of undirected) {
+    if (edgeFaces.length === 1) throw new Error(`Not closed: edge ${edge} belongs to only face ${edgeFaces[0]}`);
+    if (edgeFaces.length > 2) throw new Error(`Not a manifold: edge ${edge} is shared by ${edgeFaces.length} faces`);
+  }
+
+  if (countComponents(faces.length, [...undirected.values()]) > 1) {
+    throw new Error('The file contains more than one separate piece');
+  }
+
+  // The faces around each vertex must form a single fan
+  const vertexFaces = vertices.map(() => []);
+  const vertexPairs = vertices.map(() => []);
+  faces.forEach((face, fi) => face.forEach(v => vertexFaces[v].push(fi)));
+  for (const [edge, pair] of undirected) {
+    for (const v of edge.split('-').map(Number)) vertexPairs[v].push(pair);
+  }
+  vertexFaces.forEach((incident, v) => {
+    const local = new Map(incident.map((fi, i) => [fi, i]));
+    const pairs = vertexPairs[v].map(([f, g]) => [local.get(f), local.get(g)]);
+    if (countComponents(incident.length, pairs) > 1) {
+      throw new Error(`Not a manifold: vertex ${v} joins separate sheets of faces`);
+    }
+  });
+
+  // Euler characteristic of a closed orientable surface is 2 - 2 * genus
+  const used = [...new Set(faces.flat())].sort((a, b) => a - b);
+  const euler = used.length - undirected.size + faces.length;
+  if (euler > 2 || euler % 2 !== 0) {
+    throw new Error(`Euler characteristic V - E + F = ${euler} is not that of a closed surface`);
+  }
+
+  // Wind faces outward (positive signed volume)
+  let volume = 0;
+  for (const face of faces) {
+    const a = vertices[face[0]];
+    for (let i = 1; i < face.length - 1; i++) {
+      const b = vertices[face[i]], c = vertices[face[i + 1]];
+      volume += a[0] * (b[1] * c[2] - b[2] * c[1])
+        - a[1] * (b[0] * c[2] - b[2] * c[0])
+        + a[2] * (b[0] * c[1] - b[1] * c[0]);
+    }
+  }
+  if (volume < 0) faces = faces.map(face => [...face].reverse());
+
+  // Drop vertices no face uses
+  const remap = new Map(used.map((old, i) => [old, i]));
+  return {
+    vertices: used.map(i => vertices[i].slice(0, 3)),
+    faces: faces.map(face => face.map(i => remap.get(i))),
+    genus: (2 - euler) / 2
+  };
+}
+
+// Recentre on the vertex centroid and scale to unit mean midradius,
+// so imported shapes sit in the viewer like the vendored data
+function normalizeScale(vertices, faces) {
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+  const centered = vertices.map(v => v.map((x, k) => x - center[k]));
+
+  const seen = new Set();
+  let midpointDistSum = 0;
+  for (const face of faces) {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      midpointDistSum += Math.hypot(...[0, 1, 2].map(k => (centered[a][k] + centered[b][k]) / 2));
+    });
+  }
+  const scale = midpointDistSum > 0 ? seen.size / midpointDistSum : 1;
+  return centered.map(v => v.map(x => x * scale));
+}
+
+// Stored shapes: [{ key, name, vertices, faces }], or none if the stored value
+// is not a list
+function readStorage() {
+  try {
+    const shapes = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(shapes) ? shapes : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Save all custom shapes; returns false if the browser refused (e.g. quota)
+function writeStorage() {
+  const shapes = Object.entries(polyhedra)
+    .filter(([, data]) => data.category === 'custom')
+    .map(([key, { name, vertices, faces }]) => ({ key, name, vertices, faces }));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(shapes));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Names are cleaned here too, as shapes saved by older versions were not
+function registerCustomShape(key, { name, vertices, faces }) {
+  polyhedra[key] = convertPolyhedron({ name: cleanName(name), vertex: vertices, face: faces }, 'custom');
+}
+
+// Register the shapes saved by earlier sessions; returns how many were loaded.
+// Storage can be edited outside the viewer, so only custom_ keys not already
+// taken are used, and shapes that no longer validate are skipped.
+export function loadCustomPolyhedra() {
+  let loaded = 0;
+  for (const shape of readStorage()) {
+    const key = shape?.key;
+    if (typeof key !== 'string' || !key.startsWith('custom_') || polyhedra[key]) continue;
+    try {
+      const { vertices, faces } = validatePolyhedron(shape.vertices, shape.faces);
+      registerCustomShape(key, { name: shape.name, vertices, faces });
+      loaded++;
+    } catch (e) {
+      // Dropped from storage at the next save
+    }
+  }
+  return loaded;
+}
+
+// Parse and validate a file's contents, register the shape and save it.
+// Returns { key, genus, saved }.
+export function importPolyhedron(fileName, text) {
+  const data = parsePolyhedronFile(fileName, text);
+  const { vertices, faces, genus } = validatePolyhedron(data.vertex, data.face);
+  const name = cleanName(data.name);
+
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'shape';
+  let key = `custom_${slug}`;
+  for (let i = 2; polyhedra[key]; i++) key = `custom_${slug}_${i}`;
+
+  registerCustomShape(key, { name, vertices: normalizeScale(vertices, faces), faces });
+  return { key, genus, saved: writeStorage() };
+}
+
+export function removeCustomShape(key) {
+  if (polyhedra[key]?.category !== 'custom') return;
+  delete polyhedra[key];
+  writeStorage();
+}
@@ -0,0 +1,113 @@
+// Vector drawings written as SVG or PDF.
+// A drawing is { width, height, items } in millimetres with y pointing down.
+// Items:
+//   { type: 'polygon', points, fill?, stroke? }  colors as 0xRRGGBB
+//   { type: 'line', points, dash?, stroke? }     polyline, dash lengths in mm, black by default
+//   { type: 'text', at, text, size }             centred label, size in mm
+
+const LINE_WIDTH = 0.25; // mm
+
+export const pageSizes = {
+  A4: [210, 297],
+  Letter: [215.9, 279.4]
+};
+
+// Scale and centre a drawing on a page, turned to landscape if that fits it
+// better. Dash lengths stay in mm; everything else is scaled.
+export function fitToPage(drawing, { page = 'A4', margin = 10 } = {}) {
+  const [short, long] = pageSizes[page];
+  const fit = (w, h) => Math.min((w - 2 * margin) / drawing.width, (h - 2 * margin) / drawing.height);
+  const landscape = fit(long, short) > fit(short, long);
+  const [width, height] = landscape ? [long, short] : [short, long];
+  const scale = fit(width, height);
+  const offset = [(width - drawing.width * scale) / 2, (height - drawing.height * scale) / 2];
+  const place = ([x, y]) => [offset[0] + x * scale, offset[1] + y * scale];
+
+  const items = drawing.items.map(item => ({
+    ...item,
+    ...(item.points && { points: item.points.map(place) }),
+    ...(item.at && { at: place(item.at), size: item.size * scale })
+  }));
+  return { width, height, items };
+}
+
+const hex = (color) => `#${color.toString(16).padStart(6, '0')}`;
+const num = (x) => Number(x.toFixed(3)).toString();
+
+const escapeXML = (text) => text.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+
+export function drawingToSVG({ width, height, items }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}mm" height="${num(height)}mm" viewBox="0 0 ${num(width)} ${num(height)}">`,
+    `<g stroke-width="${LINE_WIDTH}" stroke-linejoin="round" stroke-linecap="round">`
+  ];
+  for (const item of items) {
+    const points = item.points && item.points.map(p => p.map(num).join(',')).join(' ');
+    if (item.type === 'polygon') {
+      lines.push(`<polygon points="${points}" fill="${item.fill === undefined ? 'none' : hex(item.fill)}" stroke="${item.stroke === undefined ? 'none' : hex(item.stroke)}"/>`);
+    } else if (item.type === 'line') {
+      const dash = item.dash ? ` stroke-dasharray="${item.dash.map(num).join(' ')}"` : '';
+      lines.push(`<polyline points="${points}" fill="none" stroke="${hex(item.stroke ?? 0)}"${dash}/>`);
+    } else if (item.type === 'text') {
+      lines.push(`<text x="${num(item.at[0])}" y="${num(item.at[1])}" font-family="Helvetica, Arial, sans-serif" font-size="${num(item.size)}" text-anchor="middle" dominant-baseline="central" stroke="none">${escapeXML(item.text)}</text>`);
+    }
+  }
+  lines.push('</g>', '</svg>');
+  return lines.join('\n') + '\n';
+}
+
+// Single-page PDF using only the built-in Helvetica font, so no embedding is needed
+export function drawingToPDF({ width, height, items }) {
+  const pt = 72 / 25.4;
+  // PDF space: points, y up
+  const xy = ([x, y]) => `${num(x * pt)} ${num((height - y) * pt)}`;
+  const rgb = (color) => [16, 8, 0].map(shift => num(((color >> shift) & 0xff) / 255)).join(' ');
+  const escapeText = (text) => text.replace(/[\\()]/g, c => `\\${c}`);
+
+  const ops = [`${num(LINE_WIDTH * pt)} w`, '1 j 1 J'];
+  for (const item of items) {
+    if (item.type === 'polygon' || item.type === 'line') {
+      const path = item.points.map((p, i) => `${xy(p)} ${i ? 'l' : 'm'}`).join(' ');
+      if (item.type === 'polygon') {
+        const fill = item.fill !== undefined, stroke = item.stroke !== undefined;
+        if (!fill && !stroke) continue;
+        if (fill) ops.push(`${rgb(item.fill)} rg`);
+        if (stroke) ops.push(`${rgb(item.stroke)} RG`);
+        ops.push(`[] 0 d ${path} h ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+      } else {
+        const dash = item.dash ? item.dash.map(d => num(d * pt)).join(' ') : '';
+        ops.push(`${rgb(item.stroke ?? 0)} RG [${dash}] 0 d ${path} S`);
+      }
+    } else if (item.type === 'text') {
+      // Approximate centring: Helvetica digits are about 0.55 em wide
+      const size = item.size * pt;
+      const [x, y] = xy(item.at).split(' ').map(Number);
+      const left = x - item.text.length * 0.55 * size / 2;
+      ops.push(`0 0 0 rg BT /F1 ${num(size)} Tf ${num(left)} ${num(y - size * 0.35)} Td (${escapeText(item.text)}) Tj ET`);
+    }
+  }
+  const content = ops.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width * pt)} ${num(height * pt)}] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  // Everything is ASCII, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return new TextEncoder().encode(pdf);
+}
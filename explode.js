@@ -0,0 +1,82 @@
+import { faceNormal } from './polyhedra.js';
+
+// Exploded views: every face (or every face of one polygon type) pushed out
+// along its normal, and assembly, which adds the faces one at a time, each
+// flying in from outside, in breadth-first order across the edges from a
+// starting face. Both work by a distance per face, which the mesh builders
+// turn into a shift along the face normal.
+
+const circumradius = (vertices) => {
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+  return Math.max(...vertices.map(v => Math.hypot(v[0] - center[0], v[1] - center[1], v[2] - center[2])));
+};
+
+// Distance each face moves out at amount (0..1, in circumradii). Only faces
+// with the given number of sides move, if sides is set.
+export function explodeOffsets(vertices, faces, amount, sides = null) {
+  const distance = amount * circumradius(vertices);
+  return faces.map(face => (sides === null || face.length === sides ? distance : 0));
+}
+
+// Faces in the order assembly adds them: breadth first from start across
+// shared edges, then on from the lowest face not reached, if the faces fall
+// into separate pieces
+export function assemblyOrder(faces, start = 0) {
+  const edgeFaces = new Map();
+  faces.forEach((face, f) => face.forEach((a, i) => {
+    const b = face[(i + 1) % face.length];
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (!edgeFaces.has(key)) edgeFaces.set(key, []);
+    edgeFaces.get(key).push(f);
+  }));
+
+  const order = [];
+  const reached = new Set();
+  for (const seed of [start, ...faces.keys()]) {
+    if (reached.has(seed)) continue;
+    reached.add(seed);
+    order.push(seed);
+    for (let k = order.length - 1; k < order.length; k++) {
+      const face = faces[order[k]];
+      face.forEach((a, i) => {
+        const b = face[(i + 1) % face.length];
+        for (const g of edgeFaces.get(a < b ? `${a}-${b}` : `${b}-${a}`)) {
+          if (!reached.has(g)) {
+            reached.add(g);
+            order.push(g);
+          }
+        }
+      });
+    }
+  }
+  return order;
+}
+
+// Extra distance of each face at frame time of an assembly: null until the
+// face is added, every interval frames in order, then falling from distance
+// to 0 over fly frames
+export function assemblyOffsets(order, time, { interval, fly, distance }) {
+  const offsets = new Array(order.length).fill(null);
+  order.forEach((f, i) => {
+    const age = time - i * interval;
+    if (age >= 0) offsets[f] = distance * (1 - Math.min(1, age / fly)) ** 2;
+  });
+  return offsets;
+}
+
+// Frames an assembly of the faces takes to finish
+export const assemblyLength = (count, { interval, fly }) => (count - 1) * interval + fly;
+
+// The faces apart, each with its own copies of its vertices moved out by its
+// offset, as a shape for the vector snapshots
+export function explodedSolid(vertices, faces, offsets) {
+  const moved = [];
+  const movedFaces = faces.map((face, f) => {
+    const normal = faceNormal(vertices, face);
+    return face.map(i => {
+      moved.push(vertices[i].map((x, k) => x + normal[k] * offsets[f]));
+      return moved.length - 1;
+    });
+  });
+  return { vertices: moved, faces: movedFaces };
+}
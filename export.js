@@ -0,0 +1,272 @@
+import { getPolygonColor, faceNormal, triangulateFace } from './polyhedra.js';
+
+// File export for { vertices, faces } polyhedra.
+// Formats that allow it (OBJ, OFF, PLY) keep real polygon faces; STL and glTF
+// store triangles, produced with the same triangulation as the viewer.
+// Every writer takes the same options:
+//   name       - shape name written into the file
+//   scale      - factor applied to all coordinates (1 = data units)
+//   faceColors - optional color (0xRRGGBB) per face; defaults to polygonColors
+
+// Color of each face as [r, g, b] in 0..255 (sRGB)
+function faceColorBytes(faces, faceColors) {
+  return faces.map((face, fi) => {
+    const hex = faceColors ? faceColors[fi] : getPolygonColor(face.length);
+    return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+  });
+}
+
+const scaled = (v, scale) => [v[0] * scale, v[1] * scale, v[2] * scale];
+
+// Compact decimal formatting for text formats
+const num = (x) => Number(x.toFixed(6)).toString();
+
+// Triangles of every face with the face's normal and index
+function triangles(vertices, faces) {
+  const result = [];
+  faces.forEach((face, fi) => {
+    const normal = faceNormal(vertices, face);
+    for (const triangle of triangulateFace(face.map(i => vertices[i]), normal)) {
+      result.push({ points: triangle, normal, face: fi });
+    }
+  });
+  return result;
+}
+
+// Wavefront OBJ, one polygon per face (indices are 1-based)
+export function toOBJ({ vertices, faces }, { name = 'polyhedron', scale = 1 } = {}) {
+  const lines = [
+    `# ${name}`,
+    `# ${vertices.length} vertices, ${faces.length} faces`,
+    `o ${name.replace(/\s+/g, '_')}`
+  ];
+  for (const v of vertices) lines.push(`v ${scaled(v, scale).map(num).join(' ')}`);
+  for (const face of faces) lines.push(`f ${face.map(i => i + 1).join(' ')}`);
+  return lines.join('\n') + '\n';
+}
+
+// Object File Format with a per-face RGB color after each face
+export function toOFF({ vertices, faces }, { name = 'polyhedron', scale = 1, faceColors } = {}) {
+  const edges = new Set();
+  for (const face of faces) {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      edges.add(a < b ? `${a}-${b}` : `${b}-${a}`);
+    });
+  }
+  const colors = faceColorBytes(faces, faceColors);
+  const lines = ['OFF', `# ${name}`, `${vertices.length} ${faces.length} ${edges.size}`];
+  for (const v of vertices) lines.push(scaled(v, scale).map(num).join(' '));
+  faces.forEach((face, fi) => lines.push(`${face.length} ${face.join(' ')} ${colors[fi].join(' ')}`));
+  return lines.join('\n') + '\n';
+}
+
+// ASCII PLY with polygon faces carrying red/green/blue properties
+export function toPLY({ vertices, faces }, { name = 'polyhedron', scale = 1, faceColors } = {}) {
+  const colors = faceColorBytes(faces, faceColors);
+  const lines = [
+    'ply',
+    'format ascii 1.0',
+    `comment ${name}`,
+    `element vertex ${vertices.length}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    `element face ${faces.length}`,
+    'property list uchar int vertex_indices',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'end_header'
+  ];
+  for (const v of vertices) lines.push(scaled(v, scale).map(num).join(' '));
+  faces.forEach((face, fi) => lines.push(`${face.length} ${face.join(' ')} ${colors[fi].join(' ')}`));
+  return lines.join('\n') + '\n';
+}
+
+// ASCII STL (triangles only)
+export function toSTLText({ vertices, faces }, { name = 'polyhedron', scale = 1 } = {}) {
+  const solidName = name.replace(/\s+/g, '_');
+  const lines = [`solid ${solidName}`];
+  for (const { points, normal } of triangles(vertices, faces)) {
+    lines.push(`  facet normal ${normal.map(num).join(' ')}`);
+    lines.push('    outer loop');
+    for (const p of points) lines.push(`      vertex ${scaled(p, scale).map(num).join(' ')}`);
+    lines.push('    endloop');
+    lines.push('  endfacet');
+  }
+  lines.push(`endsolid ${solidName}`);
+  return lines.join('\n') + '\n';
+}
+
+// Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+export function toSTLBinary({ vertices, faces }, { name = 'polyhedron', scale = 1 } = {}) {
+  const tris = triangles(vertices, faces);
+  const buffer = new ArrayBuffer(84 + tris.length * 50);
+  const view = new DataView(buffer);
+
+  const header = `Polyhedra Viewer: ${name}`.slice(0, 80);
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  view.setUint32(80, tris.length, true);
+
+  let offset = 84;
+  for (const { points, normal } of tris) {
+    for (const value of [...normal, ...points.flatMap(p => scaled(p, scale))]) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+  return buffer;
+}
+
+// sRGB byte to linear float, as glTF vertex colors are linear
+const srgbToLinear = (byte) => {
+  const c = byte / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+// Flat-shaded triangle mesh as a glTF document plus its binary buffer.
+// Vertices are repeated per face so each face keeps its own normal and color.
+function buildGLTF({ vertices, faces }, { name = 'polyhedron', scale = 1, faceColors } = {}) {
+  const colors = faceColorBytes(faces, faceColors).map(rgb => rgb.map(srgbToLinear));
+  const positions = [], normals = [], vertexColors = [];
+  for (const { points, normal, face } of triangles(vertices, faces)) {
+    for (const p of points) {
+      positions.push(...scaled(p, scale));
+      normals.push(...normal);
+      vertexColors.push(...colors[face]);
+    }
+  }
+
+  const count = positions.length / 3;
+  const byteLength = positions.length * 4;
+  const bin = new Float32Array(positions.length * 3);
+  bin.set(positions, 0);
+  bin.set(normals, positions.length);
+  bin.set(vertexColors, positions.length * 2);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  positions.forEach((x, i) => {
+    min[i % 3] = Math.min(min[i % 3], x);
+    max[i % 3] = Math.max(max[i % 3], x);
+  });
+  const FLOAT = 5126, ARRAY_BUFFER = 34962, TRIANGLES = 4;
+
+  const json = {
+    asset: { version: '2.0', generator: 'Polyhedra Viewer' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name }],
+    meshes: [{
+      name,
+      primitives: [{
+        attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 },
+        material: 0,
+        mode: TRIANGLES
+      }]
+    }],
+    materials: [{
+      name: 'faces',
+      pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0.2, roughnessFactor: 0.5 },
+      doubleSided: true
+    }],
+    buffers: [{ byteLength: bin.byteLength }],
+    bufferViews: [0, 1, 2].map(k => ({
+      buffer: 0, byteOffset: k * byteLength, byteLength, target: ARRAY_BUFFER
+    })),
+    accessors: [
+      { bufferView: 0, componentType: FLOAT, count, type: 'VEC3', min, max },
+      { bufferView: 1, componentType: FLOAT, count, type: 'VEC3' },
+      { bufferView: 2, componentType: FLOAT, count, type: 'VEC3' }
+    ]
+  };
+  return { json, bin: new Uint8Array(bin.buffer) };
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+// glTF 2.0 JSON with the buffer embedded as a data URI
+export function toGLTF(poly, options) {
+  const { json, bin } = buildGLTF(poly, options);
+  json.buffers[0].uri = `data:application/octet-stream;base64,${toBase64(bin)}`;
+  return JSON.stringify(json, null, 2);
+}
+
+// Binary glTF: 12-byte header, JSON chunk (space padded), BIN chunk (zero padded)
+export function toGLB(poly, options) {
+  const { json, bin } = buildGLTF(poly, options);
+  const pad = (length) => (4 - (length % 4)) % 4;
+
+  let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonPadded = new Uint8Array(jsonBytes.length + pad(jsonBytes.length)).fill(0x20);
+  jsonPadded.set(jsonBytes);
+  jsonBytes = jsonPadded;
+  const binPadded = new Uint8Array(bin.length + pad(bin.length));
+  binPadded.set(bin);
+
+  const total = 12 + 8 + jsonBytes.length + 8 + binPadded.length;
+  const buffer = new ArrayBuffer(total);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonBytes.length, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  bytes.set(jsonBytes, 20);
+  const binOffset = 20 + jsonBytes.length;
+  view.setUint32(binOffset, binPadded.length, true);
+  view.setUint32(binOffset + 4, 0x004e4942, true); // "BIN"
+  bytes.set(binPadded, binOffset + 8);
+
+  return buffer;
+}
+
+// Format id -> menu label, file extension, MIME type and writer
+export const exportFormats = {
+  obj: { label: 'OBJ', extension: 'obj', mime: 'text/plain', write: toOBJ },
+  stl: { label: 'STL (binary)', extension: 'stl', mime: 'model/stl', write: toSTLBinary },
+  stlAscii: { label: 'STL (ASCII)', extension: 'stl', mime: 'model/stl', write: toSTLText },
+  off: { label: 'OFF', extension: 'off', mime: 'text/plain', write: toOFF },
+  ply: { label: 'PLY', extension: 'ply', mime: 'text/plain', write: toPLY },
+  gltf: { label: 'glTF', extension: 'gltf', mime: 'model/gltf+json', write: toGLTF },
+  glb: { label: 'GLB', extension: 'glb', mime: 'model/gltf-binary', write: toGLB }
+};
+
+// File name from a shape name, e.g. "Truncated Icosahedron (tI)" -> "truncated-icosahedron-ti"
+export function fileNameFor(name, extension) {
+  const base = (name || 'polyhedron')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${base || 'polyhedron'}.${extension}`;
+}
+
+// Hand data (string or bytes) to the browser as a file download
+export function downloadFile(data, fileName, mime) {
+  const url = URL.createObjectURL(new Blob([data], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Write a polyhedron in the given format and download it
+export function downloadPolyhedron(poly, format, options = {}) {
+  const { extension, mime, write } = exportFormats[format];
+  downloadFile(write(poly, options), fileNameFor(options.name, extension), mime);
+}
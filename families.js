@@ -0,0 +1,207 @@
+import { polyhedra, computeDual } from './polyhedra.js';
+
+// Parametric families of polyhedra (prisms, antiprisms, pyramids, bipyramids,
+// trapezohedra and cupolae), generated for any n rather than loaded from data.
+// Faces are regular wherever the family allows it; faces are wound
+// counter-clockwise as seen from outside, like the vendored data.
+
+export const MIN_SIDES = 3;
+export const MAX_SIDES = 20;
+
+// Prefix naming an n-gon base, e.g. "Pentagonal"
+const polygonPrefixes = {
+  3: 'Triangular',
+  4: 'Square',
+  5: 'Pentagonal',
+  6: 'Hexagonal',
+  7: 'Heptagonal',
+  8: 'Octagonal',
+  9: 'Enneagonal',
+  10: 'Decagonal',
+  11: 'Hendecagonal',
+  12: 'Dodecagonal'
+};
+
+function polygonPrefix(n) {
+  return polygonPrefixes[n] || `${n}-gonal`;
+}
+
+// Circumradius of a regular n-gon with unit edge
+const polygonRadius = (n) => 1 / (2 * Math.sin(Math.PI / n));
+
+// Point on a horizontal circle
+const ring = (radius, angle, z) => [radius * Math.cos(angle), radius * Math.sin(angle), z];
+
+// Recentre on the vertex centroid and scale to unit midradius,
+// matching the size of the vendored Hart data
+function normalizeScale({ vertices, faces }) {
+  const n = vertices.length;
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / n);
+  const centered = vertices.map(v => [v[0] - center[0], v[1] - center[1], v[2] - center[2]]);
+
+  const seen = new Set();
+  let midpointDistSum = 0;
+  for (const face of faces) {
+    for (let i = 0; i < face.length; i++) {
+      const a = face[i], b = face[(i + 1) % face.length];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const mid = [0, 1, 2].map(k => (centered[a][k] + centered[b][k]) / 2);
+      midpointDistSum += Math.hypot(...mid);
+    }
+  }
+  const scale = seen.size / midpointDistSum;
+
+  return { vertices: centered.map(v => v.map(x => x * scale)), faces };
+}
+
+// n-gonal prism: two n-gons joined by squares
+function prism(n) {
+  const r = polygonRadius(n);
+  const vertices = [];
+  for (let k = 0; k < n; k++) vertices.push(ring(r, 2 * Math.PI * k / n, 0.5));   // top: 0..n-1
+  for (let k = 0; k < n; k++) vertices.push(ring(r, 2 * Math.PI * k / n, -0.5));  // bottom: n..2n-1
+
+  const top = (k) => k % n;
+  const bottom = (k) => n + (k % n);
+  const faces = [
+    Array.from({ length: n }, (_, k) => top(k)),
+    Array.from({ length: n }, (_, k) => bottom(n - 1 - k))
+  ];
+  for (let k = 0; k < n; k++) faces.push([bottom(k), bottom(k + 1), top(k + 1), top(k)]);
+
+  return { vertices, faces };
+}
+
+// n-gonal antiprism: two n-gons, one twisted by half a step, joined by equilateral triangles
+function antiprism(n) {
+  const r = polygonRadius(n);
+  const offset = 2 * r * Math.sin(Math.PI / (2 * n));
+  const h = Math.sqrt(1 - offset * offset);
+  const vertices = [];
+  for (let k = 0; k < n; k++) vertices.push(ring(r, 2 * Math.PI * k / n, h / 2));
+  for (let k = 0; k < n; k++) vertices.push(ring(r, Math.PI * (2 * k + 1) / n, -h / 2));
+
+  const top = (k) => (k + n) % n;
+  const bottom = (k) => n + ((k + n) % n);
+  const faces = [
+    Array.from({ length: n }, (_, k) => top(k)),
+    Array.from({ length: n }, (_, k) => bottom(n - 1 - k))
+  ];
+  for (let k = 0; k < n; k++) {
+    faces.push([bottom(k), top(k + 1), top(k)]);
+    faces.push([bottom(k - 1), bottom(k), top(k)]);
+  }
+
+  return { vertices, faces };
+}
+
+// Height of an equilateral pyramid over a unit-edge n-gon, or a unit height
+// where none exists (n >= 6)
+function pyramidHeight(n) {
+  const r = polygonRadius(n);
+  return r < 1 ? Math.sqrt(1 - r * r) : 1;
+}
+
+// n-gonal pyramid: an n-gon base and n triangles meeting at an apex
+function pyramid(n) {
+  const r = polygonRadius(n);
+  const vertices = [];
+  for (let k = 0; k < n; k++) vertices.push(ring(r, 2 * Math.PI * k / n, 0));
+  const apex = vertices.length;
+  vertices.push([0, 0, pyramidHeight(n)]);
+
+  const faces = [Array.from({ length: n }, (_, k) => n - 1 - k)];
+  for (let k = 0; k < n; k++) faces.push([k, (k + 1) % n, apex]);
+
+  return { vertices, faces };
+}
+
+// n-gonal bipyramid: two pyramids joined at their bases
+function bipyramid(n) {
+  const r = polygonRadius(n);
+  const h = pyramidHeight(n);
+  const vertices = [];
+  for (let k = 0; k < n; k++) vertices.push(ring(r, 2 * Math.PI * k / n, 0));
+  const top = vertices.length;
+  vertices.push([0, 0, h]);
+  const bottom = vertices.length;
+  vertices.push([0, 0, -h]);
+
+  const faces = [];
+  for (let k = 0; k < n; k++) {
+    faces.push([k, (k + 1) % n, top]);
+    faces.push([(k + 1) % n, k, bottom]);
+  }
+
+  return { vertices, faces };
+}
+
+// n-gonal trapezohedron: the dual of the antiprism, 2n congruent kites
+function trapezohedron(n) {
+  const { vertices, faces } = normalizeScale(antiprism(n));
+  return computeDual(vertices, faces);
+}
+
+// n-gonal cupola: an n-gon over a 2n-gon, joined by alternating squares and
+// triangles. Faces are regular for n = 3..5 (J3-J5); beyond that the cupola
+// cannot close with regular faces, so a fixed height is used.
+function cupola(n) {
+  const r = polygonRadius(n);
+  const R = polygonRadius(2 * n);
+  // Horizontal distance between a top edge and the parallel bottom edge
+  const d = R * Math.cos(Math.PI / (2 * n)) - r * Math.cos(Math.PI / n);
+  const h = d < 0.95 ? Math.sqrt(1 - d * d) : 0.5;
+
+  const vertices = [];
+  for (let k = 0; k < n; k++) vertices.push(ring(r, 2 * Math.PI * k / n, h));
+  for (let j = 0; j < 2 * n; j++) vertices.push(ring(R, Math.PI * (j + 0.5) / n, 0));
+
+  const top = (k) => k % n;
+  const bottom = (j) => n + (j % (2 * n));
+  const faces = [
+    Array.from({ length: n }, (_, k) => top(k)),
+    Array.from({ length: 2 * n }, (_, j) => bottom(2 * n - 1 - j))
+  ];
+  for (let k = 0; k < n; k++) {
+    faces.push([bottom(2 * k), bottom(2 * k + 1), top(k + 1), top(k)]);
+    faces.push([bottom(2 * k + 1), bottom(2 * k + 2), top(k + 1)]);
+  }
+
+  return { vertices, faces };
+}
+
+// Family id -> display name and generator
+export const families = {
+  prism: { name: 'Prism', generate: prism },
+  antiprism: { name: 'Antiprism', generate: antiprism },
+  pyramid: { name: 'Pyramid', generate: pyramid },
+  bipyramid: { name: 'Bipyramid', generate: bipyramid },
+  trapezohedron: { name: 'Trapezohedron', generate: trapezohedron },
+  cupola: { name: 'Cupola', generate: cupola }
+};
+
+// Generate an n-gonal member of a family and register it in the polyhedra map.
+// Returns its key, e.g. "prism_5".
+export function createFamilyShape(family, n) {
+  const entry = families[family];
+  if (!entry) throw new Error(`Unknown family "${family}"`);
+  if (!Number.isInteger(n) || n < MIN_SIDES || n > MAX_SIDES) {
+    throw new Error(`${entry.name} needs n between ${MIN_SIDES} and ${MAX_SIDES}`);
+  }
+
+  const key = `${family}_${n}`;
+  if (!polyhedra[key]) {
+    const { vertices, faces } = normalizeScale(entry.generate(n));
+    polyhedra[key] = {
+      name: `${polygonPrefix(n)} ${entry.name}`,
+      category: 'family',
+      vertices,
+      faces,
+      family,
+      sides: n
+    };
+  }
+  return key;
+}
@@ -0,0 +1,103 @@
+import { faceNormal } from './polyhedra.js';
+import { symmetryGroup, vertexOrbits } from './symmetry.js';
+
+// Vertex figures: the polygon through the midpoints of the edges at a vertex,
+// taken in order round it, named by its shape. The cuboctahedron's is a
+// rectangle, as its triangles and squares take up different angles at the
+// vertex; the octahedron's is a square.
+
+const TOLERANCE = 1e-6;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (v) => Math.sqrt(dot(v, v));
+
+const polygonNames = {
+  3: 'triangle', 4: 'quadrilateral', 5: 'pentagon', 6: 'hexagon', 7: 'heptagon',
+  8: 'octagon', 9: 'nonagon', 10: 'decagon'
+};
+
+// Neighbours of a vertex in order round it, each face at the vertex leading
+// from one to the next. Null where the faces do not close up round it.
+function neighboursAround(faces, v) {
+  const next = new Map();
+  for (const face of faces) {
+    const i = face.indexOf(v);
+    if (i < 0) continue;
+    next.set(face[(i + 1) % face.length], face[(i + face.length - 1) % face.length]);
+  }
+  const [start] = next.keys();
+  const around = [start];
+  while (around.length < next.size) {
+    const at = next.get(around[around.length - 1]);
+    if (at === undefined || at === start) return null;
+    around.push(at);
+  }
+  return next.get(around[around.length - 1]) === start ? around : null;
+}
+
+// Name of a polygon: regular (or a regular star), or for a quadrilateral the
+// most particular of square, rectangle, rhombus, parallelogram and kite;
+// "skew" if not flat
+function polygonShape(points) {
+  const n = points.length;
+  const sides = points.map((p, i) => length(sub(points[(i + 1) % n], p)));
+  const angles = points.map((p, i) => {
+    const a = sub(points[(i + n - 1) % n], p), b = sub(points[(i + 1) % n], p);
+    return Math.acos(Math.max(-1, Math.min(1, dot(a, b) / (length(a) * length(b)))));
+  });
+  const scale = Math.max(...sides);
+  const same = (x, y) => Math.abs(x - y) <= TOLERANCE * scale;
+  const all = (values, close) => values.every(x => close(x, values[0]));
+  const equalSides = all(sides, same);
+  const equalAngles = all(angles, (x, y) => Math.abs(x - y) <= TOLERANCE);
+
+  // Flat when every corner lies in the plane through the centre
+  const normal = faceNormal(points, points.map((_, i) => i));
+  const center = points.reduce((sum, p) => sum.map((x, k) => x + p[k] / n), [0, 0, 0]);
+  const planar = points.every(p => Math.abs(dot(sub(p, center), normal)) <= TOLERANCE * scale);
+  const skew = planar ? '' : 'skew ';
+
+  // A regular star polygon {n/d} has corners of angle π(1 - 2d/n)
+  if (planar && equalSides && equalAngles) {
+    const density = Math.round(n * (1 - angles[0] / Math.PI) / 2);
+    if (density > 1) return n === 5 ? 'pentagram' : `regular star polygon {${n}/${density}}`;
+  }
+  if (n === 3) {
+    if (equalSides) return 'equilateral triangle';
+    return sides.some((s, i) => same(s, sides[(i + 1) % 3])) ? 'isosceles triangle' : 'scalene triangle';
+  }
+  if (n === 4 && planar) {
+    if (equalSides && equalAngles) return 'square';
+    if (equalAngles) return 'rectangle';
+    if (equalSides) return 'rhombus';
+    if (same(sides[0], sides[2]) && same(sides[1], sides[3])) return 'parallelogram';
+    if ((same(sides[0], sides[1]) && same(sides[2], sides[3])) || (same(sides[1], sides[2]) && same(sides[3], sides[0]))) return 'kite';
+  }
+  const name = polygonNames[n] || `${n}-gon`;
+  if (equalSides && equalAngles) return `${skew}regular ${name}`;
+  if (equalSides) return `${skew}equilateral ${name}`;
+  if (equalAngles) return `${skew}equiangular ${name}`;
+  return `${skew}${name}`;
+}
+
+// The figure at vertex v: { vertex, neighbours, points, name }, or null if
+// the faces round the vertex do not close up
+export function vertexFigure(vertices, faces, v) {
+  const neighbours = neighboursAround(faces, v);
+  if (!neighbours || neighbours.length < 3) return null;
+  const points = neighbours.map(w => vertices[v].map((x, k) => (x + vertices[w][k]) / 2));
+  return { vertex: v, neighbours, points, name: polygonShape(points) };
+}
+
+// One figure per orbit of the symmetry group, each at the orbit's first
+// vertex and with the orbit's vertices listed, the largest orbits first.
+// Orbits whose figure does not close up are left out.
+export function vertexFigures(vertices, faces) {
+  const { symmetries } = symmetryGroup(vertices, faces);
+  const orbits = symmetries.length ? vertexOrbits(vertices.length, symmetries) : vertices.map((_, v) => [v]);
+  return orbits.map(orbit => {
+    const figure = vertexFigure(vertices, faces, orbit[0]);
+    return figure && { ...figure, orbit };
+  }).filter(Boolean);
+}
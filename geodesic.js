@@ -0,0 +1,170 @@
+import { polyhedra, computeDual, edgeList } from './polyhedra.js';
+
+// Geodesic polyhedra and their duals, the Goldberg polyhedra. Each triangle
+// of a base deltahedron is overlaid with a triangular lattice of frequency
+// (m, n): the big triangle's first side runs m steps along one lattice
+// direction and n along the next. The small triangles are laid over the flat
+// faces, then every point is pushed out onto the circumsphere.
+//   Class I    (m, 0)  lattice lines parallel to the base edges
+//   Class II   (m, m)  lattice lines square to the base edges
+//   Class III  other   skewed, and chiral: (n, m) is the mirror image
+// Small triangles of class II and III cross the base edges, and the points
+// beyond an edge are placed on the neighbouring face.
+
+// Base id -> display name and the number of triangles at each base vertex,
+// which stay the only vertices of that degree
+export const geodesicBases = {
+  icosahedron: { name: 'Icosahedron', degree: 5 },
+  octahedron: { name: 'Octahedron', degree: 4 },
+  tetrahedron: { name: 'Tetrahedron', degree: 3 }
+};
+
+export const MAX_FREQUENCY = 8;
+
+// Triangulation number: the small triangles in each base triangle
+export const triangulationNumber = (m, n) => m * m + m * n + n * n;
+
+export function geodesicClass(m, n) {
+  if (m === 0 || n === 0) return 'I';
+  return m === n ? 'II' : 'III';
+}
+
+// Lattice point (a, b), a steps along the first direction and b along the
+// next, 60° round from it, in plane coordinates
+const planar = (a, b) => [a + b / 2, b * Math.sqrt(3) / 2];
+
+// Barycentric coordinates of a plane point in the triangle p
+function barycentric([x, y], [[x0, y0], [x1, y1], [x2, y2]]) {
+  const det = (y1 - y2) * (x0 - x2) + (x2 - x1) * (y0 - y2);
+  const u = ((y1 - y2) * (x - x2) + (x2 - x1) * (y - y2)) / det;
+  const v = ((y2 - y0) * (x - x2) + (x0 - x2) * (y - y2)) / det;
+  return [u, v, 1 - u - v];
+}
+
+const combine = (points, weights) => [0, 1, 2].map(k => points.reduce((sum, p, i) => sum + p[k] * weights[i], 0));
+
+// The (m, n) geodesic subdivision of a shape whose faces are all triangles,
+// projected onto its circumsphere about the vertex centroid, which becomes
+// the origin
+export function geodesicSubdivision(vertices, faces, m, n) {
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+  const radius = Math.max(...vertices.map(v => Math.hypot(...v.map((x, k) => x - center[k]))));
+  const corners = [[0, 0], [m, n], [-n, m + n]].map(([a, b]) => planar(a, b));
+  const eps = 1e-9;
+
+  // Face across each directed edge
+  const across = new Map();
+  faces.forEach((face, f) => face.forEach((a, i) => across.set(`${face[(i + 1) % 3]}>${a}`, f)));
+
+  // A lattice point of face f on the solid. One beyond an edge lies in the
+  // neighbouring face, the big triangle's half turn about the edge's
+  // midpoint, which takes the point back inside f.
+  const place = (f, point) => {
+    const face = faces[f];
+    const u = barycentric(point, corners);
+    const k = u.findIndex(x => x < -eps);
+    if (k < 0) return combine(face.map(i => vertices[i]), u);
+    const i = (k + 1) % 3, j = (k + 2) % 3;
+    const neighbour = faces[across.get(`${face[i]}>${face[j]}`)];
+    const opposite = neighbour.find(v => v !== face[i] && v !== face[j]);
+    return combine([vertices[face[j]], vertices[face[i]], vertices[opposite]], [1 - u[i], 1 - u[j], -u[k]]);
+  };
+
+  // Points shared between faces are found again by position
+  const points = [];
+  const indices = new Map();
+  const index = (p) => {
+    const onSphere = p.map((x, k) => x - center[k]);
+    const scale = radius / Math.hypot(...onSphere);
+    const q = onSphere.map(x => x * scale);
+    const key = q.map(x => Math.round(x * 1e7 / radius)).join(',');
+    if (!indices.has(key)) {
+      indices.set(key, points.length);
+      points.push(q);
+    }
+    return indices.get(key);
+  };
+
+  // Each small triangle belongs to the face holding its centre, or to both
+  // faces when the centre lies on their edge, so duplicates are dropped
+  const triangles = [];
+  const seen = new Set();
+  faces.forEach((_, f) => {
+    for (let a = -n - 1; a <= m + 1; a++) {
+      for (let b = -1; b <= m + n + 1; b++) {
+        for (const corner of [[[a, b], [a + 1, b], [a, b + 1]], [[a + 1, b], [a + 1, b + 1], [a, b + 1]]]) {
+          const lattice = corner.map(([x, y]) => planar(x, y));
+          const middle = [0, 1].map(k => lattice.reduce((sum, p) => sum + p[k], 0) / 3);
+          if (barycentric(middle, corners).some(x => x < -eps)) continue;
+          const triangle = lattice.map(p => index(place(f, p)));
+          const key = [...triangle].sort((x, y) => x - y).join(',');
+          if (seen.has(key)) continue;
+          seen.add(key);
+          triangles.push(triangle);
+        }
+      }
+    }
+  });
+  return { vertices: points, faces: triangles };
+}
+
+// Scale to unit mean edge-midpoint distance from the centre, the size of the
+// vendored data. Both kinds of shape are already centred on the sphere's centre.
+function normalizeScale({ vertices, faces }) {
+  const edges = edgeList(faces);
+  const distance = edges.reduce((sum, [a, b]) => sum + Math.hypot(...[0, 1, 2].map(k => (vertices[a][k] + vertices[b][k]) / 2)), 0);
+  const scale = edges.length / distance;
+  return { vertices: vertices.map(v => v.map(x => x * scale)), faces };
+}
+
+// Edge lengths grouped into classes, shortest first: [{ length, count }],
+// with lengths as chord factors, in units of the circumradius
+export function chordClasses(vertices, faces) {
+  const radius = Math.max(...vertices.map(v => Math.hypot(...v)));
+  const lengths = edgeList(faces)
+    .map(([a, b]) => Math.hypot(...[0, 1, 2].map(k => vertices[a][k] - vertices[b][k])) / radius)
+    .sort((x, y) => x - y);
+  const classes = [];
+  for (const length of lengths) {
+    const last = classes[classes.length - 1];
+    if (last && length - last.length <= 1e-6) last.count++;
+    else classes.push({ length, count: 1 });
+  }
+  return classes;
+}
+
+// Number of faces with each number of sides: [{ sides, count }], fewest sides first
+export function faceBreakdown(faces) {
+  const counts = new Map();
+  for (const face of faces) counts.set(face.length, (counts.get(face.length) || 0) + 1);
+  return [...counts].sort(([a], [b]) => a - b).map(([sides, count]) => ({ sides, count }));
+}
+
+// Generate the (m, n) geodesic polyhedron on a base, or its Goldberg dual,
+// and register it in the polyhedra map. Returns its key, e.g.
+// "geodesic_icosahedron_2_1" or "goldberg_icosahedron_2_1".
+export function createGeodesicShape(base, m, n, goldberg = false) {
+  if (!geodesicBases[base]) throw new Error(`Unknown geodesic base "${base}"`);
+  if (![m, n].every(x => Number.isInteger(x) && x >= 0 && x <= MAX_FREQUENCY) || m + n === 0) {
+    throw new Error(`Geodesic frequencies need m and n between 0 and ${MAX_FREQUENCY}, not both 0`);
+  }
+
+  const key = `${goldberg ? 'goldberg' : 'geodesic'}_${base}_${m}_${n}`;
+  if (!polyhedra[key]) {
+    const source = polyhedra[base];
+    let shape = normalizeScale(geodesicSubdivision(source.vertices, source.faces, m, n));
+    if (goldberg) shape = normalizeScale(computeDual(shape.vertices, shape.faces));
+    // Named as in Conway's notation, {3,q+}m,n, and its dual {q+,3}m,n
+    const { name, degree } = geodesicBases[base];
+    polyhedra[key] = {
+      name: goldberg ? `Goldberg ${name.toLowerCase()} {${degree}+,3}${m},${n}` : `Geodesic ${name.toLowerCase()} {3,${degree}+}${m},${n}`,
+      category: 'geodesic',
+      vertices: shape.vertices,
+      faces: shape.faces,
+      base,
+      frequency: [m, n],
+      goldberg
+    };
+  }
+  return key;
+}
@@ -0,0 +1,163 @@
+// How the Johnson solids are built from one another and from the Platonic and
+// Archimedean solids, prisms and antiprisms. Each relation [from, operation, to]
+// says that applying the operation to from gives to:
+//   augment      attach a pyramid, cupola or rotunda to a face
+//   diminish     cut one off
+//   gyrate       turn a cupola or rotunda by half its face angle
+//   elongate     insert a prism at the base
+//   gyroelongate insert an antiprism at the base
+// Keys are polyhedra map keys; prism_n and antiprism_n are generated on demand.
+
+export const johnsonOperations = {
+  augment: { verb: 'augment', past: 'augmented' },
+  diminish: { verb: 'diminish', past: 'diminished' },
+  gyrate: { verb: 'gyrate', past: 'gyrated' },
+  elongate: { verb: 'elongate', past: 'elongated' },
+  gyroelongate: { verb: 'gyroelongate', past: 'gyroelongated' }
+};
+
+const relations = [
+  // Pyramids and dipyramids (J1, J2, J7-J17)
+  ['octahedron', 'diminish', 'j1'],
+  ['icosahedron', 'diminish', 'j11'],
+  ['j11', 'diminish', 'antiprism_5'],
+  ['tetrahedron', 'elongate', 'j7'],
+  ['tetrahedron', 'augment', 'j12'],
+  ['j1', 'elongate', 'j8'],
+  ['j1', 'gyroelongate', 'j10'],
+  ['j2', 'elongate', 'j9'],
+  ['j2', 'gyroelongate', 'j11'],
+  ['j2', 'augment', 'j13'],
+  ['j7', 'augment', 'j14'],
+  ['j12', 'elongate', 'j14'],
+  ['j8', 'augment', 'j15'],
+  ['octahedron', 'elongate', 'j15'],
+  ['j9', 'augment', 'j16'],
+  ['j13', 'elongate', 'j16'],
+  ['j10', 'augment', 'j17'],
+  ['octahedron', 'gyroelongate', 'j17'],
+  ['j13', 'gyroelongate', 'icosahedron'],
+
+  // Cupolae and rotundae (J3-J6, J18-J25)
+  ['cuboctahedron', 'diminish', 'j3'],
+  ['icosidodecahedron', 'diminish', 'j6'],
+  ['j3', 'elongate', 'j18'],
+  ['j4', 'elongate', 'j19'],
+  ['j5', 'elongate', 'j20'],
+  ['j6', 'elongate', 'j21'],
+  ['j3', 'gyroelongate', 'j22'],
+  ['j4', 'gyroelongate', 'j23'],
+  ['j5', 'gyroelongate', 'j24'],
+  ['j6', 'gyroelongate', 'j25'],
+
+  // Bicupolae, cupolarotundae and birotundae (J26-J34); a triangular prism is
+  // a digonal cupola
+  ['prism_3', 'augment', 'j26'],
+  ['j3', 'augment', 'j27'],
+  ['j27', 'gyrate', 'cuboctahedron'],
+  ['j4', 'augment', 'j28'],
+  ['j28', 'gyrate', 'j29'],
+  ['j5', 'augment', 'j30'],
+  ['j30', 'gyrate', 'j31'],
+  ['j5', 'augment', 'j32'],
+  ['j6', 'augment', 'j32'],
+  ['j32', 'gyrate', 'j33'],
+  ['j6', 'augment', 'j34'],
+  ['j34', 'gyrate', 'icosidodecahedron'],
+
+  // Elongated bicupolae and birotundae (J35-J43)
+  ['j18', 'augment', 'j35'],
+  ['j27', 'elongate', 'j35'],
+  ['j35', 'gyrate', 'j36'],
+  ['cuboctahedron', 'elongate', 'j36'],
+  ['rhombicuboctahedron', 'diminish', 'j19'],
+  ['j28', 'elongate', 'rhombicuboctahedron'],
+  ['rhombicuboctahedron', 'gyrate', 'j37'],
+  ['j29', 'elongate', 'j37'],
+  ['j20', 'augment', 'j38'],
+  ['j30', 'elongate', 'j38'],
+  ['j38', 'gyrate', 'j39'],
+  ['j31', 'elongate', 'j39'],
+  ['j20', 'augment', 'j40'],
+  ['j21', 'augment', 'j40'],
+  ['j32', 'elongate', 'j40'],
+  ['j40', 'gyrate', 'j41'],
+  ['j33', 'elongate', 'j41'],
+  ['j21', 'augment', 'j42'],
+  ['j34', 'elongate', 'j42'],
+  ['j42', 'gyrate', 'j43'],
+  ['icosidodecahedron', 'elongate', 'j43'],
+
+  // Gyroelongated bicupolae and birotunda (J44-J48)
+  ['j22', 'augment', 'j44'],
+  ['j27', 'gyroelongate', 'j44'],
+  ['j23', 'augment', 'j45'],
+  ['j28', 'gyroelongate', 'j45'],
+  ['j24', 'augment', 'j46'],
+  ['j30', 'gyroelongate', 'j46'],
+  ['j24', 'augment', 'j47'],
+  ['j25', 'augment', 'j47'],
+  ['j32', 'gyroelongate', 'j47'],
+  ['j25', 'augment', 'j48'],
+  ['j34', 'gyroelongate', 'j48'],
+
+  // Augmented prisms (J49-J57)
+  ['prism_3', 'augment', 'j49'],
+  ['j49', 'augment', 'j50'],
+  ['j50', 'augment', 'j51'],
+  ['prism_5', 'augment', 'j52'],
+  ['j52', 'augment', 'j53'],
+  ['prism_6', 'augment', 'j54'],
+  ['j54', 'augment', 'j55'],
+  ['j54', 'augment', 'j56'],
+  ['j56', 'augment', 'j57'],
+
+  // Augmented dodecahedra and diminished icosahedra (J58-J64)
+  ['dodecahedron', 'augment', 'j58'],
+  ['j58', 'augment', 'j59'],
+  ['j58', 'augment', 'j60'],
+  ['j60', 'augment', 'j61'],
+  ['j11', 'diminish', 'j62'],
+  ['j62', 'diminish', 'j63'],
+  ['j63', 'augment', 'j64'],
+
+  // Augmented truncated solids (J65-J71)
+  ['truncatedTetrahedron', 'augment', 'j65'],
+  ['truncatedCube', 'augment', 'j66'],
+  ['j66', 'augment', 'j67'],
+  ['truncatedDodecahedron', 'augment', 'j68'],
+  ['j68', 'augment', 'j69'],
+  ['j68', 'augment', 'j70'],
+  ['j70', 'augment', 'j71'],
+
+  // Gyrate and diminished rhombicosidodecahedra (J72-J83)
+  ['rhombicosidodecahedron', 'gyrate', 'j72'],
+  ['j72', 'gyrate', 'j73'],
+  ['j72', 'gyrate', 'j74'],
+  ['j74', 'gyrate', 'j75'],
+  ['rhombicosidodecahedron', 'diminish', 'j76'],
+  ['j76', 'gyrate', 'j77'],
+  ['j72', 'diminish', 'j77'],
+  ['j76', 'gyrate', 'j78'],
+  ['j72', 'diminish', 'j78'],
+  ['j78', 'gyrate', 'j79'],
+  ['j74', 'diminish', 'j79'],
+  ['j76', 'diminish', 'j80'],
+  ['j76', 'diminish', 'j81'],
+  ['j81', 'gyrate', 'j82'],
+  ['j78', 'diminish', 'j82'],
+  ['j81', 'diminish', 'j83'],
+
+  // Elementary solids (J84-J92) are mostly not built from others
+  ['j86', 'augment', 'j87']
+];
+
+// Relatives of a shape: { from: [{ key, operation }], to: [{ key, operation }] },
+// where this shape is operation applied to each of from, and applying each
+// operation to it gives the shape in to
+export function johnsonRelations(key) {
+  return {
+    from: relations.filter(([, , to]) => to === key).map(([from, operation]) => ({ key: from, operation })),
+    to: relations.filter(([from]) => from === key).map(([, operation, to]) => ({ key: to, operation }))
+  };
+}
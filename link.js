@@ -0,0 +1,20 @@
+// Deep links: the viewer state lives in the URL hash as name=value pairs, e.g.
+// #shape=j37&dual=1&view=wireframe&cam=x,y,z,tx,ty,tz (camera position, then
+// orbit target). A viewport gives the shape, dual and display parameters
+// first and its camera last; the modes' parameters go between.
+
+// Hash of a link to the viewport, with the modes' [name, value] parameters
+export function viewLinkHash(view, params = []) {
+  const head = [['shape', encodeURIComponent(view.shape)]];
+  if (view.dual) head.push(['dual', '1']);
+  if (view.display !== 'edges') head.push(['view', view.display]);
+  const cam = [...view.camera.position.toArray(), ...view.controls.target.toArray()];
+  const all = [...head, ...params, ['cam', cam.map(x => Number(x.toFixed(3))).join(',')]];
+  return `#${all.map(([name, value]) => `${name}=${value}`).join('&')}`;
+}
+
+// Value of the compare parameter: the second viewport's shape, then its flags
+export function compareParam(view) {
+  const flags = [view.dual && 'dual', view.display === 'wireframe' && 'wireframe'].filter(Boolean);
+  return [encodeURIComponent(view.shape), ...flags].join(',');
+}
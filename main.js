@@ -1,42 +1,79 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.170.0/build/three.module.min.js';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/controls/OrbitControls.js';
-import { polyhedra, polygonColors, buildColoredGeometry, buildEdgesGeometry, computeDual, initPolyhedraData } from './polyhedra.js';
-
-// Scene setup
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x1a1a2e);
-
-// Camera
-const camera = new THREE.PerspectiveCamera(
-  35,
-  window.innerWidth / window.innerHeight,
-  0.1,
-  1000
-);
-camera.position.z = 8;
-
-// Renderer
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-document.getElementById('container').appendChild(renderer.domElement);
-
-// Controls
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.dampingFactor = 0.05;
-
-// Lighting
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-scene.add(ambientLight);
-
-const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-directionalLight.position.set(5, 5, 5);
-scene.add(directionalLight);
-
-const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
-directionalLight2.position.set(-5, -5, -5);
-scene.add(directionalLight2);
+import { polyhedra, polygonColors, computeDual, edgeList, faceNormal, reciprocationCenters, initPolyhedraData } from './polyhedra.js';
+import { buildColoredGeometry, buildEdgesGeometry, buildProjectionGeometry, buildPolylineGeometry } from './meshes.js';
+import { createConwayShape } from './operators.js';
+import { families, createFamilyShape, MIN_SIDES, MAX_SIDES } from './families.js';
+import { geodesicBases, createGeodesicShape, geodesicClass, triangulationNumber, chordClasses, faceBreakdown, MAX_FREQUENCY } from './geodesic.js';
+import { exportFormats, downloadPolyhedron, downloadFile, fileNameFor } from './export.js';
+import { measurePolyhedron, measureElements } from './measure.js';
+import { symmetryGroup } from './symmetry.js';
+import { unfoldPolyhedron, foldNet, netDrawing } from './net.js';
+import { fitToPage, drawingToSVG, drawingToPDF } from './drawing.js';
+import { emptyFilter, isFilterActive, matchesFilter, symmetryFamilies } from './search.js';
+import { canonicalSteps, createCanonicalShape, planarityError } from './canonical.js';
+import { johnsonOperations, johnsonRelations } from './johnson.js';
+import { snapshotDrawing } from './snapshot.js';
+import { colorSchemes, colorPalettes, faceColoring } from './coloring.js';
+import { sliceSolid, sectionRange, sectionDirections } from './section.js';
+import { compareCounts } from './compare.js';
+import { sphereKinds, solidSpheres } from './spheres.js';
+import { vertexFigure, vertexFigures } from './figures.js';
+import { explodeOffsets, assemblyOrder, assemblyOffsets, assemblyLength, explodedSolid } from './explode.js';
+import { projectionKinds, projectionMesh, projectionPositions, largestFace } from './projection.js';
+import { truncationSeries, truncationShape, truncationStop } from './truncation.js';
+import { viewLinkHash, compareParam } from './link.js';
+import { importExtensions, importPolyhedron, loadCustomPolyhedra, removeCustomShape } from './custom.js';
+
+// A viewport: one viewer's shape and how it is shown, with the scene, camera,
+// renderer, orbit controls and lights drawing it into a container element.
+// The main view fills the window; the comparison view shares it while
+// comparing, and gets its scene on first use from mountViewport().
+//   shape      key of the shape in polyhedra
+//   dual       whether the dual is asked for; dualShown, whether it is shown
+//              (not when degenerate)
+//   display    'edges' or 'wireframe'
+//   displayed  { vertices, faces } on screen, after the dual
+//   meshGroup  the meshes drawing displayed
+function createViewport(container, shape) {
+  return {
+    container, shape, dual: false, dualShown: false, display: 'edges', displayed: null, meshGroup: null,
+    scene: null, camera: null, renderer: null, controls: null, ambientLight: null, directionalLight: null, directionalLight2: null
+  };
+}
+
+function mountViewport(view) {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x1a1a2e);
+
+  const camera = new THREE.PerspectiveCamera(35, window.innerWidth / window.innerHeight, 0.1, 1000);
+  camera.position.z = 8;
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setPixelRatio(window.devicePixelRatio);
+  view.container.appendChild(renderer.domElement);
+
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.05;
+
+  // Lighting
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+  scene.add(ambientLight);
+
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  directionalLight.position.set(5, 5, 5);
+  scene.add(directionalLight);
+
+  const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
+  directionalLight2.position.set(-5, -5, -5);
+  scene.add(directionalLight2);
+
+  return Object.assign(view, { scene, camera, renderer, controls, ambientLight, directionalLight, directionalLight2 });
+}
+
+const mainView = mountViewport(createViewport(document.getElementById('container'), 'tetrahedron'));
 
 // Materials
 const coloredMaterial = new THREE.MeshStandardMaterial({
@@ -46,6 +83,13 @@ const coloredMaterial = new THREE.MeshStandardMaterial({
   side: THREE.DoubleSide
 });
 
+// Projected faces lie in the plane of their edges once flat, so are pushed
+// back to keep the edges on top
+const projectionMaterial = coloredMaterial.clone();
+projectionMaterial.polygonOffset = true;
+projectionMaterial.polygonOffsetFactor = 1;
+projectionMaterial.polygonOffsetUnits = 1;
+
 const edgeMaterial = new THREE.LineBasicMaterial({
   color: 0xffffff,
   linewidth: 3
@@ -56,67 +100,415 @@ const wireframeMaterial = new THREE.LineBasicMaterial({
   linewidth: 2
 });
 
-// State
-let currentShape = 'tetrahedron';
-let currentDisplay = 'edges';
-let showDual = false;
-let meshGroup = null;
+// Midsphere of the dual compound
+const midsphereMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffffff,
+  transparent: true,
+  opacity: 0.12,
+  depthWrite: false
+});
 
-function createPolyhedron() {
-  // Remove existing group
-  if (meshGroup) {
-    scene.remove(meshGroup);
-    meshGroup.traverse(child => {
-      if (child.geometry) child.geometry.dispose();
-    });
+// Symmetry overlay: rotation axes colored by order, translucent mirror planes
+const axisColors = { 2: 0x3498db, 3: 0x2ecc71, 4: 0xe74c3c, 5: 0xf1c40f };
+const axisColor = (order) => axisColors[order] || 0x9b59b6;
+const axisMaterials = new Map();
+function axisMaterial(order) {
+  if (!axisMaterials.has(order)) {
+    axisMaterials.set(order, new THREE.MeshBasicMaterial({ color: axisColor(order), side: THREE.DoubleSide }));
   }
+  return axisMaterials.get(order);
+}
+
+const mirrorMaterial = new THREE.MeshBasicMaterial({
+  color: 0x88ccff,
+  transparent: true,
+  opacity: 0.12,
+  side: THREE.DoubleSide,
+  depthWrite: false
+});
 
-  meshGroup = new THREE.Group();
-  const data = polyhedra[currentShape];
-  const scale = 1.5;
+// Circumscribed, edge-tangent and inscribed spheres
+const sphereColors = { circumsphere: 0xe67e22, midsphere: 0x3498db, insphere: 0x2ecc71 };
+const sphereMaterials = Object.fromEntries(Object.entries(sphereColors).map(([kind, color]) => [kind, new THREE.MeshBasicMaterial({
+  color,
+  transparent: true,
+  opacity: 0.15,
+  depthWrite: false
+})]));
+
+// Vertex figures, drawn through the solid so that the cut shows
+const figureFillMaterial = new THREE.MeshBasicMaterial({
+  color: 0xff6b9d,
+  transparent: true,
+  opacity: 0.45,
+  side: THREE.DoubleSide,
+  depthTest: false,
+  depthWrite: false
+});
+const figureMaterial = new THREE.MeshBasicMaterial({ color: 0xff6b9d });
+
+// State
+let dualCenter = 'vertex';    // reciprocation centre, a key of reciprocationCenters
+let showSymmetry = false;
+let currentSymmetry = null; // point group of the displayed shape, while showSymmetry
+let compoundMode = false;
+let currentCompound = null; // dual of the displayed shape at reciprocation scale, in compound mode
+let reciprocation = 0.5;    // 0 = shape, 0.5 = compound, 1 = dual
+let truncationMode = false;
+let truncationShown = false; // truncationMode, on a Platonic solid
+let truncation = 0;          // 0 = shape, 0.5 = rectified, 1 = dual
+let cantellation = 0;        // 0 = none, 1 = fully cantellated
+let colorScheme = 'sides';   // a key of colorSchemes
+let colorPalette = 'standard';
+let currentColoring = null;  // { colors, legend, note } of the displayed shape
+let sectionMode = false;
+let sectionNormal = [0, 0, 1]; // unit normal of the cutting plane; the part it points into is cut away
+let sectionOffset = 0.5;       // plane position across the shape's extent along the normal, 0..1
+let sectionSymmetry = null;    // point group of the displayed shape, for snapping the plane
+let currentSection = null;     // sliceSolid() of the displayed shape, while sectioning
+let projectionMode = false;
+let projectionKind = 'schlegel'; // a key of projectionKinds
+let projectionFace = null;       // face projected through; null for a largest face
+let projectionAmount = 0;        // 0 = solid, 1 = projected
+let projectionSpeed = 0;         // projection change per frame while animating
+let projectionNext = null;       // { kind, face } to switch to once back at the solid
+let projectionFacing = null;     // direction the flat views turn to face, the view's when they started
+let currentProjection = null;    // projectionMesh() of the displayed shape, while projecting
+let explodeMode = false;
+let explodeAmount = 0.3;         // distance the faces move out, in circumradii
+let explodeSides = null;         // side count of the faces that move, or null for all
+let assembly = null;             // { start, time, order, pieces, ... } while assembling face by face
+let spheresMode = false;
+let spheresShown = new Set();    // keys of sphereKinds drawn while spheresMode
+let currentSpheres = null;       // solidSpheres() of the displayed shape, while spheresMode
+let figureMode = false;
+let currentFigures = null;       // vertex figures of the displayed shape, one per vertex orbit, while figureMode
+let familySides = 5;
+let geodesicFrequency = [2, 1]; // (m, n) of the geodesic and Goldberg thumbnails
+let netMode = false;
+let currentNet = null;
+let foldAmount = 0; // 0 = flat net, 1 = folded solid
+let foldSpeed = 0;  // fold change per frame while animating
+let inspectorOpen = false;
+let selection = [];          // picked elements: { type: 'face' | 'vertex', index } or { type: 'edge', index: 'a-b' }
+let currentElements = null;  // per-element measurements of the displayed shape, made on the first pick
+
+// Size of the rendered shape relative to the data (unit midradius)
+const displayScale = 1.5;
+
+function createPolyhedron() {
+  const data = polyhedra[mainView.shape];
 
   // Get vertices and faces (possibly from dual)
   let vertices = data.vertices;
   let faces = data.faces;
 
-  if (showDual) {
-    const dual = computeDual(data.vertices, data.faces);
-    vertices = dual.vertices;
-    faces = dual.faces;
+  // Truncation mode swaps a Platonic solid for its truncation at the sliders
+  truncationShown = truncationMode && Boolean(truncationSeries[mainView.shape]);
+  if (truncationShown) ({ vertices, faces } = truncationShape(mainView.shape, truncation, cantellation));
+  const source = { vertices, faces };
+
+  // A degenerate dual (a face plane through or near the centre) would be drawn
+  // as spikes, so the shape stays as it is with a warning instead
+  let degenerateFaces = [];
+  mainView.dualShown = false;
+  if (mainView.dual) {
+    const dual = dualAtSize(source.vertices, source.faces);
+    if (dual.degenerateFaces.length) {
+      degenerateFaces = dual.degenerateFaces;
+    } else {
+      ({ vertices, faces } = dual);
+      mainView.dualShown = true;
+    }
+  }
+  mainView.displayed = { vertices, faces };
+  currentNet = netMode ? unfoldPolyhedron(vertices, faces) : null;
+  currentCompound = compoundMode && !netMode ? computeDual(vertices, faces, dualCenter) : null;
+  if (currentCompound && currentCompound.degenerateFaces.length) {
+    degenerateFaces = currentCompound.degenerateFaces;
+    currentCompound = null;
+  }
+  if (projectionFace >= faces.length) projectionFace = null;
+  currentProjection = projectionMode ? projectionMesh(vertices, faces, projectionKind, projectionFace ?? largestFace(vertices, faces)) : null;
+  if (currentProjection && !projectionFacing) projectionFacing = viewDirection();
+  currentSymmetry = showSymmetry ? symmetryGroup(vertices, faces) : null;
+  sectionSymmetry = sectionMode ? currentSymmetry || symmetryGroup(vertices, faces) : null;
+  updateSectionSnaps();
+  updateExplodeSides();
+  currentSpheres = spheresMode ? solidSpheres(vertices, faces) : null;
+  currentFigures = figureMode ? vertexFigures(vertices, faces) : null;
+  updateSphereReadouts();
+  updateFigureInfo();
+  currentElements = null;
+  clearSelection();
+  colorFaces();
+
+  buildMeshes();
+  updateShapeInfo(vertices, faces);
+  generateColorLegend();
+  if (comparing) updateCompareStats();
+
+  if (truncationMode && !truncationShown) {
+    showInfoMessage('Truncation works on the Platonic solids: pick one to use the sliders', 'info');
+  }
+  if (currentNet && currentNet.overlaps > 0) {
+    showInfoMessage(`No overlap-free net found: ${currentNet.overlaps} pairs of faces overlap`, 'info');
   }
+  if (degenerateFaces.length) {
+    const count = degenerateFaces.length;
+    showInfoMessage(`Dual not drawn: ${count} face plane${count > 1 ? 's pass' : ' passes'} too close to the ` +
+      `${reciprocationCenters[dualCenter].toLowerCase()}. Choose another reciprocation centre.`, 'warning');
+  }
+}
 
-  // Build colored geometry from face data
-  const geometry = buildColoredGeometry(vertices, faces, scale);
-  const solidMesh = new THREE.Mesh(geometry, coloredMaterial);
+// The dual about the reciprocation centre, shown at the size of the original
+// rather than the reciprocation's scale, which for a pyramid's base face can
+// be far out of view
+function dualAtSize(vertices, faces) {
+  const dual = computeDual(vertices, faces, dualCenter);
+  if (dual.degenerateFaces.length) return dual;
+  return { ...dual, vertices: scaleAbout(dual.vertices, dual.center, circumradius(vertices, dual.center) / circumradius(dual.vertices, dual.center)) };
+}
 
-  // Build edges
-  const edgesGeometry = buildEdgesGeometry(vertices, faces, scale);
-  const edgesLine = new THREE.LineSegments(edgesGeometry, edgeMaterial);
-  const wireframeLine = new THREE.LineSegments(edgesGeometry, wireframeMaterial);
+// Face colors of the displayed shape, and of the dual in compound mode, in
+// the chosen scheme
+function colorFaces() {
+  currentColoring = faceColoring(mainView.displayed.vertices, mainView.displayed.faces, colorScheme, colorPalette);
+  if (currentCompound) {
+    currentCompound.colors = faceColoring(currentCompound.vertices, currentCompound.faces, colorScheme, colorPalette).colors;
+  }
+}
+
+// Vertices scaled by factor about a centre
+function scaleAbout(vertices, center, factor) {
+  return vertices.map(v => v.map((x, k) => center[k] + (x - center[k]) * factor));
+}
+
+const circumradius = (vertices, center) => Math.max(...vertices.map(v => Math.hypot(v[0] - center[0], v[1] - center[1], v[2] - center[2])));
+
+// Build the scene meshes for the displayed shape, or for its net folded by foldAmount
+function buildMeshes() {
+  // Remove existing group
+  if (mainView.meshGroup) {
+    mainView.scene.remove(mainView.meshGroup);
+    disposeMeshes(mainView.meshGroup.userData);
+  }
+
+  mainView.meshGroup = new THREE.Group();
+  if (currentProjection) {
+    buildProjectionMeshes();
+    return;
+  }
+  let { vertices, faces } = currentNet ? foldNet(currentNet, foldAmount) : mainView.displayed;
+
+  // Compound: the slider shrinks the shape away towards the dual end and the
+  // dual away towards the shape end, both about the centre of reciprocation,
+  // with both at full size in the middle
+  let compound = null;
+  if (currentCompound) {
+    const { center, radius } = currentCompound;
+    const shapeSize = Math.min(1, 2 * (1 - reciprocation));
+    const dualSize = Math.min(1, 2 * reciprocation);
+    vertices = scaleAbout(vertices, center, Math.max(shapeSize, 1e-3));
+    const dualVertices = scaleAbout(currentCompound.vertices, center, Math.max(dualSize, 1e-3));
+    const dualEdges = buildEdgesGeometry(dualVertices, currentCompound.faces, displayScale);
+    const midsphere = new THREE.Mesh(new THREE.SphereGeometry(radius * displayScale, 48, 32), midsphereMaterial);
+    midsphere.position.set(...center).multiplyScalar(displayScale);
+    compound = {
+      shapeVisible: shapeSize > 0.01,
+      dualVisible: dualSize > 0.01,
+      solidMesh: new THREE.Mesh(buildColoredGeometry(dualVertices, currentCompound.faces, displayScale, currentCompound.colors), coloredMaterial),
+      edgesLine: new THREE.LineSegments(dualEdges, edgeMaterial),
+      wireframeLine: new THREE.LineSegments(dualEdges, wireframeMaterial),
+      midsphere,
+      snapshot: { vertices: scaleAbout(dualVertices, [0, 0, 0], displayScale), faces: currentCompound.faces, faceColors: currentCompound.colors }
+    };
+  }
+
+  // Shrink the flat net to fit the view, growing back to full size as it folds
+  const netScale = currentNet ? Math.min(1, 2.5 / currentNet.radius) : 1;
+  const scale = displayScale * (netScale + (1 - netScale) * foldAmount);
+
+  // Symmetry elements belong to the solid, so are left out of the net
+  const symmetryOverlay = currentSymmetry && !currentNet ? buildSymmetryOverlay(currentSymmetry, vertices) : null;
+
+  // Cross-section: the solid cut by the plane and capped. The net is no
+  // solid, so stays whole.
+  let faceColors = currentColoring.colors;
+  currentSection = null;
+  if (sectionMode && !currentNet) {
+    const { min, max } = sectionRange(vertices, sectionNormal);
+    currentSection = sliceSolid(vertices, faces, sectionNormal, min + (max - min) * sectionOffset);
+    updateSectionInfo(vertices, faces);
+    ({ vertices, faces } = currentSection);
+    faceColors = currentSection.sourceFaces.map(f => f < 0 ? SECTION_COLOR : currentColoring.colors[f]);
+  } else {
+    updateSectionInfo();
+  }
+
+  // Exploded: faces pushed out along their normals
+  let faceOffsets = null;
+  if (explodeMode && !currentNet) faceOffsets = explodeOffsets(vertices, faces, explodeAmount, explodeSides);
+
+  let solidMesh, edgesLine, wireframeLine;
+  if (assembly) assembly.pieces = null;
+  if (faceOffsets && assembly) {
+    ({ solidMesh, edgesLine, wireframeLine } = buildAssemblyPieces(vertices, faces, scale, faceColors, faceOffsets));
+  } else {
+    // Build colored geometry from face data
+    const geometry = buildColoredGeometry(vertices, faces, scale, faceColors, faceOffsets);
+    solidMesh = new THREE.Mesh(geometry, coloredMaterial);
+
+    // Build edges
+    const edgesGeometry = buildEdgesGeometry(vertices, faces, scale, faceOffsets);
+    edgesLine = new THREE.LineSegments(edgesGeometry, edgeMaterial);
+    wireframeLine = new THREE.LineSegments(edgesGeometry, wireframeMaterial);
+  }
+
+  // Spheres and vertex figures belong to the whole solid, as it stands
+  const sphereOverlay = currentSpheres && !currentNet ? buildSphereOverlay(currentSpheres) : null;
+  const figureOverlay = currentFigures && !currentNet && !currentCompound && !isExploded() && !currentSection ? buildFigureOverlay(currentFigures) : null;
+
+  // Plain scene coordinates for vector snapshots
+  const drawn = faceOffsets ? explodedSolid(vertices, faces, faceOffsets) : { vertices, faces };
+  const snapshot = { vertices: scaleAbout(drawn.vertices, [0, 0, 0], scale), faces: drawn.faces, faceColors };
 
   // Store references
-  meshGroup.userData = { solidMesh, edgesLine, wireframeLine };
-  scene.add(meshGroup);
+  mainView.meshGroup.userData = { solidMesh, edgesLine, wireframeLine, symmetryOverlay, sphereOverlay, figureOverlay, compound, snapshot };
+  mainView.scene.add(mainView.meshGroup);
 
   updateDisplay();
-  updateShapeInfo(vertices, faces);
+}
+
+// Meshes of the projection, part way there by projectionAmount. It replaces
+// the solid, so takes no cut, and the symmetry elements no longer fit it.
+function buildProjectionMeshes() {
+  currentSection = null;
+  updateSectionInfo();
+  const positions = projectionPositions(currentProjection, projectionAmount, projectionFacing);
+  const solidMesh = new THREE.Mesh(buildProjectionGeometry(positions, currentProjection.triangles, displayScale, currentColoring.colors), projectionMaterial);
+  const edgesGeometry = buildPolylineGeometry(positions, currentProjection.edges, displayScale);
+  const edgesLine = new THREE.LineSegments(edgesGeometry, edgeMaterial);
+  const wireframeLine = new THREE.LineSegments(edgesGeometry, wireframeMaterial);
+  mainView.meshGroup.userData = { solidMesh, edgesLine, wireframeLine, symmetryOverlay: null, compound: null, snapshot: null };
+  mainView.scene.add(mainView.meshGroup);
+  updateDisplay();
+}
+
+// Free the geometry of every mesh built for a group, shown or not: updateDisplay
+// leaves some out, and the compound's dual may be shrunk away
+function disposeMeshes({ solidMesh, edgesLine, wireframeLine, symmetryOverlay, sphereOverlay, figureOverlay, compound }) {
+  const parts = [solidMesh, edgesLine, wireframeLine, symmetryOverlay, sphereOverlay, figureOverlay];
+  if (compound) parts.push(compound.solidMesh, compound.edgesLine, compound.midsphere);
+  for (const part of parts) {
+    if (!part) continue;
+    part.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+    });
+  }
 }
 
 function updateDisplay() {
-  if (!meshGroup) return;
+  if (!mainView.meshGroup) return;
 
-  const { solidMesh, edgesLine, wireframeLine } = meshGroup.userData;
+  const { solidMesh, edgesLine, wireframeLine, symmetryOverlay, sphereOverlay, figureOverlay, compound } = mainView.meshGroup.userData;
 
   // Clear group
-  meshGroup.clear();
+  mainView.meshGroup.clear();
+
+  // The shape, and in compound mode its dual, each unless shrunk away
+  const parts = [{ solidMesh, edgesLine, wireframeLine }];
+  if (compound) {
+    if (!compound.shapeVisible) parts.pop();
+    if (compound.dualVisible) parts.push(compound);
+    mainView.meshGroup.add(compound.midsphere);
+  }
+  for (const part of parts) {
+    if (mainView.display === 'wireframe') {
+      mainView.meshGroup.add(part.wireframeLine);
+    } else {
+      // Default: solid + edges
+      mainView.meshGroup.add(part.solidMesh);
+      mainView.meshGroup.add(part.edgesLine);
+    }
+  }
+  if (symmetryOverlay) mainView.meshGroup.add(symmetryOverlay);
+  if (sphereOverlay) mainView.meshGroup.add(sphereOverlay);
+  if (figureOverlay) mainView.meshGroup.add(figureOverlay);
+}
 
-  if (currentDisplay === 'wireframe') {
-    meshGroup.add(wireframeLine);
-  } else {
-    // Default: solid + edges
-    meshGroup.add(solidMesh);
-    meshGroup.add(edgesLine);
+// The spheres ticked in the sphere controls, whether or not the solid has them
+function buildSphereOverlay(spheres) {
+  const overlay = new THREE.Group();
+  for (const kind of spheresShown) {
+    const { center, radius } = spheres[kind];
+    const sphere = new THREE.Mesh(new THREE.SphereGeometry(radius * displayScale, 48, 32), sphereMaterials[kind]);
+    sphere.position.set(...center).multiplyScalar(displayScale);
+    overlay.add(sphere);
+  }
+  return overlay;
+}
+
+// Each vertex figure as a filled polygon, fanned from its centre (it may be
+// skew), with its outline along the faces and a marker on its vertex
+function buildFigureOverlay(figures) {
+  const overlay = new THREE.Group();
+  const point = (p) => new THREE.Vector3(...p).multiplyScalar(displayScale);
+  for (const { vertex, points } of figures) {
+    const corners = points.map(point);
+    const middle = corners.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(corners.length);
+    const fan = corners.flatMap((p, i) => [middle, p, corners[(i + 1) % corners.length]]);
+    overlay.add(new THREE.Mesh(new THREE.BufferGeometry().setFromPoints(fan), figureFillMaterial));
+
+    corners.forEach((p, i) => {
+      const q = corners[(i + 1) % corners.length];
+      const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, p.distanceTo(q), 8), figureMaterial);
+      rod.position.copy(p).add(q).multiplyScalar(0.5);
+      rod.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), q.clone().sub(p).normalize());
+      overlay.add(rod);
+    });
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.05, 16, 12), figureMaterial);
+    marker.position.copy(point(mainView.displayed.vertices[vertex]));
+    overlay.add(marker);
+  }
+  return overlay;
+}
+
+// Rotation axes, with an n-gon marker at each end of an n-fold axis (an
+// ellipse for a half turn), and mirror planes as discs through the centre
+function buildSymmetryOverlay({ center, axes, planes }, vertices) {
+  const overlay = new THREE.Group();
+  const origin = new THREE.Vector3(...center).multiplyScalar(displayScale);
+  const radius = displayScale * Math.max(...vertices.map(v => Math.hypot(v[0] - center[0], v[1] - center[1], v[2] - center[2])));
+  const reach = radius * 1.3;
+  const up = new THREE.Vector3(0, 1, 0);
+  const facing = new THREE.Vector3(0, 0, 1);
+
+  for (const { axis, order } of axes) {
+    const direction = new THREE.Vector3(...axis);
+    const material = axisMaterial(order);
+    const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 2 * reach, 6), material);
+    rod.quaternion.setFromUnitVectors(up, direction);
+    rod.position.copy(origin);
+    overlay.add(rod);
+
+    const marker = new THREE.CircleGeometry(0.08, order === 2 ? 24 : order);
+    if (order === 2) marker.scale(1, 0.45, 1);
+    for (const end of [1, -1]) {
+      const mesh = new THREE.Mesh(marker, material);
+      mesh.quaternion.setFromUnitVectors(facing, direction);
+      mesh.position.copy(origin).addScaledVector(direction, end * reach);
+      overlay.add(mesh);
+    }
+  }
+
+  for (const normal of planes) {
+    const disc = new THREE.Mesh(new THREE.CircleGeometry(radius * 1.15, 64), mirrorMaterial);
+    disc.quaternion.setFromUnitVectors(facing, new THREE.Vector3(...normal));
+    disc.position.copy(origin);
+    overlay.add(disc);
   }
+  return overlay;
 }
 
 // Dual name mappings for Catalan solids
@@ -155,15 +547,33 @@ const dualNames = {
   catalan_snubDodecahedron: 'Snub Dodecahedron'
 };
 
+// Schoenflies symbol with its subscript: D5h -> D<sub>5h</sub>
+const formatPointGroup = (name) => (name.length > 1 ? `${name[0]}<sub>${name.slice(1)}</sub>` : name);
+
+// Name of a shape or its dual, using the specific dual name if available,
+// otherwise "Dual of X"
+function shapeName(key, dual) {
+  const data = polyhedra[key];
+  return dual ? (dualNames[key] || data.dualName || `Dual of ${data.name}`) : data.name;
+}
+
+function displayedName() {
+  if (!truncationShown) return shapeName(mainView.shape, mainView.dualShown);
+  // In truncation mode, the uniform solid at a stop of the sliders
+  const stop = truncationStop(mainView.shape, truncation, cantellation);
+  if (stop) return shapeName(stop.key, mainView.dualShown);
+  const name = `${polyhedra[mainView.shape].name} (truncation ${truncation.toFixed(2)}, cantellation ${cantellation.toFixed(2)})`;
+  return mainView.dualShown ? `Dual of ${name}` : name;
+}
+
+// Text made safe to put in markup; imported shapes bring their own names
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
 function updateShapeInfo(vertices, faces) {
   const infoEl = document.getElementById('shape-info');
   if (!infoEl) return;
 
-  const data = polyhedra[currentShape];
-  // Use specific dual name if available, otherwise "Dual of X"
-  const name = showDual
-    ? (dualNames[currentShape] || `Dual of ${data.name}`)
-    : data.name;
+  const name = displayedName();
 
   // Count edges (each edge shared by 2 faces)
   const edgeSet = new Set();
@@ -175,15 +585,136 @@ function updateShapeInfo(vertices, faces) {
   }
 
   infoEl.innerHTML = `
-    <div class="shape-name">${name}</div>
+    <div class="shape-name">${escapeHTML(name)}</div>
     <div class="shape-stats">
       <span>${vertices.length} vertices</span>
       <span>${edgeSet.size} edges</span>
       <span>${faces.length} faces</span>
     </div>
+    ${currentSymmetry ? symmetryStats(currentSymmetry) : ''}
+    <button id="inspector-toggle" class="${inspectorOpen ? 'active' : ''}">Details</button>
+  `;
+  document.getElementById('inspector-toggle').addEventListener('click', () => {
+    inspectorOpen = !inspectorOpen;
+    updateInspector();
+  });
+  updateInspector();
+  updateRelations();
+  updateGeodesicInfo(vertices, faces);
+}
+
+// Links to the solids the shape is derived from and can become by augmenting,
+// diminishing, gyrating or elongating. They describe the shape itself, so are
+// left out while its dual is shown.
+function updateRelations() {
+  const relationsEl = document.getElementById('shape-relations');
+  const { from, to } = mainView.dualShown || truncationShown ? { from: [], to: [] } : johnsonRelations(mainView.shape);
+  const links = (relations, tense) => relations.map(({ key, operation }) => {
+    const name = polyhedra[resolveShapeKey(key)].name;
+    return `<button class="relation-link" data-shape="${key}"><span class="operation">${johnsonOperations[operation][tense]}</span> ${name}</button>`;
+  }).join('');
+  const rows = [];
+  if (from.length) rows.push(`<div class="relation-row"><span class="label">Derived from</span>${links(from, 'past')}</div>`);
+  if (to.length) rows.push(`<div class="relation-row"><span class="label">Can become</span>${links(to, 'verb')}</div>`);
+  relationsEl.innerHTML = rows.join('');
+  relationsEl.classList.toggle('visible', rows.length > 0);
+}
+
+// Info bar readout for geodesic and Goldberg shapes: class and triangulation
+// number, the faces by polygon type, and the edge lengths as chord factors
+// (lengths over the circumradius), lettered shortest first as dome builders
+// label their struts
+function updateGeodesicInfo(vertices, faces) {
+  const geodesicInfo = document.getElementById('geodesic-info');
+  const data = polyhedra[mainView.shape];
+  if (data.category !== 'geodesic' || truncationShown) {
+    geodesicInfo.textContent = '';
+    return;
+  }
+  const [m, n] = data.frequency;
+  const polygons = faceBreakdown(faces).map(({ sides, count }) => {
+    const name = (polygonNames[sides] || `${sides}-gon`).toLowerCase();
+    return `${count} ${name}${count > 1 ? 's' : ''}`;
+  });
+  // High class III frequencies have too many chords to list
+  const classes = chordClasses(vertices, faces);
+  const chords = classes.length <= 8
+    ? `chords ${classes.map(({ length, count }, i) => `${String.fromCharCode(65 + i)} ${length.toFixed(4)} ×${count}`).join(', ')}`
+    : `${classes.length} chord lengths from ${classes[0].length.toFixed(4)} to ${classes[classes.length - 1].length.toFixed(4)}`;
+  geodesicInfo.textContent = `Class ${geodesicClass(m, n)} (${m},${n}) · T = ${triangulationNumber(m, n)} · ` +
+    `${polygons.join(' + ')} · ${chords}`;
+}
+
+document.getElementById('shape-relations').addEventListener('click', (event) => {
+  const link = event.target.closest('.relation-link');
+  if (!link) return;
+  const key = resolveShapeKey(link.dataset.shape);
+  const data = polyhedra[key];
+  if (data.category === 'family' && data.sides !== familySides) showFamilySides(data.sides);
+  if (data.category === 'geodesic' && data.frequency.join() !== geodesicFrequency.join()) showGeodesicFrequency(...data.frequency);
+  selectShape(key);
+});
+
+// Point group with the number of axes of each order and of mirror planes
+function symmetryStats({ name, axes, planes }) {
+  const orders = [...new Set(axes.map(a => a.order))];
+  const axisCounts = orders.map(order => {
+    const color = `#${axisColor(order).toString(16).padStart(6, '0')}`;
+    const count = axes.filter(a => a.order === order).length;
+    return `<span><i class="axis-swatch" style="background: ${color}"></i>${count} × ${order}-fold</span>`;
+  });
+  const mirrors = planes.length ? [`<span>${planes.length} mirror plane${planes.length > 1 ? 's' : ''}</span>`] : [];
+  return `
+    <div class="shape-stats">
+      <span class="point-group">${formatPointGroup(name)}</span>
+      ${[...axisCounts, ...mirrors].join('')}
+    </div>
   `;
 }
 
+// Geometry inspector below the shape info, measured from the displayed solid
+function updateInspector() {
+  const inspectorEl = document.getElementById('inspector');
+  document.getElementById('inspector-toggle').classList.toggle('active', inspectorOpen);
+  inspectorEl.classList.toggle('visible', inspectorOpen);
+  if (!inspectorOpen || !mainView.displayed) return;
+
+  const m = measurePolyhedron(mainView.displayed.vertices, mainView.displayed.faces);
+  const format = (x) => x.toFixed(6);
+  const formatRange = ({ min, max }) => (max - min < 1e-5 * max ? format(min) : `${format(min)} – ${format(max)}`);
+
+  const rows = [
+    ['Edge length', m.edgeLength.max - 1 < 1e-5 ? '1' : `1 – ${format(m.edgeLength.max)}`],
+    ['Surface area', format(m.area)],
+    ['Volume', m.volume === null ? 'n/a (self-intersecting)' : format(m.volume)],
+    ['Circumradius', formatRange(m.circumradius)],
+    ['Midradius', formatRange(m.midradius)],
+    ['Inradius', formatRange(m.inradius)],
+    ['Sphericity', m.sphericity === null ? 'n/a' : format(m.sphericity)],
+    ['Faces', m.faceCounts.map(({ label, count }) => `${count} × ${polygonName(label)}`).join('<br>')],
+    ['Dihedral angles', m.dihedralAngles.map(({ degrees, count }) => `${degrees.toFixed(2)}° × ${count}`).join('<br>')],
+    ['Vertex configuration', m.vertexConfigurations.map(({ compact, notation, count }) =>
+      `${compact}${compact !== notation ? ` <span class="notation">(${notation})</span>` : ''} × ${count}`).join('<br>')],
+    ['Symmetry', `${formatPointGroup(m.pointGroup)}, order ${m.symmetryOrder}`]
+  ];
+  inspectorEl.innerHTML = rows.map(([label, value]) => `<div class="label">${label}</div><div>${value}</div>`).join('');
+}
+
+// Show a notice (e.g. an error) below the shape info
+function showInfoMessage(message, type = 'error') {
+  const messageEl = document.getElementById('info-message');
+  if (!messageEl) return;
+  messageEl.textContent = message;
+  messageEl.className = `visible ${type}`;
+}
+
+function clearInfoMessage() {
+  const messageEl = document.getElementById('info-message');
+  if (!messageEl) return;
+  messageEl.textContent = '';
+  messageEl.className = '';
+}
+
 // Shared thumbnail renderer (reused to avoid WebGL context limits)
 let thumbRenderer = null;
 let thumbScene = null;
@@ -273,6 +804,48 @@ function generateThumbnail(shapeKey, size = 50) {
   return dataUrl;
 }
 
+// Create a collapsible category section of shape thumbnails
+function createSection(name, shapes, collapsed = false, scrollable = false) {
+  const section = document.createElement('div');
+  section.className = 'category-section' + (collapsed ? ' collapsed' : '') + (scrollable ? ' scrollable' : '');
+
+  const label = document.createElement('div');
+  label.className = 'category-label';
+  label.innerHTML = `<span class="collapse-icon">${collapsed ? '+' : '−'}</span> ${name} <span class="category-count">(${shapes.length})</span>`;
+  label.addEventListener('click', () => {
+    section.classList.toggle('collapsed');
+    const icon = label.querySelector('.collapse-icon');
+    icon.textContent = section.classList.contains('collapsed') ? '+' : '−';
+  });
+  section.appendChild(label);
+
+  const content = document.createElement('div');
+  content.className = 'category-content';
+
+  for (const { key, name } of shapes) {
+    const thumb = document.createElement('div');
+    thumb.className = 'shape-thumb';
+    thumb.dataset.shape = key;
+    if (key === mainView.shape) thumb.classList.add('active');
+
+    const img = document.createElement('img');
+    img.src = generateThumbnail(key);
+    img.alt = name;
+    thumb.appendChild(img);
+
+    const tooltip = document.createElement('span');
+    tooltip.className = 'tooltip';
+    tooltip.textContent = name;
+    thumb.appendChild(tooltip);
+
+    thumb.addEventListener('click', () => selectShape(thumb.dataset.shape));
+    content.appendChild(thumb);
+  }
+
+  section.appendChild(content);
+  return section;
+}
+
 // Generate UI buttons dynamically
 function generateUI() {
   const shapeButtons = document.getElementById('shape-buttons');
@@ -282,91 +855,262 @@ function generateUI() {
   initThumbnailRenderer();
 
   // Group by category
-  const categories = { platonic: [], archimedean: [], catalan: [], johnson: [] };
+  const categories = { platonic: [], archimedean: [], catalan: [], star: [], johnson: [] };
   for (const [key, data] of Object.entries(polyhedra)) {
     if (categories[data.category]) {
       categories[data.category].push({ key, name: data.name });
     }
   }
 
-  // Helper to create a category section
-  function createSection(name, shapes, collapsed = false, scrollable = false) {
-    const section = document.createElement('div');
-    section.className = 'category-section' + (collapsed ? ' collapsed' : '') + (scrollable ? ' scrollable' : '');
+  shapeButtons.appendChild(createSection('Platonic', categories.platonic, false));
+  shapeButtons.appendChild(createSection('Archimedean', categories.archimedean, false));
+  shapeButtons.appendChild(createSection('Catalan', categories.catalan, true));
+
+  // Parametric families, one thumbnail per family at the selected n
+  const familyShapes = Object.keys(families).map(family => {
+    const key = createFamilyShape(family, familySides);
+    return { key, name: polyhedra[key].name };
+  });
+  const familySection = createSection('Families', familyShapes, true);
+  familySection.querySelectorAll('.shape-thumb').forEach(thumb => {
+    thumb.dataset.family = polyhedra[thumb.dataset.shape].family;
+  });
+  familySection.querySelector('.category-content').prepend(createSidesSelector());
+  shapeButtons.appendChild(familySection);
+
+  // Geodesic polyhedra on each base, then their Goldberg duals, at the selected (m, n)
+  const geodesicShapes = [false, true].flatMap(goldberg => Object.keys(geodesicBases).map(base => {
+    const key = createGeodesicShape(base, ...geodesicFrequency, goldberg);
+    return { key, name: polyhedra[key].name };
+  }));
+  const geodesicSection = createSection('Geodesic', geodesicShapes, true);
+  geodesicSection.querySelectorAll('.shape-thumb').forEach(thumb => {
+    const { base, goldberg } = polyhedra[thumb.dataset.shape];
+    thumb.dataset.geodesic = base;
+    if (goldberg) thumb.dataset.goldberg = '1';
+  });
+  geodesicSection.querySelector('.category-content').prepend(createFrequencySelector());
+  shapeButtons.appendChild(geodesicSection);
+
+  shapeButtons.appendChild(createSection('Star', categories.star, true));
+
+  shapeButtons.appendChild(createCustomSection());
+
+  shapeButtons.appendChild(createSection('Johnson', categories.johnson, true, true));
+
+  // Dispose shared thumbnail renderer
+  disposeThumbnailRenderer();
+
+  // Generate color legend
+  generateColorLegend();
+
+  applyShapeFilter();
+}
 
-    const label = document.createElement('div');
-    label.className = 'category-label';
-    label.innerHTML = `<span class="collapse-icon">${collapsed ? '+' : '−'}</span> ${name} <span class="category-count">(${shapes.length})</span>`;
-    label.addEventListener('click', () => {
-      section.classList.toggle('collapsed');
-      const icon = label.querySelector('.collapse-icon');
-      icon.textContent = section.classList.contains('collapsed') ? '+' : '−';
+// Imported shapes, with an Import button and a remove button on each thumbnail
+function createCustomSection(collapsed = true) {
+  const shapes = Object.entries(polyhedra)
+    .filter(([, data]) => data.category === 'custom')
+    .map(([key, data]) => ({ key, name: data.name }));
+  const section = createSection('Custom', shapes, collapsed);
+  section.id = 'custom-section';
+
+  section.querySelectorAll('.shape-thumb').forEach(thumb => {
+    const remove = document.createElement('button');
+    remove.className = 'remove-shape';
+    remove.textContent = '×';
+    remove.title = 'Remove';
+    remove.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const key = thumb.dataset.shape;
+      removeCustomShape(key);
+      refreshCustomSection();
+      if (mainView.shape === key) selectShape('tetrahedron');
     });
-    section.appendChild(label);
+    thumb.appendChild(remove);
+  });
 
-    const content = document.createElement('div');
-    content.className = 'category-content';
+  const importButton = document.createElement('button');
+  importButton.className = 'import-button';
+  importButton.textContent = 'Import OFF / OBJ / JSON…';
+  importButton.addEventListener('click', () => importInput.click());
+  section.querySelector('.category-content').prepend(importButton);
 
-    for (const { key, name } of shapes) {
-      const thumb = document.createElement('div');
-      thumb.className = 'shape-thumb';
-      thumb.dataset.shape = key;
-      if (key === currentShape) thumb.classList.add('active');
+  return section;
+}
+
+// Rebuild the Custom section after shapes are imported or removed
+function refreshCustomSection(collapsed) {
+  const section = document.getElementById('custom-section');
+  initThumbnailRenderer();
+  section.replaceWith(createCustomSection(collapsed ?? section.classList.contains('collapsed')));
+  disposeThumbnailRenderer();
+  applyShapeFilter();
+}
 
-      const img = document.createElement('img');
-      img.src = generateThumbnail(key);
-      img.alt = name;
-      thumb.appendChild(img);
+// Slider choosing n for the parametric families section
+function createSidesSelector() {
+  const selector = document.createElement('label');
+  selector.className = 'sides-selector';
+
+  const text = document.createElement('span');
+  text.textContent = `n = ${familySides}`;
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = MIN_SIDES;
+  slider.max = MAX_SIDES;
+  slider.value = familySides;
+  slider.addEventListener('input', () => {
+    text.textContent = `n = ${slider.value}`;
+    setFamilySides(parseInt(slider.value, 10));
+  });
 
-      const tooltip = document.createElement('span');
-      tooltip.className = 'tooltip';
-      tooltip.textContent = name;
-      thumb.appendChild(tooltip);
+  selector.appendChild(text);
+  selector.appendChild(slider);
+  return selector;
+}
 
-      thumb.addEventListener('click', () => selectShape(key));
-      content.appendChild(thumb);
-    }
+// Regenerate the family thumbnails for a new n, following the current shape
+// if it belongs to a family
+function setFamilySides(n) {
+  showFamilySides(n);
 
-    section.appendChild(content);
-    return section;
+  const current = polyhedra[mainView.shape];
+  if (current.category === 'family') {
+    selectShape(createFamilyShape(current.family, n));
   }
+}
 
-  shapeButtons.appendChild(createSection('Platonic', categories.platonic, false));
-  shapeButtons.appendChild(createSection('Archimedean', categories.archimedean, false));
-  shapeButtons.appendChild(createSection('Catalan', categories.catalan, true));
-  shapeButtons.appendChild(createSection('Johnson', categories.johnson, true, true));
+// Set n for the family thumbnails and slider, without changing the shape
+function showFamilySides(n) {
+  familySides = n;
+  const selector = document.querySelector('.sides-selector');
+  if (selector) {
+    selector.querySelector('span').textContent = `n = ${n}`;
+    selector.querySelector('input').value = n;
+  }
 
-  // Dispose shared thumbnail renderer
+  initThumbnailRenderer();
+  document.querySelectorAll('.shape-thumb[data-family]').forEach(thumb => {
+    const key = createFamilyShape(thumb.dataset.family, n);
+    const name = polyhedra[key].name;
+    thumb.dataset.shape = key;
+    thumb.querySelector('img').src = generateThumbnail(key);
+    thumb.querySelector('img').alt = name;
+    thumb.querySelector('.tooltip').textContent = name;
+  });
   disposeThumbnailRenderer();
+  applyShapeFilter();
+}
 
-  // Generate color legend
-  generateColorLegend();
+// m and n inputs choosing the frequency for the geodesic section
+function createFrequencySelector() {
+  const selector = document.createElement('div');
+  selector.className = 'frequency-selector';
+  selector.title = 'Class I: n = 0 · Class II: m = n · Class III: otherwise, chiral';
+  geodesicFrequency.forEach((value, i) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.max = MAX_FREQUENCY;
+    input.value = value;
+    input.addEventListener('change', () => {
+      const frequency = [...geodesicFrequency];
+      frequency[i] = Math.min(MAX_FREQUENCY, Math.max(0, parseInt(input.value, 10) || 0));
+      if (frequency[0] + frequency[1] === 0) frequency[i] = 1;
+      input.value = frequency[i];
+      setGeodesicFrequency(...frequency);
+    });
+    label.append(i ? 'n' : 'm', input);
+    selector.appendChild(label);
+  });
+  return selector;
+}
+
+// Regenerate the geodesic thumbnails for a new (m, n), following the current
+// shape if it is one of them
+function setGeodesicFrequency(m, n) {
+  showGeodesicFrequency(m, n);
+
+  const current = polyhedra[mainView.shape];
+  if (current.category === 'geodesic') {
+    selectShape(createGeodesicShape(current.base, m, n, current.goldberg));
+  }
+}
+
+// Set (m, n) for the geodesic thumbnails and inputs, without changing the shape
+function showGeodesicFrequency(m, n) {
+  geodesicFrequency = [m, n];
+  document.querySelectorAll('.frequency-selector input').forEach((input, i) => {
+    input.value = geodesicFrequency[i];
+  });
+
+  initThumbnailRenderer();
+  document.querySelectorAll('.shape-thumb[data-geodesic]').forEach(thumb => {
+    const key = createGeodesicShape(thumb.dataset.geodesic, m, n, thumb.dataset.goldberg === '1');
+    const name = polyhedra[key].name;
+    thumb.dataset.shape = key;
+    thumb.querySelector('img').src = generateThumbnail(key);
+    thumb.querySelector('img').alt = name;
+    thumb.querySelector('.tooltip').textContent = name;
+  });
+  disposeThumbnailRenderer();
+  applyShapeFilter();
+}
+
+// Names of polygons by number of sides
+const polygonNames = {
+  3: 'Triangle',
+  4: 'Square',
+  5: 'Pentagon',
+  6: 'Hexagon',
+  7: 'Heptagon',
+  8: 'Octagon',
+  9: 'Enneagon',
+  10: 'Decagon',
+  12: 'Dodecagon'
+};
+
+// Name of a face type labelled "n" or "n/d" (a star polygon)
+function polygonName(label) {
+  if (label === '5/2') return 'Pentagram';
+  return label.includes('/') ? `{${label}}` : (polygonNames[label] || `${label}-gon`);
+}
+
+// Text of a legend entry from faceColoring
+function legendText(entry) {
+  if (entry.section) return 'Cut face';
+  if (entry.sides !== undefined) return polygonNames[entry.sides] || `${entry.sides}-gon`;
+  const count = entry.count ? ` × ${entry.count}` : '';
+  if (entry.label !== undefined) return `${polygonName(entry.label)}${entry.variant ? ` ${entry.variant}` : ''}${count}`;
+  if (entry.value !== undefined) return `${entry.bound ? `${entry.bound} ` : ''}${entry.value.toFixed(4)}${count}`;
+  return `Color ${entry.index + 1}${count}`;
 }
 
+// Legend of the active color scheme for the current shape; before a shape is
+// shown, the polygon convention
 function generateColorLegend() {
   const legend = document.getElementById('color-legend');
   if (!legend) return;
 
   legend.innerHTML = '';
-  const names = {
-    3: 'Triangle',
-    4: 'Square',
-    5: 'Pentagon',
-    6: 'Hexagon',
-    8: 'Octagon',
-    10: 'Decagon'
-  };
 
-  for (const [sides, color] of Object.entries(polygonColors)) {
+  const coloring = currentColoring || faceColoring([], [], 'sides', colorPalette);
+  colorNote.textContent = coloring.note || '';
+
+  const entries = currentSection ? [...coloring.legend, { color: SECTION_COLOR, section: true }] : coloring.legend;
+  for (const entry of entries) {
     const item = document.createElement('div');
     item.className = 'legend-item';
 
     const swatch = document.createElement('span');
     swatch.className = 'color-swatch';
-    swatch.style.backgroundColor = '#' + color.toString(16).padStart(6, '0');
+    swatch.style.backgroundColor = '#' + entry.color.toString(16).padStart(6, '0');
 
     const label = document.createElement('span');
-    label.textContent = names[sides] || `${sides}-gon`;
+    label.textContent = legendText(entry);
 
     item.appendChild(swatch);
     item.appendChild(label);
@@ -374,69 +1118,1552 @@ function generateColorLegend() {
   }
 }
 
-function selectShape(key) {
+// Color scheme and palette pickers
+const colorSchemeSelect = document.getElementById('color-scheme');
+const colorPaletteSelect = document.getElementById('color-palette');
+const colorNote = document.getElementById('color-note');
+for (const [key, label] of Object.entries(colorSchemes)) colorSchemeSelect.add(new Option(label, key));
+for (const [key, { label }] of Object.entries(colorPalettes)) colorPaletteSelect.add(new Option(label, key));
+
+function setColoring(scheme, palette) {
+  colorScheme = colorSchemes[scheme] ? scheme : 'sides';
+  colorPalette = colorPalettes[palette] ? palette : 'standard';
+  colorSchemeSelect.value = colorScheme;
+  colorPaletteSelect.value = colorPalette;
+}
+
+function recolor() {
+  setColoring(colorSchemeSelect.value, colorPaletteSelect.value);
+  if (mainView.displayed) {
+    colorFaces();
+    buildMeshes();
+  }
+  if (comparing) buildCompareMeshes();
+  generateColorLegend();
+  updateLink();
+}
+colorSchemeSelect.addEventListener('change', recolor);
+colorPaletteSelect.addEventListener('change', recolor);
+
+// Show a shape; each selection is a history entry unless restoring one from a link
+function selectShape(key, addToHistory = true) {
   document.querySelectorAll('.shape-thumb').forEach(thumb => {
     thumb.classList.toggle('active', thumb.dataset.shape === key);
   });
-  currentShape = key;
+  if (key !== mainView.shape) projectionFace = null;
+  mainView.shape = key;
+  clearInfoMessage();
   createPolyhedron();
+  if (addToHistory) updateLink(true);
+}
+
+// Search and filters above the shape list. Thumbnails that don't match are
+// hidden, and sections are opened while filtering so every match is in view.
+let shapeFilter = emptyFilter();
+const shapeSearch = document.getElementById('shape-search');
+const filterToggle = document.getElementById('filter-toggle');
+const filterPanel = document.getElementById('filter-panel');
+const polygonChips = document.getElementById('polygon-chips');
+const filterCount = document.getElementById('filter-count');
+const chiralitySelect = document.getElementById('filter-chirality');
+const symmetrySelect = document.getElementById('filter-symmetry');
+
+for (const sides of Object.keys(polygonColors).map(Number)) {
+  const chip = document.createElement('button');
+  chip.className = 'filter-chip';
+  chip.dataset.sides = sides;
+  chip.title = `Has ${polygonNames[sides].toLowerCase()} faces`;
+  chip.innerHTML = `<span class="color-swatch" style="background: #${polygonColors[sides].toString(16).padStart(6, '0')}"></span>${polygonNames[sides]}`;
+  chip.addEventListener('click', () => {
+    chip.classList.toggle('active');
+    readShapeFilter();
+  });
+  polygonChips.appendChild(chip);
+}
+
+for (const [value, { label }] of Object.entries(symmetryFamilies)) {
+  symmetrySelect.add(new Option(label, value));
+}
+
+function readShapeFilter() {
+  const range = (name) => ['min', 'max'].map(end => {
+    const value = document.getElementById(`filter-${name}-${end}`).value;
+    return value === '' ? null : Number(value);
+  });
+  shapeFilter = {
+    text: shapeSearch.value,
+    sides: [...polygonChips.querySelectorAll('.active')].map(chip => Number(chip.dataset.sides)),
+    vertices: range('vertices'),
+    edges: range('edges'),
+    faces: range('faces'),
+    chirality: chiralitySelect.value,
+    symmetry: symmetrySelect.value
+  };
+  applyShapeFilter();
+}
+
+function applyShapeFilter() {
+  const active = isFilterActive(shapeFilter);
+  const shapeButtons = document.getElementById('shape-buttons');
+  shapeButtons.classList.toggle('filtering', active);
+
+  let matches = 0;
+  let total = 0;
+  shapeButtons.querySelectorAll('.category-section').forEach(section => {
+    const thumbs = section.querySelectorAll('.shape-thumb');
+    let shown = 0;
+    thumbs.forEach(thumb => {
+      const key = thumb.dataset.shape;
+      const match = !active || matchesFilter(key, polyhedra[key], shapeFilter);
+      thumb.classList.toggle('filtered-out', !match);
+      if (match) shown++;
+    });
+    section.classList.toggle('no-matches', active && !shown);
+    section.querySelector('.category-count').textContent = active ? `(${shown} of ${thumbs.length})` : `(${thumbs.length})`;
+    matches += shown;
+    total += thumbs.length;
+  });
+  filterCount.textContent = active ? `${matches} of ${total} shapes match` : '';
+}
+
+shapeSearch.addEventListener('input', readShapeFilter);
+filterPanel.querySelectorAll('input, select').forEach(input => input.addEventListener('input', readShapeFilter));
+
+filterToggle.addEventListener('click', () => {
+  const open = filterPanel.classList.toggle('open');
+  filterToggle.classList.toggle('active', open);
+});
+
+document.getElementById('filter-clear').addEventListener('click', () => {
+  shapeSearch.value = '';
+  polygonChips.querySelectorAll('.active').forEach(chip => chip.classList.remove('active'));
+  filterPanel.querySelectorAll('input').forEach(input => { input.value = ''; });
+  filterPanel.querySelectorAll('select').forEach(select => { select.value = 'any'; });
+  readShapeFilter();
+});
+
+// Conway operator handler: "tI" builds from a seed, "tk" applies to the current shape
+const operatorForm = document.getElementById('operator-form');
+const operatorInput = document.getElementById('operator-input');
+operatorForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  try {
+    selectShape(createConwayShape(operatorInput.value, mainView.shape));
+  } catch (e) {
+    showInfoMessage(e.message);
+  }
+});
+
+// Import from the file picker or by dropping files on the window
+const importInput = document.getElementById('import-input');
+importInput.accept = importExtensions.join(',');
+importInput.addEventListener('change', () => {
+  importFiles(importInput.files);
+  importInput.value = '';
+});
+
+window.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  document.body.classList.add('drag-over');
+});
+window.addEventListener('dragleave', (event) => {
+  if (!event.relatedTarget) document.body.classList.remove('drag-over');
+});
+window.addEventListener('drop', (event) => {
+  event.preventDefault();
+  document.body.classList.remove('drag-over');
+  importFiles(event.dataTransfer.files);
+});
+
+async function importFiles(files) {
+  const errors = [];
+  const notes = [];
+  let lastKey = null;
+  for (const file of files) {
+    try {
+      const { key, genus, saved } = importPolyhedron(file.name, await file.text());
+      lastKey = key;
+      if (genus > 0) notes.push(`${polyhedra[key].name} has genus ${genus}`);
+      if (!saved) errors.push(`${file.name}: browser storage is full, it will not survive a reload`);
+    } catch (e) {
+      errors.push(`${file.name}: ${e.message}`);
+    }
+  }
+
+  if (lastKey) {
+    refreshCustomSection(false);
+    selectShape(lastKey);
+  }
+  if (errors.length) {
+    showInfoMessage(errors.join(' · '));
+  } else if (notes.length) {
+    showInfoMessage(notes.join(' · '), 'info');
+  }
 }
 
 // Wireframe toggle handler
 const wireframeToggle = document.getElementById('wireframe-toggle');
 wireframeToggle.addEventListener('click', () => {
-  if (currentDisplay === 'wireframe') {
-    currentDisplay = 'edges';
+  if (mainView.display === 'wireframe') {
+    mainView.display = 'edges';
     wireframeToggle.classList.remove('active');
   } else {
-    currentDisplay = 'wireframe';
+    mainView.display = 'wireframe';
     wireframeToggle.classList.add('active');
   }
   updateDisplay();
+  updateLink();
 });
 
-// Dual toggle handler
-const dualToggle = document.getElementById('dual-toggle');
-dualToggle.addEventListener('click', () => {
-  showDual = !showDual;
-  dualToggle.classList.toggle('active', showDual);
+// Projection toggle: flatten the solid into a Schlegel diagram, spread it
+// over its circumsphere, or project that stereographically to the plane,
+// animating from the solid. Clicking a face projects through it instead.
+const projectionToggle = document.getElementById('projection-toggle');
+const projectionControls = document.getElementById('projection-controls');
+const projectionSelect = document.getElementById('projection-kind');
+const PROJECTION_STEP = 0.02; // projection change per frame
+for (const [value, label] of Object.entries(projectionKinds)) {
+  projectionSelect.add(new Option(label, value));
+}
+
+projectionToggle.addEventListener('click', () => {
+  setProjectionMode(!projectionMode);
+  if (projectionMode) {
+    if (netMode) setNetMode(false);
+    if (compoundMode) setCompoundMode(false);
+    projectionSpeed = PROJECTION_STEP;
+  }
+  clearInfoMessage();
   createPolyhedron();
+  updateLink();
 });
 
-// Theme toggle handler
-let isDarkMode = true;
-const themeToggle = document.getElementById('theme-toggle');
-themeToggle.addEventListener('click', () => {
-  isDarkMode = !isDarkMode;
-  document.body.classList.toggle('light-mode', !isDarkMode);
-  themeToggle.textContent = isDarkMode ? '☀️' : '🌙';
+function setProjectionMode(on, amount = 0) {
+  projectionMode = on;
+  projectionAmount = amount;
+  projectionSpeed = 0;
+  projectionNext = null;
+  projectionFacing = null;
+  projectionToggle.classList.toggle('active', on);
+  projectionControls.classList.toggle('open', on);
+}
 
-  // Update scene background
-  scene.background = new THREE.Color(isDarkMode ? 0x1a1a2e : 0xe8e8f0);
+function setProjectionKind(kind) {
+  projectionKind = kind;
+  projectionSelect.value = kind;
+}
 
-  // Update edge colors
-  const edgeColor = isDarkMode ? 0xffffff : 0x333333;
-  edgeMaterial.color.setHex(edgeColor);
-  wireframeMaterial.color.setHex(edgeColor);
+// Go back to the solid, switch to the new kind and face, and project again
+function reproject(kind, face) {
+  projectionNext = { kind, face };
+  projectionSpeed = -PROJECTION_STEP;
+}
 
-  // Adjust lighting for light mode (brighter)
-  ambientLight.intensity = isDarkMode ? 0.5 : 0.8;
-  directionalLight.intensity = isDarkMode ? 0.8 : 1.0;
-  directionalLight2.intensity = isDarkMode ? 0.4 : 0.6;
-});
+function stepProjection() {
+  projectionAmount = Math.min(1, Math.max(0, projectionAmount + projectionSpeed));
+  if (projectionAmount <= 0 && projectionNext) {
+    setProjectionKind(projectionNext.kind);
+    projectionFace = projectionNext.face;
+    projectionNext = null;
+    projectionFacing = viewDirection();
+    projectionSpeed = PROJECTION_STEP;
+    createPolyhedron();
+    updateLink();
+    return;
+  }
+  if (projectionAmount <= 0 || projectionAmount >= 1) projectionSpeed = 0;
+  buildMeshes();
+}
 
-// Handle window resize
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
+projectionSelect.addEventListener('change', () => reproject(projectionSelect.value, projectionFace));
+
+// The face under the pointer becomes the one projected through. The spherical
+// tiling has no such face, so only remembers it for the flat views.
+function pickProjectionFace(clientX, clientY) {
+  const rect = mainView.renderer.domElement.getBoundingClientRect();
+  raycaster.setFromCamera(new THREE.Vector2(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  ), mainView.camera);
+  const hit = raycaster.intersectObject(mainView.meshGroup.userData.solidMesh)[0];
+  if (!hit) return;
+  const face = hit.object.geometry.userData.triangleFaces[hit.faceIndex];
+  if (currentProjection.axis) {
+    reproject(projectionKind, face);
+  } else {
+    projectionFace = face;
+    updateLink();
+  }
+}
+
+// Compare toggle: a second viewport beside the main one with a shape, dual
+// flag and display mode of its own. The two cameras move together, and the
+// panel sets the counts of the two shapes side by side.
+const compareToggle = document.getElementById('compare-toggle');
+const comparePanel = document.getElementById('compare-panel');
+const compareSelect = document.getElementById('compare-shape');
+const compareDualToggle = document.getElementById('compare-dual');
+const compareWireframeToggle = document.getElementById('compare-wireframe');
+const compareStats = document.getElementById('compare-stats');
+const categoryNames = {
+  platonic: 'Platonic', archimedean: 'Archimedean', catalan: 'Catalan', star: 'Star', johnson: 'Johnson',
+  family: 'Families', geodesic: 'Geodesic', conway: 'Conway', canonical: 'Canonical', custom: 'Custom'
+};
+let comparing = false;
+// Viewport of the second shape, with no shape until first compared
+const compareView = createViewport(document.getElementById('compare-container'), null);
+
+compareToggle.addEventListener('click', () => {
+  // The shape against its dual, to begin with
+  if (!compareView.shape) setCompared(mainView.shape, !mainView.dual, mainView.display);
+  setComparing(!comparing);
+  updateLink();
+});
+
+function setComparing(on) {
+  comparing = on;
+  compareToggle.classList.toggle('active', on);
+  comparePanel.classList.toggle('open', on);
+  document.body.classList.toggle('comparing', on);
+  if (on && !compareView.scene) {
+    mountViewport(compareView);
+    themeViewport(compareView);
+    // Each camera follows the other; the flag stops them chasing each other
+    let following = false;
+    const follow = (from, to) => () => {
+      if (!comparing || following) return;
+      following = true;
+      to.camera.position.copy(from.camera.position);
+      to.camera.up.copy(from.camera.up);
+      to.controls.target.copy(from.controls.target);
+      to.controls.update();
+      following = false;
+    };
+    mainView.controls.addEventListener('change', follow(mainView, compareView));
+    compareView.controls.addEventListener('change', follow(compareView, mainView));
+    compareView.controls.addEventListener('end', () => {
+      clearTimeout(cameraLinkTimer);
+      cameraLinkTimer = setTimeout(() => updateLink(), 300);
+    });
+  }
+  resizeViewports();
+  if (on) {
+    compareView.camera.position.copy(mainView.camera.position);
+    compareView.controls.target.copy(mainView.controls.target);
+    compareView.controls.update();
+    fillCompareSelect();
+    buildCompareMeshes();
+  }
+}
+
+function setCompared(key, dual, display) {
+  compareView.shape = key;
+  compareView.dual = dual;
+  compareView.display = display;
+  compareDualToggle.classList.toggle('active', dual);
+  compareWireframeToggle.classList.toggle('active', display === 'wireframe');
+}
+
+// Every shape loaded so far, by category
+function fillCompareSelect() {
+  compareSelect.innerHTML = '';
+  const groups = new Map();
+  for (const [key, data] of Object.entries(polyhedra)) {
+    if (!groups.has(data.category)) {
+      groups.set(data.category, document.createElement('optgroup'));
+      groups.get(data.category).label = categoryNames[data.category] || data.category;
+    }
+    groups.get(data.category).appendChild(new Option(data.name, key));
+  }
+  for (const group of groups.values()) compareSelect.appendChild(group);
+  compareSelect.value = compareView.shape;
+}
+
+compareSelect.addEventListener('change', () => {
+  compareView.shape = compareSelect.value;
+  buildCompareMeshes();
+  updateLink();
+});
+
+compareDualToggle.addEventListener('click', () => {
+  setCompared(compareView.shape, !compareView.dual, compareView.display);
+  buildCompareMeshes();
+  updateLink();
+});
+
+compareWireframeToggle.addEventListener('click', () => {
+  setCompared(compareView.shape, compareView.dual, compareView.display === 'wireframe' ? 'edges' : 'wireframe');
+  buildCompareMeshes();
+  updateLink();
+});
+
+function buildCompareMeshes() {
+  const { scene } = compareView;
+  if (compareView.meshGroup) {
+    scene.remove(compareView.meshGroup);
+    compareView.meshGroup.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+    });
+  }
+
+  // An imported shape may have been removed since
+  if (!polyhedra[compareView.shape]) compareView.shape = mainView.shape;
+  let { vertices, faces } = polyhedra[compareView.shape];
+  compareView.dualShown = false;
+  if (compareView.dual) {
+    const dual = dualAtSize(vertices, faces);
+    if (!dual.degenerateFaces.length) {
+      ({ vertices, faces } = dual);
+      compareView.dualShown = true;
+    }
+  }
+  compareView.displayed = { vertices, faces };
+
+  const group = new THREE.Group();
+  const edgesGeometry = buildEdgesGeometry(vertices, faces, displayScale);
+  if (compareView.display === 'wireframe') {
+    group.add(new THREE.LineSegments(edgesGeometry, wireframeMaterial));
+  } else {
+    const { colors } = faceColoring(vertices, faces, colorScheme, colorPalette);
+    group.add(new THREE.Mesh(buildColoredGeometry(vertices, faces, displayScale, colors), coloredMaterial));
+    group.add(new THREE.LineSegments(edgesGeometry, edgeMaterial));
+  }
+  compareView.meshGroup = group;
+  scene.add(group);
+  updateCompareStats();
+}
+
+// Counts of the two shapes, with the second's difference from the first
+function updateCompareStats() {
+  if (!mainView.displayed || !compareView.displayed) return;
+  const rowNames = { vertices: 'Vertices', edges: 'Edges', faces: 'Faces' };
+  const difference = (d) => d > 0 ? `+${d}` : d < 0 ? `−${-d}` : '';
+  const rows = compareCounts(mainView.displayed, compareView.displayed).map(({ type, label, a, b, difference: d }) => `
+    <tr class="${type === 'face' ? 'face-type' : ''}${d ? ' differs' : ''}">
+      <th>${type === 'face' ? `${polygonName(label)}s` : rowNames[type]}</th>
+      <td>${a}</td><td>${b}</td><td class="difference">${difference(d)}</td>
+    </tr>`);
+  const groups = [mainView.displayed, compareView.displayed].map(({ vertices, faces }) => symmetryGroup(vertices, faces).name);
+  rows.push(`
+    <tr class="${groups[0] !== groups[1] ? 'differs' : ''}">
+      <th>Symmetry</th><td>${formatPointGroup(groups[0])}</td><td>${formatPointGroup(groups[1])}</td><td></td>
+    </tr>`);
+  compareStats.innerHTML = `
+    <table>
+      <tr><th></th><th>${escapeHTML(displayedName())}</th><th>${escapeHTML(shapeName(compareView.shape, compareView.dualShown))}</th><th>Δ</th></tr>
+      ${rows.join('')}
+    </table>
+  `;
+}
+
+// Dual toggle handler
+const dualToggle = document.getElementById('dual-toggle');
+dualToggle.addEventListener('click', () => {
+  mainView.dual = !mainView.dual;
+  dualToggle.classList.toggle('active', mainView.dual);
+  updateDualControls();
+  clearInfoMessage();
+  createPolyhedron();
+  updateLink();
+});
+
+// Reciprocation centre for the dual and the compound, shown while either is on
+const dualControls = document.getElementById('dual-controls');
+const dualCenterSelect = document.getElementById('dual-center');
+for (const [value, label] of Object.entries(reciprocationCenters)) {
+  dualCenterSelect.add(new Option(label, value));
+}
+dualCenterSelect.value = dualCenter;
+dualCenterSelect.addEventListener('change', () => {
+  dualCenter = dualCenterSelect.value;
+  clearInfoMessage();
+  createPolyhedron();
+  if (comparing) buildCompareMeshes();
+  updateLink();
+});
+
+function updateDualControls() {
+  dualControls.classList.toggle('open', mainView.dual || compoundMode);
+}
+
+// Compound toggle: the shape with its dual at the scale where their edges cross
+// at the midsphere; the slider morphs from shape through compound to dual
+const compoundToggle = document.getElementById('compound-toggle');
+const compoundControls = document.getElementById('compound-controls');
+const reciprocationSlider = document.getElementById('reciprocation-slider');
+compoundToggle.addEventListener('click', () => {
+  setCompoundMode(!compoundMode);
+  if (compoundMode && netMode) setNetMode(false);
+  if (compoundMode && projectionMode) setProjectionMode(false);
+  clearInfoMessage();
+  createPolyhedron();
+  updateLink();
+});
+
+function setCompoundMode(on, amount = 0.5) {
+  compoundMode = on;
+  reciprocation = amount;
+  reciprocationSlider.value = Math.round(amount * 100);
+  compoundToggle.classList.toggle('active', compoundMode);
+  compoundControls.classList.toggle('open', compoundMode);
+  updateDualControls();
+}
+
+reciprocationSlider.addEventListener('input', () => {
+  reciprocation = reciprocationSlider.value / 100;
+  buildMeshes();
+});
+reciprocationSlider.addEventListener('change', () => updateLink());
+
+// Canonicalize: relax the displayed shape on screen, a slice of iterations per
+// frame, then show the result as a shape of its own. Any other change to the
+// display (a new shape, the dual toggle, ...) replaces displayed and stops it.
+const canonicalizeButton = document.getElementById('canonicalize');
+const CANONICAL_FRAME_MS = 15;
+canonicalizeButton.addEventListener('click', () => {
+  const sourceKey = mainView.shape;
+  const dual = mainView.dualShown;
+  if (truncationShown) {
+    showInfoMessage('Turn off Truncation to canonicalize', 'info');
+    return;
+  }
+  if (polyhedra[sourceKey].category === 'canonical' && !dual) {
+    showInfoMessage(`${displayedName()} is already canonical`, 'info');
+    return;
+  }
+
+  const { vertices, faces } = mainView.displayed;
+  const name = displayedName();
+  const before = planarityError(vertices, faces);
+  const steps = canonicalSteps(vertices, faces);
+  let last;
+  try {
+    last = steps.next().value;
+  } catch (e) {
+    showInfoMessage(e.message);
+    return;
+  }
+
+  clearSelection();
+  canonicalizeButton.disabled = true;
+  let live = mainView.displayed;
+  const frame = () => {
+    if (mainView.displayed !== live) {
+      canonicalizeButton.disabled = false;
+      return;
+    }
+    const start = performance.now();
+    let done = false;
+    while (!done && performance.now() - start < CANONICAL_FRAME_MS) {
+      const next = steps.next();
+      done = next.done;
+      if (!done) last = next.value;
+    }
+
+    if (done) {
+      canonicalizeButton.disabled = false;
+      const converged = last.change < 1e-9;
+      mainView.dual = false;
+      dualToggle.classList.remove('active');
+      updateDualControls();
+      selectShape(createCanonicalShape(sourceKey, { dual, name, vertices: last.vertices }));
+      showInfoMessage(`Planarity error ${before.toExponential(1)} → ${planarityError(last.vertices, faces).toExponential(1)} ` +
+        `after ${last.iteration} iterations${converged ? '' : ', stopped before converging'}`, 'info');
+      return;
+    }
+
+    live = mainView.displayed = { vertices: last.vertices, faces };
+    if (!currentNet && !currentProjection) buildMeshes();
+    showInfoMessage(`Canonicalizing: iteration ${last.iteration}, largest move ${last.change.toExponential(1)}`, 'info');
+    requestAnimationFrame(frame);
+  };
+  requestAnimationFrame(frame);
+});
+
+// Truncation toggle: sliders sweep a Platonic solid through its truncations to
+// the dual, and cantellate it towards the rhombicuboctahedron or
+// rhombicosidodecahedron. They snap to the uniform solids on the way.
+const truncationToggle = document.getElementById('truncation-toggle');
+const truncationControls = document.getElementById('truncation-controls');
+const truncationSlider = document.getElementById('truncation-slider');
+const cantellationSlider = document.getElementById('cantellation-slider');
+const TRUNCATION_SNAP = 0.015;
+
+truncationToggle.addEventListener('click', () => {
+  setTruncationMode(!truncationMode);
+  clearInfoMessage();
+  createPolyhedron();
+  updateLink();
+});
+
+function setTruncationMode(on) {
+  truncationMode = on;
+  truncationToggle.classList.toggle('active', on);
+  truncationControls.classList.toggle('open', on);
+}
+
+// Set the sliders' parameters, snapping to a nearby uniform solid
+function setTruncation(t, c) {
+  const stop = truncationSeries[mainView.shape] && truncationStop(mainView.shape, t, c, TRUNCATION_SNAP);
+  truncation = stop && stop.cantellation < 1 ? stop.truncation : t;
+  cantellation = stop ? stop.cantellation : c;
+  truncationSlider.value = Math.round(truncation * 1000);
+  cantellationSlider.value = Math.round(cantellation * 1000);
+}
+
+for (const slider of [truncationSlider, cantellationSlider]) {
+  slider.addEventListener('input', () => {
+    setTruncation(truncationSlider.value / 1000, cantellationSlider.value / 1000);
+    createPolyhedron();
+  });
+  slider.addEventListener('change', () => updateLink());
+}
+
+// Section toggle: cut the solid with a plane, set by its normal and offset or
+// tilted by an Alt-drag in the view, and cap the cut. The plane snaps square
+// to the shape's rotation axes and parallel to its mirror planes.
+const sectionToggle = document.getElementById('section-toggle');
+const sectionControls = document.getElementById('section-controls');
+const sectionSnap = document.getElementById('section-snap');
+const sectionInputs = ['section-x', 'section-y', 'section-z'].map(id => document.getElementById(id));
+const sectionSlider = document.getElementById('section-offset');
+const sectionInfo = document.getElementById('section-info');
+const SECTION_COLOR = 0xffe066;
+const SECTION_SNAP = 4 * Math.PI / 180; // snapping distance of a tilted plane
+const SECTION_TILT = 0.01;               // radians per pixel dragged
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const viewDirection = () => mainView.camera.position.clone().sub(mainView.controls.target).normalize().toArray();
+
+function setSectionMode(on) {
+  sectionMode = on;
+  sectionToggle.classList.toggle('active', on);
+  sectionControls.classList.toggle('open', on);
+}
+
+// Snapping directions by kind, 'axis-n' or 'mirror'
+function sectionKinds() {
+  const kinds = new Map();
+  for (const { normal, order, mirror } of sectionSymmetry ? sectionDirections(sectionSymmetry) : []) {
+    const kind = mirror ? 'mirror' : `axis-${order}`;
+    if (!kinds.has(kind)) kinds.set(kind, { label: mirror ? 'Parallel to a mirror plane' : `Square to a ${order}-fold axis`, normals: [] });
+    kinds.get(kind).normals.push(normal);
+  }
+  return kinds;
+}
+
+function sectionKindOf(normal) {
+  for (const [kind, { normals }] of sectionKinds()) {
+    if (normals.some(n => Math.abs(dot(n, normal)) > 1 - 1e-9)) return kind;
+  }
+  return 'custom';
+}
+
+function updateSectionSnaps() {
+  sectionSnap.innerHTML = '';
+  sectionSnap.add(new Option('Custom', 'custom'));
+  for (const [kind, { label }] of sectionKinds()) sectionSnap.add(new Option(label, kind));
+  sectionSnap.value = sectionKindOf(sectionNormal);
+}
+
+// A symmetry direction within snapping distance of the normal, signed to
+// match it, or the normal itself
+function snapSection(normal) {
+  for (const { normals } of sectionKinds().values()) {
+    for (const n of normals) {
+      const cos = dot(n, normal);
+      if (Math.abs(cos) > Math.cos(SECTION_SNAP)) return cos > 0 ? n : n.map(x => -x);
+    }
+  }
+  return normal;
+}
+
+function setSectionPlane(normal, offset = sectionOffset) {
+  const length = Math.hypot(...normal);
+  sectionNormal = normal.map(x => x / length);
+  sectionOffset = offset;
+  sectionInputs.forEach((input, k) => { input.value = Number(sectionNormal[k].toFixed(4)); });
+  sectionSlider.value = Math.round(sectionOffset * 1000);
+  sectionSnap.value = sectionKindOf(sectionNormal);
+}
+
+// Plane square to a direction of the kind, choosing the one most nearly
+// facing the camera and cutting away the near side
+function snapSectionTo(kind) {
+  const kinds = sectionKinds();
+  if (!kinds.has(kind)) return;
+  const view = viewDirection();
+  const best = kinds.get(kind).normals.reduce((a, b) => Math.abs(dot(b, view)) > Math.abs(dot(a, view)) ? b : a);
+  setSectionPlane(dot(best, view) < 0 ? best.map(x => -x) : best);
+}
+
+sectionToggle.addEventListener('click', () => {
+  setSectionMode(!sectionMode);
+  createPolyhedron();
+  if (sectionMode) {
+    const [first] = sectionKinds().keys();
+    if (first) {
+      snapSectionTo(first);
+      buildMeshes();
+      generateColorLegend();
+    }
+  }
+  updateLink();
+});
+
+sectionSnap.addEventListener('change', () => {
+  snapSectionTo(sectionSnap.value);
+  buildMeshes();
+  updateLink();
+});
+
+for (const input of sectionInputs) {
+  input.addEventListener('change', () => {
+    const normal = sectionInputs.map(i => parseFloat(i.value) || 0);
+    if (Math.hypot(...normal) === 0) return;
+    setSectionPlane(snapSection(normal.map(x => x / Math.hypot(...normal))));
+    buildMeshes();
+    updateLink();
+  });
+}
+
+sectionSlider.addEventListener('input', () => {
+  sectionOffset = sectionSlider.value / 1000;
+  buildMeshes();
+});
+sectionSlider.addEventListener('change', () => updateLink());
+
+// Alt-drag tilts the plane about the camera's axes. The drag turns an
+// unsnapped normal, so that the plane can be pulled off a snapped direction.
+let sectionDrag = null;
+document.getElementById('container').addEventListener('pointerdown', (event) => {
+  if (!event.altKey || !currentSection) return;
+  // Keep the drag from orbiting the camera or picking
+  event.stopPropagation();
+  sectionDrag = { at: [event.clientX, event.clientY], normal: new THREE.Vector3(...sectionNormal) };
+}, { capture: true });
+
+window.addEventListener('pointermove', (event) => {
+  if (!sectionDrag) return;
+  const [dx, dy] = [event.clientX - sectionDrag.at[0], event.clientY - sectionDrag.at[1]];
+  sectionDrag.at = [event.clientX, event.clientY];
+  const right = new THREE.Vector3().setFromMatrixColumn(mainView.camera.matrixWorld, 0);
+  const up = new THREE.Vector3().setFromMatrixColumn(mainView.camera.matrixWorld, 1);
+  sectionDrag.normal.applyAxisAngle(up, dx * SECTION_TILT).applyAxisAngle(right, dy * SECTION_TILT).normalize();
+  setSectionPlane(snapSection(sectionDrag.normal.toArray()));
+  buildMeshes();
+});
+
+window.addEventListener('pointerup', () => {
+  if (!sectionDrag) return;
+  sectionDrag = null;
+  updateLink();
+});
+
+// Info bar readout of the cut: the section's polygons, area and perimeter,
+// measured with the shortest edge as 1 like the inspector
+function updateSectionInfo(vertices, faces) {
+  if (!currentSection) {
+    sectionInfo.textContent = '';
+    return;
+  }
+  const { section } = currentSection;
+  if (!section.length) {
+    sectionInfo.textContent = 'Section: none at this offset';
+    return;
+  }
+  const scale = 1 / Math.min(...edgeList(faces).map(([a, b]) => Math.hypot(...[0, 1, 2].map(k => vertices[a][k] - vertices[b][k]))));
+  const name = ({ sides, regular }) => {
+    if (sides === 4) return regular ? 'Square' : 'Quadrilateral';
+    const base = polygonNames[sides] || `${sides}-gon`;
+    return regular ? `Regular ${base.toLowerCase()}` : base;
+  };
+  const area = Math.abs(section.reduce((sum, s) => sum + s.area, 0)) * scale * scale;
+  const perimeter = section.reduce((sum, s) => sum + s.perimeter, 0) * scale;
+  const polygons = section.length === 1 ? name(section[0]) : `${section.length} polygons (${section.map(name).join(', ')})`;
+  sectionInfo.textContent = `Section: ${polygons} · area ${area.toFixed(4)} · perimeter ${perimeter.toFixed(4)}`;
+}
+
+// Symmetry toggle: overlay the rotation axes and mirror planes
+const symmetryToggle = document.getElementById('symmetry-toggle');
+symmetryToggle.addEventListener('click', () => {
+  showSymmetry = !showSymmetry;
+  symmetryToggle.classList.toggle('active', showSymmetry);
+  createPolyhedron();
+  updateLink();
+});
+
+// Spheres toggle: a row per sphere, with a checkbox to draw it and its
+// radius, with the shortest edge as 1, or the spread of distances it would
+// have to span where the solid has no such sphere
+const spheresToggle = document.getElementById('spheres-toggle');
+const sphereControls = document.getElementById('sphere-controls');
+const sphereReadouts = {};
+for (const [kind, label] of Object.entries(sphereKinds)) {
+  const row = document.createElement('label');
+  row.className = 'export-option sphere-option';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = `sphere-${kind}`;
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) spheresShown.add(kind);
+    else spheresShown.delete(kind);
+    buildMeshes();
+    updateLink();
+  });
+  const swatch = document.createElement('span');
+  swatch.className = 'swatch';
+  swatch.style.background = `#${sphereColors[kind].toString(16).padStart(6, '0')}`;
+  sphereReadouts[kind] = document.createElement('span');
+  sphereReadouts[kind].className = 'readout';
+  row.append(checkbox, swatch, label, sphereReadouts[kind]);
+  sphereControls.appendChild(row);
+}
+
+spheresToggle.addEventListener('click', () => {
+  setSpheresMode(!spheresMode);
+  createPolyhedron();
+  updateLink();
+});
+
+function setSpheresMode(on, shown = [...spheresShown]) {
+  spheresMode = on;
+  spheresShown = new Set(shown);
+  for (const kind of Object.keys(sphereKinds)) document.getElementById(`sphere-${kind}`).checked = spheresShown.has(kind);
+  spheresToggle.classList.toggle('active', on);
+  sphereControls.classList.toggle('open', on);
+}
+
+function updateSphereReadouts() {
+  if (!currentSpheres) return;
+  const { vertices, faces } = mainView.displayed;
+  const scale = 1 / Math.min(...edgeList(faces).map(([a, b]) => Math.hypot(...[0, 1, 2].map(k => vertices[a][k] - vertices[b][k]))));
+  for (const [kind, { radius, min, max, exists }] of Object.entries(currentSpheres)) {
+    sphereReadouts[kind].textContent = exists
+      ? `r = ${(radius * scale).toFixed(4)}`
+      : `none (${(min * scale).toFixed(3)}–${(max * scale).toFixed(3)})`;
+    sphereReadouts[kind].title = exists ? '' : 'Nearest and furthest distance from the best-fitting centre';
+  }
+}
+
+// Vertex figure toggle: the figure of one vertex of each kind, the polygon
+// through the midpoints of its edges, named in the info bar. Clicking a
+// vertex moves its kind's figure there.
+const figureToggle = document.getElementById('figure-toggle');
+const figureControls = document.getElementById('figure-controls');
+const figureInfo = document.getElementById('figure-info');
+
+figureToggle.addEventListener('click', () => {
+  setFigureMode(!figureMode);
+  createPolyhedron();
+  updateLink();
 });
 
+function setFigureMode(on) {
+  figureMode = on;
+  figureToggle.classList.toggle('active', on);
+  figureControls.classList.toggle('open', on);
+}
+
+function showFigureAt(v) {
+  const figure = vertexFigure(mainView.displayed.vertices, mainView.displayed.faces, v);
+  const i = currentFigures.findIndex(({ orbit }) => orbit.includes(v));
+  if (!figure || i < 0) return;
+  currentFigures[i] = { ...figure, orbit: currentFigures[i].orbit };
+  buildMeshes();
+}
+
+function updateFigureInfo() {
+  if (!currentFigures) {
+    figureInfo.textContent = '';
+    return;
+  }
+  if (!currentFigures.length) {
+    figureInfo.textContent = 'Vertex figure: none, the faces do not close up round the vertices';
+    return;
+  }
+  const names = currentFigures.map(({ name, orbit }) => currentFigures.length > 1 ? `${name} ×${orbit.length}` : name);
+  figureInfo.textContent = `${currentFigures.length > 1 ? 'Vertex figures' : 'Vertex figure'}: ${names.join(' · ')}`;
+}
+
+// Explode toggle: push the faces out along their normals, all of them or those
+// of one polygon type, and assemble the solid face by face from the selected
+// face (or the first) outwards
+const explodeToggle = document.getElementById('explode-toggle');
+const explodeControls = document.getElementById('explode-controls');
+const explodeSlider = document.getElementById('explode-slider');
+const explodeSelect = document.getElementById('explode-faces');
+const assemblePlay = document.getElementById('assemble-play');
+
+explodeToggle.addEventListener('click', () => {
+  setExplodeMode(!explodeMode);
+  if (explodeMode && netMode) setNetMode(false);
+  clearSelection();
+  createPolyhedron();
+  updateLink();
+});
+
+function setExplodeMode(on, amount = explodeAmount, sides = explodeSides) {
+  explodeMode = on;
+  explodeAmount = amount;
+  explodeSides = sides;
+  explodeSlider.value = Math.round(amount * 100);
+  setAssembly(null);
+  explodeToggle.classList.toggle('active', on);
+  explodeControls.classList.toggle('open', on);
+}
+
+// Faces out of place, so not pickable
+const isExploded = () => explodeMode && !currentNet && (explodeAmount > 0 || assembly !== null);
+
+// The polygon types of the displayed shape, to explode on their own
+function updateExplodeSides() {
+  const counts = new Set(mainView.displayed.faces.map(face => face.length));
+  if (explodeSides !== null) counts.add(explodeSides);
+  explodeSelect.innerHTML = '';
+  explodeSelect.add(new Option('All faces', ''));
+  for (const sides of [...counts].sort((a, b) => a - b)) {
+    explodeSelect.add(new Option(`${polygonNames[sides] || `${sides}-gon`}s only`, sides));
+  }
+  explodeSelect.value = explodeSides === null ? '' : explodeSides;
+}
+
+explodeSlider.addEventListener('input', () => {
+  explodeAmount = explodeSlider.value / 100;
+  clearSelection();
+  buildMeshes();
+});
+explodeSlider.addEventListener('change', () => updateLink());
+
+explodeSelect.addEventListener('change', () => {
+  explodeSides = explodeSelect.value ? parseInt(explodeSelect.value, 10) : null;
+  buildMeshes();
+  updateLink();
+});
+
+function setAssembly(state) {
+  assembly = state;
+  assemblePlay.textContent = state ? 'Stop' : 'Assemble';
+}
+
+assemblePlay.addEventListener('click', () => {
+  if (assembly) {
+    setAssembly(null);
+  } else {
+    const picked = selection.find(s => s.type === 'face');
+    setAssembly({ start: picked ? picked.index : 0, time: 0 });
+    clearSelection();
+  }
+  buildMeshes();
+});
+
+// Pace of an assembly: a few seconds in all, however many faces, with each
+// face flying in from a little beyond the solid
+function assemblyTiming(vertices, faces) {
+  const interval = Math.min(20, Math.max(2, 240 / faces.length));
+  return { interval, fly: 4 * interval, distance: 0.8 * circumradius(vertices, [0, 0, 0]) };
+}
+
+// While assembling, each face is a mesh of its own with its outlines, which
+// placeAssembly() only shows and moves along the face normal frame by frame.
+// The order and pace are worked out again only for new faces.
+function buildAssemblyPieces(vertices, faces, scale, faceColors, faceOffsets) {
+  if (assembly.faces !== faces) {
+    const timing = assemblyTiming(vertices, faces);
+    Object.assign(assembly, {
+      faces,
+      timing,
+      order: assemblyOrder(faces, assembly.start < faces.length ? assembly.start : 0),
+      length: assemblyLength(faces.length, timing)
+    });
+  }
+  assembly.solid = { vertices, faceColors, faceOffsets, scale };
+
+  const solidMesh = new THREE.Group();
+  const edgesLine = new THREE.Group();
+  const wireframeLine = new THREE.Group();
+  assembly.pieces = faces.map((face, f) => {
+    const edgesGeometry = buildEdgesGeometry(vertices, [face], scale, [faceOffsets[f]]);
+    const objects = [
+      new THREE.Mesh(buildColoredGeometry(vertices, [face], scale, [faceColors[f]], [faceOffsets[f]]), coloredMaterial),
+      new THREE.LineSegments(edgesGeometry, edgeMaterial),
+      new THREE.LineSegments(edgesGeometry, wireframeMaterial)
+    ];
+    solidMesh.add(objects[0]);
+    edgesLine.add(objects[1]);
+    wireframeLine.add(objects[2]);
+    return { objects, direction: new THREE.Vector3(...faceNormal(vertices, face)).multiplyScalar(scale) };
+  });
+  placeAssembly();
+  return { solidMesh, edgesLine, wireframeLine };
+}
+
+// Only the faces added so far are shown, the newest still flying in
+function placeAssembly() {
+  if (!assembly.pieces) return;
+  const flying = assemblyOffsets(assembly.order, assembly.time, assembly.timing);
+  assembly.pieces.forEach(({ objects, direction }, f) => {
+    for (const object of objects) {
+      object.visible = flying[f] !== null;
+      if (object.visible) object.position.copy(direction).multiplyScalar(flying[f]);
+    }
+  });
+}
+
+// The faces added so far, as they stand, for vector snapshots
+function assemblySnapshot() {
+  const { vertices, faceColors, faceOffsets, scale } = assembly.solid;
+  const flying = assemblyOffsets(assembly.order, assembly.time, assembly.timing);
+  const shown = [...assembly.faces.keys()].filter(f => flying[f] !== null);
+  const drawn = explodedSolid(vertices, shown.map(f => assembly.faces[f]), shown.map(f => faceOffsets[f] + flying[f]));
+  return { vertices: scaleAbout(drawn.vertices, [0, 0, 0], scale), faces: drawn.faces, faceColors: shown.map(f => faceColors[f]) };
+}
+
+function stepAssembly() {
+  assembly.time += 1;
+  if (assembly.time <= assembly.length) {
+    placeAssembly();
+    return;
+  }
+  // Done: back to the solid in one piece
+  setAssembly(null);
+  buildMeshes();
+}
+
+// Net toggle: unfold the displayed shape, fold it with the slider or Fold button
+const netToggle = document.getElementById('net-toggle');
+const netControls = document.getElementById('net-controls');
+const foldSlider = document.getElementById('fold-slider');
+const foldPlay = document.getElementById('fold-play');
+netToggle.addEventListener('click', () => {
+  setNetMode(!netMode);
+  if (netMode && compoundMode) setCompoundMode(false);
+  if (netMode && projectionMode) setProjectionMode(false);
+  if (netMode && explodeMode) setExplodeMode(false);
+  clearInfoMessage();
+  createPolyhedron();
+  updateLink();
+});
+
+function setNetMode(on) {
+  netMode = on;
+  netToggle.classList.toggle('active', netMode);
+  netControls.classList.toggle('open', netMode);
+  foldSpeed = 0;
+  setFoldAmount(0);
+}
+
+function setFoldAmount(amount) {
+  foldAmount = Math.min(1, Math.max(0, amount));
+  foldSlider.value = Math.round(foldAmount * 100);
+  foldPlay.textContent = foldAmount >= 1 ? 'Unfold' : 'Fold';
+}
+
+foldSlider.addEventListener('input', () => {
+  foldSpeed = 0;
+  setFoldAmount(foldSlider.value / 100);
+  buildMeshes();
+});
+
+foldPlay.addEventListener('click', () => {
+  foldSpeed = foldAmount >= 1 ? -0.01 : 0.01;
+});
+
+function downloadNet(format) {
+  if (!currentNet) return;
+  const drawing = fitToPage(netDrawing(currentNet, { faceColors: currentColoring.colors }));
+  const name = `${displayedName()} net`;
+  if (format === 'pdf') {
+    downloadFile(drawingToPDF(drawing), fileNameFor(name, 'pdf'), 'application/pdf');
+  } else {
+    downloadFile(drawingToSVG(drawing), fileNameFor(name, 'svg'), 'image/svg+xml');
+  }
+}
+document.getElementById('net-svg').addEventListener('click', () => downloadNet('svg'));
+document.getElementById('net-pdf').addEventListener('click', () => downloadNet('pdf'));
+
+// Export menu: one button per format, writing the displayed geometry
+const exportToggle = document.getElementById('export-toggle');
+const exportMenu = document.getElementById('export-menu');
+const exportScale = document.getElementById('export-scale');
+exportToggle.addEventListener('click', () => {
+  const open = exportMenu.classList.toggle('open');
+  exportToggle.classList.toggle('active', open);
+});
+
+const exportButtons = document.getElementById('export-buttons');
+for (const [format, { label }] of Object.entries(exportFormats)) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    if (!mainView.displayed) return;
+    try {
+      downloadPolyhedron(mainView.displayed, format, {
+        name: displayedName(),
+        scale: exportScale.checked ? displayScale : 1,
+        faceColors: currentColoring.colors
+      });
+    } catch (e) {
+      showInfoMessage(`Export failed: ${e.message}`);
+    }
+  });
+  exportButtons.appendChild(button);
+}
+
+// Vector snapshot of the view as it stands: the parts updateDisplay shows,
+// seen through the camera under the scene's lights and theme colors
+const exportHidden = document.getElementById('export-hidden');
+function downloadSnapshot(format) {
+  if (!mainView.meshGroup) return;
+  const { snapshot, compound } = mainView.meshGroup.userData;
+  if (!snapshot) {
+    showInfoMessage('Vector snapshots are of the solid: turn off Projection to take one', 'info');
+    return;
+  }
+  const parts = [];
+  if (!compound || compound.shapeVisible) parts.push(assembly && assembly.pieces ? assemblySnapshot() : snapshot);
+  if (compound && compound.dualVisible) parts.push(compound.snapshot);
+
+  const lightPosition = (light) => light.position.clone().sub(light.target.position).toArray();
+  const drawing = snapshotDrawing(parts, {
+    position: mainView.camera.position.toArray(),
+    target: mainView.controls.target.toArray(),
+    up: mainView.camera.up.toArray(),
+    fov: mainView.camera.fov
+  }, {
+    mode: mainView.display === 'wireframe' ? 'wireframe' : 'solid',
+    hiddenEdges: exportHidden.checked,
+    lights: {
+      ambient: mainView.ambientLight.intensity,
+      directional: [mainView.directionalLight, mainView.directionalLight2].map(light => ({ position: lightPosition(light), intensity: light.intensity }))
+    },
+    edgeColor: edgeMaterial.color.getHex(),
+    background: mainView.scene.background.getHex()
+  });
+  const name = `${displayedName()} view`;
+  if (format === 'pdf') {
+    downloadFile(drawingToPDF(drawing), fileNameFor(name, 'pdf'), 'application/pdf');
+  } else {
+    downloadFile(drawingToSVG(drawing), fileNameFor(name, 'svg'), 'image/svg+xml');
+  }
+}
+
+for (const [format, label] of [['svg', 'Export SVG'], ['pdf', 'Export PDF']]) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = 'Vector drawing of the current view';
+  button.addEventListener('click', () => downloadSnapshot(format));
+  exportButtons.appendChild(button);
+}
+
+// Picking: click a face, edge or vertex of the solid to highlight it and show
+// its details; shift-click adds it to the selection, or removes it again
+const raycaster = new THREE.Raycaster();
+const selectionGroup = new THREE.Group();
+mainView.scene.add(selectionGroup);
+const pickPopup = document.getElementById('pick-popup');
+const PICK_RADIUS = 8; // px
+
+const highlightFaceMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffe066,
+  transparent: true,
+  opacity: 0.6,
+  side: THREE.DoubleSide,
+  polygonOffset: true,
+  polygonOffsetFactor: -2,
+  polygonOffsetUnits: -2
+});
+const highlightMaterial = new THREE.MeshBasicMaterial({ color: 0xffe066 });
+
+// The element under the pointer, preferring vertices, then edges, then faces
+function pickAt(clientX, clientY) {
+  const rect = mainView.renderer.domElement.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, mainView.camera);
+  const hit = raycaster.intersectObject(mainView.meshGroup.userData.solidMesh)[0];
+
+  // Elements further away than the face under the pointer are hidden by it,
+  // unless the faces are not drawn
+  const limit = hit && mainView.display !== 'wireframe' ? hit.distance + 0.05 : Infinity;
+  const { vertices } = mainView.displayed;
+  const points = vertices.map(v => new THREE.Vector3(...v).multiplyScalar(displayScale));
+  const screen = points.map(p => {
+    const ndc = p.clone().project(mainView.camera);
+    return [(ndc.x + 1) / 2 * rect.width + rect.left, (1 - ndc.y) / 2 * rect.height + rect.top];
+  });
+  const visible = (p) => mainView.camera.position.distanceTo(p) <= limit;
+
+  let best = null;
+  let bestDistance = PICK_RADIUS;
+  points.forEach((p, v) => {
+    const d = Math.hypot(screen[v][0] - clientX, screen[v][1] - clientY);
+    if (d < bestDistance && visible(p)) {
+      best = { type: 'vertex', index: v };
+      bestDistance = d;
+    }
+  });
+  if (best) return best;
+
+  bestDistance = PICK_RADIUS * 0.75;
+  for (const [key, { a, b }] of currentElements.edges) {
+    const [ax, ay] = screen[a], [bx, by] = screen[b];
+    const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+    const t = lengthSquared ? Math.max(0, Math.min(1, ((clientX - ax) * (bx - ax) + (clientY - ay) * (by - ay)) / lengthSquared)) : 0;
+    const d = Math.hypot(ax + t * (bx - ax) - clientX, ay + t * (by - ay) - clientY);
+    if (d < bestDistance && visible(points[a].clone().lerp(points[b], t))) {
+      best = { type: 'edge', index: key };
+      bestDistance = d;
+    }
+  }
+  if (best) return best;
+
+  if (hit) return { type: 'face', index: hit.object.geometry.userData.triangleFaces[hit.faceIndex] };
+  return null;
+}
+
+function updateSelectionOverlay() {
+  selectionGroup.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+  });
+  selectionGroup.clear();
+  if (!mainView.displayed) return;
+
+  const { vertices, faces } = mainView.displayed;
+  const point = (v) => new THREE.Vector3(...vertices[v]).multiplyScalar(displayScale);
+  for (const { type, index } of selection) {
+    if (type === 'face') {
+      selectionGroup.add(new THREE.Mesh(buildColoredGeometry(vertices, [faces[index]], displayScale), highlightFaceMaterial));
+    } else if (type === 'edge') {
+      const [p, q] = index.split('-').map(point);
+      const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, p.distanceTo(q), 8), highlightMaterial);
+      rod.position.copy(p).add(q).multiplyScalar(0.5);
+      rod.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), q.clone().sub(p).normalize());
+      selectionGroup.add(rod);
+    } else {
+      const marker = new THREE.Mesh(new THREE.SphereGeometry(0.06, 16, 12), highlightMaterial);
+      marker.position.copy(point(index));
+      selectionGroup.add(marker);
+    }
+  }
+}
+
+// Popup text for one picked element
+function describeElement({ type, index }) {
+  if (type === 'face') {
+    const { sides, label, area, neighbours } = currentElements.faces[index];
+    return `
+      <div class="pick-title">Face ${index} · ${polygonName(label)}</div>
+      <div>${sides} sides, area ${area.toFixed(6)}</div>
+      <div>Neighbouring faces: ${neighbours.join(', ')}</div>
+    `;
+  }
+  if (type === 'edge') {
+    const { a, b, faces, length, dihedral } = currentElements.edges.get(index);
+    return `
+      <div class="pick-title">Edge ${a}–${b}</div>
+      <div>Length ${length.toFixed(6)}</div>
+      ${dihedral === undefined ? '' : `<div>Dihedral angle ${dihedral.toFixed(4)}°</div>`}
+      <div>Between faces ${faces.join(' and ')}</div>
+    `;
+  }
+  const { degree, compact, notation } = currentElements.vertices[index];
+  return `
+    <div class="pick-title">Vertex ${index}</div>
+    <div>Degree ${degree}</div>
+    <div>${compact}${compact !== notation ? ` <span class="notation">(${notation})</span>` : ''}</div>
+  `;
+}
+
+function showPickPopup(picked, clientX, clientY) {
+  if (!picked || !selection.length) {
+    pickPopup.classList.remove('visible');
+    return;
+  }
+  let html = selection.some(s => s.type === picked.type && s.index === picked.index) ? describeElement(picked) : '';
+  if (selection.length > 1) {
+    const names = { face: ['face', 'faces'], edge: ['edge', 'edges'], vertex: ['vertex', 'vertices'] };
+    const counts = Object.entries(names)
+      .map(([type, [one, many]]) => [selection.filter(s => s.type === type).length, one, many])
+      .filter(([count]) => count)
+      .map(([count, one, many]) => `${count} ${count === 1 ? one : many}`);
+    html += `<div class="pick-count">${selection.length} selected: ${counts.join(', ')}</div>`;
+  }
+  if (!html) {
+    pickPopup.classList.remove('visible');
+    return;
+  }
+  pickPopup.innerHTML = html;
+  pickPopup.classList.add('visible');
+  pickPopup.style.left = `${Math.min(clientX + 12, window.innerWidth - pickPopup.offsetWidth - 8)}px`;
+  pickPopup.style.top = `${Math.min(clientY + 12, window.innerHeight - pickPopup.offsetHeight - 8)}px`;
+}
+
+function clearSelection() {
+  selection = [];
+  updateSelectionOverlay();
+  pickPopup.classList.remove('visible');
+}
+
+// A click is a press and release without dragging (which orbits the camera)
+let pointerDownAt = null;
+mainView.renderer.domElement.addEventListener('pointerdown', (event) => {
+  pointerDownAt = [event.clientX, event.clientY];
+});
+mainView.renderer.domElement.addEventListener('pointerup', (event) => {
+  if (!pointerDownAt || Math.hypot(event.clientX - pointerDownAt[0], event.clientY - pointerDownAt[1]) > 4) return;
+  pointerDownAt = null;
+  if (currentProjection) {
+    pickProjectionFace(event.clientX, event.clientY);
+    return;
+  }
+  // Only the solid itself is pickable: not the net, whose faces are laid out
+  // apart, nor the compound, whose dual may cover it, nor a cut or exploded
+  // solid, whose faces are pieces of the shape's or out of place
+  if (!mainView.displayed || currentNet || currentCompound || currentSection || isExploded()) return;
+
+  if (!currentElements) currentElements = measureElements(mainView.displayed.vertices, mainView.displayed.faces);
+  const picked = pickAt(event.clientX, event.clientY);
+  if (figureMode && picked && picked.type === 'vertex') showFigureAt(picked.index);
+  if (event.shiftKey) {
+    if (picked) {
+      const i = selection.findIndex(s => s.type === picked.type && s.index === picked.index);
+      if (i >= 0) selection.splice(i, 1);
+      else selection.push(picked);
+    }
+  } else {
+    selection = picked ? [picked] : [];
+  }
+  updateSelectionOverlay();
+  showPickPopup(picked, event.clientX, event.clientY);
+});
+
+mainView.controls.addEventListener('start', () => pickPopup.classList.remove('visible'));
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') clearSelection();
+});
+
+// Theme toggle handler
+let isDarkMode = true;
+const themeToggle = document.getElementById('theme-toggle');
+themeToggle.addEventListener('click', () => {
+  setDarkMode(!isDarkMode);
+  updateLink();
+});
+
+function setDarkMode(dark) {
+  isDarkMode = dark;
+  document.body.classList.toggle('light-mode', !isDarkMode);
+  themeToggle.textContent = isDarkMode ? '☀️' : '🌙';
+
+  // Update edge colors
+  const edgeColor = isDarkMode ? 0xffffff : 0x333333;
+  edgeMaterial.color.setHex(edgeColor);
+  wireframeMaterial.color.setHex(edgeColor);
+  midsphereMaterial.color.setHex(edgeColor);
+
+  themeViewport(mainView);
+  if (compareView.scene) themeViewport(compareView);
+}
+
+// Scene background and lighting of a viewport for the theme
+function themeViewport({ scene, ambientLight, directionalLight, directionalLight2 }) {
+  scene.background = new THREE.Color(isDarkMode ? 0x1a1a2e : 0xe8e8f0);
+
+  // Adjust lighting for light mode (brighter)
+  ambientLight.intensity = isDarkMode ? 0.5 : 0.8;
+  directionalLight.intensity = isDarkMode ? 0.8 : 1.0;
+  directionalLight2.intensity = isDarkMode ? 0.4 : 0.6;
+}
+
+// Deep links: the viewer state lives in the URL hash (see link.js). Shape
+// selections push history entries, so back and forward step through them;
+// other changes replace the current entry.
+function linkHash() {
+  const params = [];
+  if (compoundMode) params.push(['compound', String(reciprocation)]);
+  if (truncationMode) params.push(['truncation', [truncation, cantellation].map(x => Number(x.toFixed(4))).join(',')]);
+  if (dualCenter !== 'vertex') params.push(['center', dualCenter]);
+  if (showSymmetry) params.push(['symmetry', '1']);
+  if (netMode) params.push(['net', '1']);
+  if (sectionMode) params.push(['section', [...sectionNormal, sectionOffset].map(x => Number(x.toFixed(4))).join(',')]);
+  if (spheresMode) params.push(['spheres', [...spheresShown].join(',')]);
+  if (figureMode) params.push(['figure', '1']);
+  if (explodeMode) params.push(['explode', [Number(explodeAmount.toFixed(3)), ...(explodeSides === null ? [] : [explodeSides])].join(',')]);
+  if (projectionMode) params.push(['projection', projectionFace === null ? projectionKind : `${projectionKind},${projectionFace}`]);
+  if (comparing) params.push(['compare', compareParam(compareView)]);
+  if (colorScheme !== 'sides') params.push(['colors', colorScheme]);
+  if (colorPalette !== 'standard') params.push(['palette', colorPalette]);
+  if (!isDarkMode) params.push(['theme', 'light']);
+  return viewLinkHash(mainView, params);
+}
+
+function updateLink(push = false) {
+  const hash = linkHash();
+  if (hash === location.hash) return;
+  history[push ? 'pushState' : 'replaceState'](null, '', hash);
+}
+
+// Key of the shape named in a link, generating family and Conway shapes on demand.
+// Conway notation that fails, or is over the operators' limits, throws an
+// error whose fallback is the shape it would have applied to.
+function resolveShapeKey(key) {
+  if (polyhedra[key]) return key;
+  const canonical = key.match(/^canonical_(.+?)(_dual)?$/);
+  if (canonical) {
+    const sourceKey = resolveShapeKey(canonical[1]);
+    const dual = Boolean(canonical[2]);
+    return createCanonicalShape(sourceKey, { dual, name: shapeName(sourceKey, dual) });
+  }
+  const conway = key.match(/^conway_([a-z]+)_(.+)$/);
+  if (conway) {
+    const baseKey = resolveShapeKey(conway[2]);
+    try {
+      return createConwayShape(conway[1], baseKey);
+    } catch (e) {
+      e.fallback = baseKey;
+      throw e;
+    }
+  }
+  const geodesic = key.match(/^(geodesic|goldberg)_([a-z]+)_(\d+)_(\d+)$/);
+  if (geodesic) return createGeodesicShape(geodesic[2], parseInt(geodesic[3], 10), parseInt(geodesic[4], 10), geodesic[1] === 'goldberg');
+  const family = key.match(/^(.+)_(\d+)$/);
+  if (family && families[family[1]]) return createFamilyShape(family[1], parseInt(family[2], 10));
+  if (key.startsWith('custom_')) {
+    throw new Error(`"${key.slice('custom_'.length)}" is an imported shape that is not in this browser; import its file first`);
+  }
+  throw new Error(`Unknown shape "${key}"`);
+}
+
+// Restore the state in a link. Missing parameters take their defaults; a bad
+// shape key leaves the current shape, or shows the Conway base shape it names,
+// and reports the problem.
+function applyLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  let key = mainView.shape;
+  let error = null;
+  if (params.has('shape')) {
+    try {
+      key = resolveShapeKey(params.get('shape'));
+    } catch (e) {
+      error = e.message;
+      if (e.fallback) key = e.fallback;
+    }
+  }
+
+  mainView.dual = params.get('dual') === '1';
+  dualToggle.classList.toggle('active', mainView.dual);
+  dualCenter = reciprocationCenters[params.get('center')] ? params.get('center') : 'vertex';
+  dualCenterSelect.value = dualCenter;
+  mainView.display = params.get('view') === 'wireframe' ? 'wireframe' : 'edges';
+  wireframeToggle.classList.toggle('active', mainView.display === 'wireframe');
+  showSymmetry = params.get('symmetry') === '1';
+  symmetryToggle.classList.toggle('active', showSymmetry);
+  setNetMode(params.get('net') === '1');
+  const amount = parseFloat(params.get('compound'));
+  setCompoundMode(params.has('compound') && !netMode, Number.isFinite(amount) ? Math.min(1, Math.max(0, amount)) : 0.5);
+  setDarkMode(params.get('theme') !== 'light');
+  setColoring(params.get('colors'), params.get('palette'));
+  setTruncationMode(params.has('truncation'));
+  const [nx, ny, nz, offset] = (params.get('section') || '').split(',').map(Number);
+  setSectionMode(params.has('section'));
+  if ([nx, ny, nz, offset].every(Number.isFinite) && Math.hypot(nx, ny, nz) > 0) {
+    setSectionPlane([nx, ny, nz], Math.min(1, Math.max(0.001, offset)));
+  }
+  setSpheresMode(params.has('spheres'), (params.get('spheres') || '').split(',').filter(kind => sphereKinds[kind]));
+  setFigureMode(params.get('figure') === '1');
+  const [spread, sides] = (params.get('explode') || '').split(',').map(Number);
+  setExplodeMode(params.has('explode'), Number.isFinite(spread) ? Math.min(1, Math.max(0, spread)) : 0.3,
+    Number.isInteger(sides) && sides >= 3 ? sides : null);
+  const [kind, face] = (params.get('projection') || '').split(',');
+  setProjectionMode(params.has('projection') && !netMode && !compoundMode, 1);
+  setProjectionKind(projectionKinds[kind] ? kind : 'schlegel');
+  projectionFace = /^\d+$/.test(face || '') ? parseInt(face, 10) : null;
+  if (params.has('compare')) {
+    const [compareKey, ...flags] = params.get('compare').split(',');
+    let compareShape = null;
+    try {
+      compareShape = resolveShapeKey(compareKey);
+    } catch (e) {
+      error = error || e.message;
+      compareShape = e.fallback || null;
+    }
+    if (compareShape) setCompared(compareShape, flags.includes('dual'), flags.includes('wireframe') ? 'wireframe' : 'edges');
+  }
+  setComparing(params.has('compare') && Boolean(compareView.shape));
+
+  const cam = (params.get('cam') || '').split(',').map(Number);
+  if (cam.length === 6 && cam.every(Number.isFinite)) {
+    mainView.camera.position.set(cam[0], cam[1], cam[2]);
+    mainView.controls.target.set(cam[3], cam[4], cam[5]);
+    mainView.controls.update();
+  }
+
+  const data = polyhedra[key];
+  if (data.category === 'family' && data.sides !== familySides) showFamilySides(data.sides);
+  if (data.category === 'geodesic' && data.frequency.join() !== geodesicFrequency.join()) showGeodesicFrequency(...data.frequency);
+  mainView.shape = key;
+  const [t = 0, c = 0] = (params.get('truncation') || '').split(',').map(Number);
+  setTruncation(Math.min(1, Math.max(0, t || 0)), Math.min(1, Math.max(0, c || 0)));
+  selectShape(key, false);
+  if (error) showInfoMessage(`Link error: ${error}`);
+}
+
+window.addEventListener('popstate', () => applyLink(location.hash));
+window.addEventListener('hashchange', () => {
+  if (location.hash !== linkHash()) applyLink(location.hash);
+});
+
+// Camera moves update the link once the view settles
+let cameraLinkTimer = null;
+mainView.controls.addEventListener('end', () => {
+  clearTimeout(cameraLinkTimer);
+  cameraLinkTimer = setTimeout(() => updateLink(), 300);
+});
+
+const copyLinkButton = document.getElementById('copy-link');
+copyLinkButton.addEventListener('click', async () => {
+  updateLink();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    copyLinkButton.textContent = 'Copied';
+  } catch (e) {
+    showInfoMessage(`Could not copy the link: ${e.message}`);
+  }
+  setTimeout(() => { copyLinkButton.textContent = 'Copy link'; }, 1500);
+});
+
+// Fit each viewport to its container, which is half the window while comparing
+function resizeViewports() {
+  for (const view of [mainView, compareView]) {
+    if (!view.scene) continue;
+    const { clientWidth: width, clientHeight: height } = view.container;
+    if (!width || !height) continue;
+    view.camera.aspect = width / height;
+    view.camera.updateProjectionMatrix();
+    view.renderer.setSize(width, height);
+  }
+}
+window.addEventListener('resize', resizeViewports);
+
 // Animation loop
 function animate() {
   requestAnimationFrame(animate);
-  controls.update();
-  renderer.render(scene, camera);
+  if (foldSpeed) {
+    setFoldAmount(foldAmount + foldSpeed);
+    if (foldAmount <= 0 || foldAmount >= 1) foldSpeed = 0;
+    buildMeshes();
+  }
+  if (projectionSpeed) stepProjection();
+  if (assembly) stepAssembly();
+  mainView.controls.update();
+  mainView.renderer.render(mainView.scene, mainView.camera);
+  if (comparing) {
+    compareView.controls.update();
+    compareView.renderer.render(compareView.scene, compareView.camera);
+  }
 }
 
 // Initialize
@@ -444,10 +2671,12 @@ async function init() {
   console.log('Initializing...');
   try {
     await initPolyhedraData();
+    loadCustomPolyhedra();
     console.log('polyhedra:', polyhedra);
     generateUI();
     console.log('UI generated');
-    createPolyhedron();
+    applyLink(location.hash);
+    history.replaceState(null, '', linkHash());
     console.log('Polyhedron created');
     animate();
     console.log('Animation started');
@@ -0,0 +1,300 @@
+import { faceNormal, buildEdgeToFace } from './polyhedra.js';
+import { symmetryGroup, vertexOrbits } from './symmetry.js';
+
+// Measurements of a polyhedron for the geometry inspector. Lengths, areas and
+// volumes are normalised to unit edge length (the shortest edge, where edges
+// differ); radii are measured from the vertex centroid.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const length = (v) => Math.sqrt(dot(v, v));
+
+const superscripts = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const superscript = (n) => String(n).split('').map(d => superscripts[d]).join('');
+
+// Order of face labels: by sides, then density ("3" < "5" < "5/2")
+export function compareLabels(x, y) {
+  const [xn, xd = 1] = String(x).split('/').map(Number);
+  const [yn, yd = 1] = String(y).split('/').map(Number);
+  return xn - yn || xd - yd;
+}
+
+// Smallest of all rotations and reflections of a cyclic sequence
+function canonicalCycle(sequence) {
+  const n = sequence.length;
+  let best = null;
+  for (const seq of [sequence, [...sequence].reverse()]) {
+    for (let r = 0; r < n; r++) {
+      const candidate = [...seq.slice(r), ...seq.slice(0, r)];
+      const k = best ? candidate.findIndex((x, i) => x !== best[i]) : 0;
+      if (!best || (k >= 0 && compareLabels(candidate[k], best[k]) < 0)) best = candidate;
+    }
+  }
+  return best;
+}
+
+// Number of times a closed sequence of points winds about the line through
+// center along axis: 1 for a convex polygon, 2 for a pentagram
+function windingNumber(points, center, axis) {
+  const n = axis.map(x => x / length(axis));
+  // Offsets from center, projected onto the plane perpendicular to the axis
+  const offsets = points.map(p => {
+    const d = sub(p, center);
+    return sub(d, n.map(x => x * dot(d, n)));
+  });
+  let total = 0;
+  offsets.forEach((u, i) => {
+    const v = offsets[(i + 1) % offsets.length];
+    total += Math.atan2(dot(n, cross(u, v)), dot(u, v));
+  });
+  return Math.max(1, Math.round(Math.abs(total) / (2 * Math.PI)));
+}
+
+// Compact vertex configuration: (3.4)² for 3.4.3.4, 3⁴.4 for 3.3.3.3.4
+export function compactConfiguration(configuration) {
+  const n = configuration.length;
+  for (let period = 1; period < n; period++) {
+    if (n % period) continue;
+    if (configuration.every((x, i) => x === configuration[i % period])) {
+      const unitPart = configuration.slice(0, period).join('.');
+      return period === 1 && !unitPart.includes('/')
+        ? `${unitPart}${superscript(n)}`
+        : `(${unitPart})${superscript(n / period)}`;
+    }
+  }
+  const runs = [];
+  for (const x of configuration) {
+    if (runs.length && runs[runs.length - 1].value === x) runs[runs.length - 1].count++;
+    else runs.push({ value: x, count: 1 });
+  }
+  // Star polygons are bracketed before a power: (5/2)⁵
+  const power = (label, count) => (String(label).includes('/') ? `(${label})` : label) + superscript(count);
+  return runs.map(({ value, count }) => (count > 1 ? power(value, count) : `${value}`)).join('.');
+}
+
+// The faces around each vertex, in order, and the neighbours between them,
+// found by walking across the edge from the vertex to its predecessor in each
+// face (as computeDual does)
+function vertexCycles(vertexCount, faces) {
+  const edgeToFace = buildEdgeToFace(faces);
+  const firstFace = new Array(vertexCount).fill(-1);
+  faces.forEach((face, f) => face.forEach(v => {
+    if (firstFace[v] < 0) firstFace[v] = f;
+  }));
+
+  return firstFace.map((start, v) => {
+    const cycle = { faces: [], neighbours: [] };
+    let f = start;
+    while (f !== undefined && f >= 0 && cycle.faces.length < faces.length) {
+      const face = faces[f];
+      const prev = face[(face.indexOf(v) + face.length - 1) % face.length];
+      cycle.faces.push(f);
+      cycle.neighbours.push(prev);
+      f = edgeToFace[`${v}>${prev}`];
+      if (f === start) break;
+    }
+    return cycle;
+  });
+}
+
+// Smallest and largest of a list of values
+const range = (values) => ({ min: Math.min(...values), max: Math.max(...values) });
+
+// Group [{ value, count }] with values equal to within tolerance, in
+// ascending order; a group's value is the count-weighted mean
+function groupOrbits(items, tolerance) {
+  const groups = [];
+  for (const { value, count } of [...items].sort((a, b) => a.value - b.value)) {
+    const last = groups[groups.length - 1];
+    if (last && value - last.first < tolerance) {
+      last.value = (last.value * last.count + value * count) / (last.count + count);
+      last.count += count;
+    } else {
+      groups.push({ first: value, value, count });
+    }
+  }
+  return groups.map(({ value, count }) => ({ value, count }));
+}
+
+// Partition the edges (a Map "a-b" -> { a, b, ... }) into orbits under the
+// symmetries, as vertexOrbits does for vertices: arrays of edges
+function edgeOrbits(edges, symmetries) {
+  const seen = new Set();
+  const orbits = [];
+  for (const [key, edge] of edges) {
+    if (seen.has(key)) continue;
+    const images = symmetries.map(({ permutation }) => {
+      const a = permutation[edge.a], b = permutation[edge.b];
+      return a < b ? `${a}-${b}` : `${b}-${a}`;
+    });
+    const orbit = [...new Set([key, ...images])].filter(image => edges.has(image));
+    for (const image of orbit) seen.add(image);
+    orbits.push(orbit.map(image => edges.get(image)));
+  }
+  return orbits;
+}
+
+// Measurements of every face, edge and vertex, shared by the whole-shape
+// summary and by picking single elements. Lengths are in the original units;
+// scale converts them to unit edge length.
+function analyse(vertices, faces) {
+  // Signed volume (divergence theorem) tells whether faces wind outward
+  let signedVolume = 0;
+  for (const face of faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      signedVolume += dot(vertices[face[0]], cross(vertices[face[i]], vertices[face[i + 1]])) / 6;
+    }
+  }
+  const outward = signedVolume < 0 ? -1 : 1;
+  const normals = faces.map(face => faceNormal(vertices, face).map(x => x * outward));
+  const centroids = faces.map(face => [0, 1, 2].map(k => face.reduce((sum, i) => sum + vertices[i][k], 0) / face.length));
+
+  // Edges with the faces on either side
+  const edges = new Map();
+  faces.forEach((face, f) => face.forEach((a, i) => {
+    const b = face[(i + 1) % face.length];
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (!edges.has(key)) edges.set(key, { a: Math.min(a, b), b: Math.max(a, b), faces: [] });
+    edges.get(key).faces.push(f);
+  }));
+
+  // Interior dihedral angles: reflex where the second face's centre rises above
+  // the first's plane (the centre, as a star face's vertices lie on both sides)
+  for (const edge of edges.values()) {
+    const { a, b, faces: [f, g] } = edge;
+    edge.length = length(sub(vertices[a], vertices[b]));
+    if (g === undefined) continue;
+    const between = Math.acos(Math.max(-1, Math.min(1, dot(normals[f], normals[g]))));
+    const reflex = dot(sub(centroids[g], vertices[a]), normals[f]) > 1e-9 * edge.length;
+    edge.dihedral = (reflex ? Math.PI + between : Math.PI - between) * 180 / Math.PI;
+  }
+  const scale = 1 / Math.min(...[...edges.values()].map(e => e.length));
+
+  // Face areas from Newell's method
+  const faceAreas = faces.map(face => {
+    let nx = 0, ny = 0, nz = 0;
+    face.forEach((i, k) => {
+      const p = vertices[i], q = vertices[face[(k + 1) % face.length]];
+      nx += (p[1] - q[1]) * (p[2] + q[2]);
+      ny += (p[2] - q[2]) * (p[0] + q[0]);
+      nz += (p[0] - q[0]) * (p[1] + q[1]);
+    });
+    return Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+  });
+
+  // Face types, labelled n or n/d for star polygons of density d
+  const faceLabels = faces.map((face, f) => {
+    const density = windingNumber(face.map(i => vertices[i]), centroids[f], normals[f]);
+    return density > 1 ? `${face.length}/${density}` : `${face.length}`;
+  });
+
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+  const cycles = vertexCycles(vertices.length, faces);
+
+  // Vertex configuration of one vertex. A vertex figure winding d times round
+  // the vertex adds "/d", as in 5⁵/2.
+  const vertexConfiguration = (v) => {
+    const { faces: around, neighbours } = cycles[v];
+    const configuration = canonicalCycle(around.map(f => faceLabels[f]));
+    const density = windingNumber(neighbours.map(n => vertices[n]), vertices[v], sub(vertices[v], center));
+    const suffix = density > 1 ? `/${density}` : '';
+    return {
+      configuration,
+      notation: configuration.join('.') + suffix,
+      compact: compactConfiguration(configuration) + suffix
+    };
+  };
+
+  return { signedVolume, normals, centroids, edges, scale, faceAreas, faceLabels, center, vertexConfiguration };
+}
+
+// Details of each element, for picking:
+// faces [{ sides, label, area, neighbours }], edges Map "a-b" -> { a, b, faces,
+// length, dihedral }, vertices [{ degree, configuration, notation, compact }]
+export function measureElements(vertices, faces) {
+  const { edges, scale, faceAreas, faceLabels, vertexConfiguration } = analyse(vertices, faces);
+
+  const neighbours = faces.map(() => []);
+  const degrees = vertices.map(() => 0);
+  for (const { a, b, faces: [f, g] } of edges.values()) {
+    degrees[a]++;
+    degrees[b]++;
+    if (g === undefined) continue;
+    neighbours[f].push(g);
+    neighbours[g].push(f);
+  }
+
+  return {
+    faces: faces.map((face, f) => ({
+      sides: face.length,
+      label: faceLabels[f],
+      area: faceAreas[f] * scale * scale,
+      neighbours: neighbours[f].sort((x, y) => x - y)
+    })),
+    edges: new Map([...edges].map(([key, edge]) => [key, { ...edge, length: edge.length * scale }])),
+    vertices: vertices.map((_, v) => ({ degree: degrees[v], ...vertexConfiguration(v) }))
+  };
+}
+
+export function measurePolyhedron(vertices, faces) {
+  const { signedVolume, normals, edges, scale, faceAreas, faceLabels, center, vertexConfiguration } = analyse(vertices, faces);
+  const scaleRange = ({ min, max }) => ({ min: min * scale, max: max * scale });
+
+  const edgeLength = range([...edges.values()].map(e => e.length));
+  const area = faceAreas.reduce((sum, a) => sum + a, 0) * scale * scale;
+
+  // Radii about the vertex centroid
+  const circumradius = range(vertices.map(v => length(sub(v, center))));
+  const midradius = range([...edges.values()].map(({ a, b }) =>
+    length(sub(vertices[a].map((x, k) => (x + vertices[b][k]) / 2), center))));
+  const inradius = range(faces.map((face, f) =>
+    Math.abs(face.reduce((sum, i) => sum + dot(sub(vertices[i], center), normals[f]), 0) / face.length)));
+
+  const faceCounts = [...new Set(faceLabels)].sort(compareLabels).map(label => ({
+    label,
+    sides: parseInt(label, 10),
+    count: faceLabels.filter(l => l === label).length
+  }));
+
+  // Vertex configurations, one per orbit of the symmetry group
+  const group = symmetryGroup(vertices, faces);
+  const { symmetries } = group;
+  const orbits = symmetries.length ? vertexOrbits(vertices.length, symmetries) : vertices.map((_, v) => [v]);
+  const vertexConfigurations = orbits.map(orbit => ({ ...vertexConfiguration(orbit[0]), count: orbit.length }));
+
+  // Dihedral angles averaged over each orbit of edges, as the vendored
+  // coordinates are rounded: equal angles of a Johnson solid can differ by a
+  // few hundredths of a degree (0.07 on the snub disphenoid) from edge to
+  // edge. Angles of different orbits within 0.01° are listed together; the
+  // closest distinct ones in the data are 0.05° apart.
+  const dihedralAngles = edgeOrbits(edges, symmetries)
+    .filter(orbit => orbit[0].dihedral !== undefined)
+    .map(orbit => ({ value: orbit.reduce((sum, e) => sum + e.dihedral, 0) / orbit.length, count: orbit.length }));
+
+  // Enclosed volume is not defined once faces or vertex figures wind more
+  // than once: the divergence theorem then counts regions several times, or
+  // cancels them (0 for the ditrigonal dodecadodecahedron)
+  const selfIntersecting = faceLabels.some(label => label.includes('/')) ||
+    vertexConfigurations.some(({ notation }) => notation.includes('/'));
+  const volume = selfIntersecting ? null : Math.abs(signedVolume) * scale ** 3;
+
+  return {
+    edgeLength: { min: 1, max: edgeLength.max * scale },
+    area,
+    volume,
+    circumradius: scaleRange(circumradius),
+    midradius: scaleRange(midradius),
+    inradius: scaleRange(inradius),
+    sphericity: volume === null ? null : Math.cbrt(Math.PI) * Math.pow(6 * volume, 2 / 3) / area,
+    dihedralAngles: groupOrbits(dihedralAngles, 0.01).map(({ value, count }) => ({ degrees: value, count })),
+    faceCounts,
+    vertexConfigurations,
+    pointGroup: group.name,
+    symmetryOrder: group.order
+  };
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.170.0/build/three.module.min.js';
+import { getPolygonColor, faceNormal, triangulateFace, edgeList } from './polyhedra.js';
+
+// three.js geometry for the viewer, built from the plain vertex and face lists
+// of polyhedra.js
+
+// Build colored geometry from vertices and faces, colored by faceColors
+// (0xRRGGBB per face) or else by side count. faceOffsets moves each face out
+// along its normal by a distance, for exploded views.
+export function buildColoredGeometry(vertices, faces, scale = 1.5, faceColors, faceOffsets) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = [];
+  const colors = [];
+  const normals = [];
+  const triangleFaces = []; // source face of each triangle, for picking
+
+  faces.forEach((face, f) => {
+    const faceVerts = face.map(i => vertices[i]);
+    const sides = face.length;
+    const color = new THREE.Color(faceColors ? faceColors[f] : getPolygonColor(sides));
+    const normal = faceNormal(vertices, face);
+    const shift = faceOffsets ? normal.map(x => x * faceOffsets[f]) : [0, 0, 0];
+
+    for (const triangle of triangulateFace(faceVerts, normal)) {
+      for (const vert of triangle) {
+        positions.push((vert[0] + shift[0]) * scale, (vert[1] + shift[1]) * scale, (vert[2] + shift[2]) * scale);
+        colors.push(color.r, color.g, color.b);
+        normals.push(normal[0], normal[1], normal[2]);
+      }
+      triangleFaces.push(f);
+    }
+  });
+
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.userData.triangleFaces = triangleFaces;
+  return geometry;
+}
+
+// Build edges from face data. With faceOffsets, each face is outlined on its
+// own where buildColoredGeometry moved it.
+export function buildEdgesGeometry(vertices, faces, scale = 1.5, faceOffsets) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = [];
+
+  if (faceOffsets) {
+    faces.forEach((face, f) => {
+      const shift = faceNormal(vertices, face).map(x => x * faceOffsets[f]);
+      face.forEach((a, i) => {
+        for (const v of [vertices[a], vertices[face[(i + 1) % face.length]]]) {
+          positions.push((v[0] + shift[0]) * scale, (v[1] + shift[1]) * scale, (v[2] + shift[2]) * scale);
+        }
+      });
+    });
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+  }
+
+  for (const [a, b] of edgeList(faces)) {
+    positions.push(
+      vertices[a][0] * scale, vertices[a][1] * scale, vertices[a][2] * scale,
+      vertices[b][0] * scale, vertices[b][1] * scale, vertices[b][2] * scale
+    );
+  }
+
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+}
+
+// Build the tessellated faces of a projection (see projection.js) at the
+// given sample positions. The pieces are shaded flat, each facing its own way.
+export function buildProjectionGeometry(positions, triangles, scale = 1.5, faceColors) {
+  const geometry = new THREE.BufferGeometry();
+  const points = [];
+  const colors = [];
+  const triangleFaces = []; // source face of each triangle, for picking
+  const faceColor = new Map();
+
+  for (const { points: corners, face } of triangles) {
+    if (!faceColor.has(face)) faceColor.set(face, new THREE.Color(faceColors[face]));
+    const color = faceColor.get(face);
+    for (const i of corners) {
+      points.push(positions[i][0] * scale, positions[i][1] * scale, positions[i][2] * scale);
+      colors.push(color.r, color.g, color.b);
+    }
+    triangleFaces.push(face);
+  }
+
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.computeVertexNormals();
+  geometry.userData.triangleFaces = triangleFaces;
+  return geometry;
+}
+
+// Build polylines through sample positions as line segments
+export function buildPolylineGeometry(positions, lines, scale = 1.5) {
+  const geometry = new THREE.BufferGeometry();
+  const points = [];
+
+  for (const line of lines) {
+    for (let k = 1; k < line.length; k++) {
+      for (const i of [line[k - 1], line[k]]) {
+        points.push(positions[i][0] * scale, positions[i][1] * scale, positions[i][2] * scale);
+      }
+    }
+  }
+
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+  return geometry;
+}
@@ -0,0 +1,332 @@
+import { faceNormal, triangulateFace, buildEdgeToFace, getPolygonColor } from './polyhedra.js';
+
+// Nets: unfolding a polyhedron into the plane along a spanning tree of its
+// face adjacency graph.
+//
+// Each non-root face hangs from its parent by a hinge edge. Folding by an
+// amount between 0 (flat net) and 1 (solid) rotates every face about its hinge
+// by that fraction of the angle that lays it flat in its parent's plane.
+// Spanning trees are tried in turn until one gives a net whose faces do not
+// overlap; for shapes where none is found (e.g. star polyhedra) the net with
+// the fewest overlapping face pairs is kept.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const unit = (v) => {
+  const len = Math.sqrt(dot(v, v));
+  return [v[0] / len, v[1] / len, v[2] / len];
+};
+
+// Rigid transforms { m: 3x3 rows, t: translation }, applied as m * p + t
+const identity = { m: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], t: [0, 0, 0] };
+const applyMatrix = (m, p) => [dot(m[0], p), dot(m[1], p), dot(m[2], p)];
+const apply = ({ m, t }, p) => {
+  const q = applyMatrix(m, p);
+  return [q[0] + t[0], q[1] + t[1], q[2] + t[2]];
+};
+
+// a after b
+function compose(a, b) {
+  const columns = [0, 1, 2].map(k => applyMatrix(a.m, [b.m[0][k], b.m[1][k], b.m[2][k]]));
+  return {
+    m: [0, 1, 2].map(r => [columns[0][r], columns[1][r], columns[2][r]]),
+    t: apply(a, b.t)
+  };
+}
+
+// Rotation by angle about the line through point along unit axis (Rodrigues)
+function rotationAbout(point, axis, angle) {
+  const [x, y, z] = axis;
+  const c = Math.cos(angle), s = Math.sin(angle), k = 1 - c;
+  const m = [
+    [c + x * x * k, x * y * k - z * s, x * z * k + y * s],
+    [y * x * k + z * s, c + y * y * k, y * z * k - x * s],
+    [z * x * k - y * s, z * y * k + x * s, c + z * z * k]
+  ];
+  return { m, t: sub(point, applyMatrix(m, point)) };
+}
+
+// Deterministic pseudo-random numbers (mulberry32), so a shape always
+// unfolds to the same net
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Spanning tree of the face graph grown from root. Faces are taken from the
+// frontier breadth-first, or at random when rng is given.
+// Returns { parent, hinge, order }: hinge[f] is the edge [a, b] of the parent
+// (running a -> b in the parent) that f hangs from.
+function spanningTree(faces, edgeToFace, root, rng) {
+  const parent = faces.map(() => -1);
+  const hinge = faces.map(() => null);
+  const order = [root];
+  const seen = new Set([root]);
+  const frontier = [];
+
+  const addEdges = (f) => {
+    const face = faces[f];
+    face.forEach((a, i) => frontier.push([f, a, face[(i + 1) % face.length]]));
+  };
+  addEdges(root);
+
+  while (frontier.length) {
+    const index = rng ? Math.floor(rng() * frontier.length) : 0;
+    const [f, a, b] = frontier.splice(index, 1)[0];
+    const g = edgeToFace[`${b}>${a}`];
+    if (g === undefined || seen.has(g)) continue;
+    seen.add(g);
+    parent[g] = f;
+    hinge[g] = [a, b];
+    order.push(g);
+    addEdges(g);
+  }
+  return { parent, hinge, order };
+}
+
+// Signed angle about each hinge that lays a face flat in its parent's plane
+function hingeAngles(vertices, faces, normals, tree) {
+  return faces.map((face, f) => {
+    const p = tree.parent[f];
+    if (p < 0) return 0;
+    const [a, b] = tree.hinge[f];
+    const axis = unit(sub(vertices[b], vertices[a]));
+    return Math.atan2(dot(axis, cross(normals[f], normals[p])), dot(normals[f], normals[p]));
+  });
+}
+
+// Per face, the transform rotating it about its hinge (and its parent's, and
+// so on up to the root) by `unfold` times the hinge angles
+function treeTransforms(vertices, tree, angles, unfold) {
+  const transforms = [];
+  for (const f of tree.order) {
+    const p = tree.parent[f];
+    if (p < 0) {
+      transforms[f] = identity;
+      continue;
+    }
+    const [a, b] = tree.hinge[f];
+    const axis = unit(sub(vertices[b], vertices[a]));
+    transforms[f] = compose(transforms[p], rotationAbout(vertices[a], axis, unfold * angles[f]));
+  }
+  return transforms;
+}
+
+// Orthonormal frame of the root face: rows e1, e2, normal, so that the flat
+// net lies in a plane z = const and is seen from outside looking down -z
+function rootFrame(vertices, face, normal) {
+  const e1 = unit(sub(vertices[face[1]], vertices[face[0]]));
+  return [e1, cross(normal, e1), normal];
+}
+
+// Triangles of flat polygons, each shrunk slightly towards its centre so that
+// polygons which only share an edge or a vertex do not count as overlapping
+function flatTriangles(polygons) {
+  const triangles = [];
+  polygons.forEach((points, index) => {
+    const planar = points.map(([x, y]) => [x, y, 0]);
+    for (const triangle of triangulateFace(planar, [0, 0, 1])) {
+      const cx = (triangle[0][0] + triangle[1][0] + triangle[2][0]) / 3;
+      const cy = (triangle[0][1] + triangle[1][1] + triangle[2][1]) / 3;
+      const shrunk = triangle.map(([x, y]) => [cx + (x - cx) * 0.999, cy + (y - cy) * 0.999]);
+      const xs = shrunk.map(p => p[0]), ys = shrunk.map(p => p[1]);
+      triangles.push({
+        index, points: shrunk,
+        minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys)
+      });
+    }
+  });
+  return triangles;
+}
+
+// Separating axis test for two triangles from flatTriangles()
+function trianglesOverlap(s, t) {
+  if (t.minX >= s.maxX || s.minX >= t.maxX || t.minY >= s.maxY || s.minY >= t.maxY) return false;
+  for (const [p, q] of [s.points, t.points].flatMap(tri => tri.map((v, i) => [v, tri[(i + 1) % 3]]))) {
+    const axis = [q[1] - p[1], p[0] - q[0]];
+    const project = (tri) => tri.map(v => v[0] * axis[0] + v[1] * axis[1]);
+    const ps = project(s.points), pt = project(t.points);
+    if (Math.max(...ps) <= Math.min(...pt) + 1e-9 || Math.max(...pt) <= Math.min(...ps) + 1e-9) return false;
+  }
+  return true;
+}
+
+// Number of overlapping face pairs in a flat net
+function countOverlaps(flatFaces) {
+  // Sweep along x so only triangles with overlapping x ranges are compared
+  const triangles = flatTriangles(flatFaces).sort((s, t) => s.minX - t.minX);
+  const pairs = new Set();
+  for (let i = 0; i < triangles.length; i++) {
+    const s = triangles[i];
+    for (let j = i + 1; j < triangles.length && triangles[j].minX < s.maxX; j++) {
+      const t = triangles[j];
+      if (s.index === t.index) continue;
+      const key = s.index < t.index ? `${s.index}-${t.index}` : `${t.index}-${s.index}`;
+      if (!pairs.has(key) && trianglesOverlap(s, t)) pairs.add(key);
+    }
+  }
+  return pairs.size;
+}
+
+// Unfold a polyhedron into a net. Tries breadth-first trees from every face
+// (largest faces first), then random trees, up to `attempts` in all.
+// Returns { vertices, faces, parent, hinge, order, angles, frame, center,
+// flat, radius, overlaps }, where flat[f] is the 2D polygon of face f.
+export function unfoldPolyhedron(vertices, faces, { attempts = 200 } = {}) {
+  // Wind faces outward (positive signed volume), as the layout assumes faces
+  // are counter-clockwise seen from outside
+  let volume = 0;
+  for (const face of faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      volume += dot(vertices[face[0]], cross(vertices[face[i]], vertices[face[i + 1]]));
+    }
+  }
+  if (volume < 0) faces = faces.map(face => [...face].reverse());
+
+  const edgeToFace = buildEdgeToFace(faces);
+  const normals = faces.map(face => faceNormal(vertices, face));
+  const roots = faces
+    .map((face, f) => f)
+    .sort((f, g) => faces[g].length - faces[f].length || f - g);
+  const rng = random(faces.length * 7919 + vertices.length);
+
+  let best = null;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const randomTree = attempt >= roots.length;
+    const root = randomTree ? roots[Math.floor(rng() * roots.length)] : roots[attempt];
+    const tree = spanningTree(faces, edgeToFace, root, randomTree ? rng : null);
+    const angles = hingeAngles(vertices, faces, normals, tree);
+    const transforms = treeTransforms(vertices, tree, angles, 1);
+    const frame = rootFrame(vertices, faces[root], normals[root]);
+
+    const flat3D = faces.map((face, f) => face.map(i => applyMatrix(frame, apply(transforms[f] || identity, vertices[i]))));
+    const flat = flat3D.map(points => points.map(([x, y]) => [x, y]));
+    const overlaps = countOverlaps(flat);
+
+    if (!best || overlaps < best.overlaps) {
+      const all = flat3D.flat();
+      const center = [0, 1, 2].map(k => all.reduce((sum, p) => sum + p[k], 0) / all.length);
+      const radius = Math.max(...all.map(p => Math.hypot(p[0] - center[0], p[1] - center[1])));
+      best = { vertices, faces, ...tree, angles, frame, center, flat, radius, overlaps };
+    }
+    if (overlaps === 0) break;
+  }
+  return best;
+}
+
+// Geometry of a net folded by `fold` (0 = flat, 1 = solid), as separate
+// vertices per face. The root face stays fixed facing +z; the flat net is
+// centred on the origin, the solid on its own centre.
+export function foldNet(net, fold) {
+  const unfold = 1 - fold;
+  const transforms = treeTransforms(net.vertices, net, net.angles, unfold);
+
+  const vertices = [];
+  const faces = net.faces.map((face, f) => face.map(i => {
+    const p = applyMatrix(net.frame, apply(transforms[f] || identity, net.vertices[i]));
+    vertices.push([0, 1, 2].map(k => p[k] - unfold * net.center[k]));
+    return vertices.length - 1;
+  }));
+  return { vertices, faces };
+}
+
+// Printable drawing of a net in its own units, y pointing down:
+// colored faces, solid cut lines, dashed fold lines (mountain dashed,
+// valley dash-dotted) and numbered glue tabs pairing up the cut edges.
+// Returns { width, height, items } in the format of drawing.js.
+export function netDrawing(net, { tabs = true, faceColors } = {}) {
+  const { faces, flat, parent, hinge } = net;
+
+  // Hinges, keyed by undirected edge, with mountain/valley from the solid:
+  // a mountain fold when the child's centre lies on the inside of the parent's plane
+  const hinges = new Map();
+  faces.forEach((face, f) => {
+    if (parent[f] < 0) return;
+    const [a, b] = hinge[f];
+    const parentNormal = faceNormal(net.vertices, faces[parent[f]]);
+    const centre = [0, 1, 2].map(k => face.reduce((sum, i) => sum + net.vertices[i][k], 0) / face.length);
+    const mountain = dot(sub(centre, net.vertices[a]), parentNormal) <= 1e-9;
+    hinges.set(a < b ? `${a}-${b}` : `${b}-${a}`, mountain);
+  });
+
+  const faceItems = [], lineItems = [], tabItems = [], labelItems = [];
+  // Cut edge -> both copies of it, in the net's coordinates (y up)
+  const cuts = new Map();
+
+  faces.forEach((face, f) => {
+    const points = flat[f];
+    const color = faceColors ? faceColors[f] : getPolygonColor(face.length);
+    faceItems.push({ type: 'polygon', points, fill: color });
+
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      const p = points[i], q = points[(i + 1) % face.length];
+
+      if (hinges.has(key)) {
+        // Each hinge appears in both faces; draw it once
+        if (a < b) lineItems.push({ type: 'line', points: [p, q], dash: hinges.get(key) ? [3, 2] : [3, 1.5, 0.75, 1.5] });
+        return;
+      }
+      lineItems.push({ type: 'line', points: [p, q] });
+      cuts.set(key, [...(cuts.get(key) || []), { p, q }]);
+    });
+  });
+
+  // Number the cut edges in pairs, putting the tab on whichever copy keeps it
+  // clear of the faces (the first copy if both or neither do)
+  const faceTriangles = flatTriangles(flat);
+  let label = 0;
+  for (const copies of cuts.values()) {
+    label++;
+    const candidates = copies.map(({ p, q }) => {
+      const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+      const dir = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+      // Faces run counter-clockwise, so outward is to the right of p -> q
+      const out = [dir[1], -dir[0]];
+      const h = 0.2 * length, inset = Math.min(h, 0.3 * length);
+      const tab = [
+        p,
+        [p[0] + out[0] * h + dir[0] * inset, p[1] + out[1] * h + dir[1] * inset],
+        [q[0] + out[0] * h - dir[0] * inset, q[1] + out[1] * h - dir[1] * inset],
+        q
+      ];
+      const mid = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+      const size = Math.min(0.12 * length, 0.08 * net.radius);
+      return { tab, mid, out, h, size };
+    });
+    const blocked = (tab) => flatTriangles([tab]).some(s => faceTriangles.some(t => trianglesOverlap(s, t)));
+    const withTab = tabs && candidates.length === 2 && blocked(candidates[0].tab) && !blocked(candidates[1].tab) ? 1 : 0;
+
+    candidates.forEach(({ tab, mid, out, h, size }, i) => {
+      const text = String(label);
+      if (tabs && i === withTab) {
+        tabItems.push({ type: 'polygon', points: tab, fill: 0xeeeeee, stroke: 0x000000 });
+        labelItems.push({ type: 'text', at: [mid[0] + out[0] * h / 2, mid[1] + out[1] * h / 2], text, size });
+      } else {
+        labelItems.push({ type: 'text', at: [mid[0] - out[0] * size, mid[1] - out[1] * size], text, size });
+      }
+    });
+  }
+
+  // Flip y and move the drawing's corner to the origin
+  const items = [...tabItems, ...faceItems, ...lineItems, ...labelItems];
+  const all = items.flatMap(item => item.points || [item.at]);
+  const minX = Math.min(...all.map(p => p[0])), minY = Math.min(...all.map(p => p[1]));
+  const maxX = Math.max(...all.map(p => p[0])), maxY = Math.max(...all.map(p => p[1]));
+  const place = ([x, y]) => [x - minX, maxY - y];
+  for (const item of items) {
+    if (item.points) item.points = item.points.map(place);
+    if (item.at) item.at = place(item.at);
+  }
+  return { width: maxX - minX, height: maxY - minY, items };
+}
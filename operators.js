@@ -0,0 +1,567 @@
+import { polyhedra, computeDual, faceNormal } from './polyhedra.js';
+import { createFamilyShape } from './families.js';
+
+// Conway polyhedron operators
+// Each operator takes a plain { vertices, faces } polyhedron and returns a new one.
+// Topology follows Conway's notation as extended by George Hart; the geometry is
+// chosen so that operators applied to the Platonic solids give the uniform
+// (Archimedean) solids directly, e.g. tI is the truncated icosahedron.
+
+// Vector helpers
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const mul = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const length = (a) => Math.sqrt(dot(a, a));
+const unit = (a) => {
+  const len = length(a);
+  return len > 0 ? mul(a, 1 / len) : [0, 0, 0];
+};
+const lerp = (a, b, t) => add(a, mul(sub(b, a), t));
+const mean = (values) => values.reduce((sum, x) => sum + x, 0) / values.length;
+
+function centroid(points) {
+  return mul(points.reduce(add, [0, 0, 0]), 1 / points.length);
+}
+
+// Rotate u about the unit axis n by angle theta (Rodrigues' formula)
+function rotate(u, n, theta) {
+  const c = Math.cos(theta), s = Math.sin(theta);
+  return add(add(mul(u, c), mul(cross(n, u), s)), mul(n, dot(n, u) * (1 - c)));
+}
+
+// Map each directed edge "a,b" to the index of the face that traverses it
+function buildEdgeFaces(faces) {
+  const edgeFaces = new Map();
+  faces.forEach((face, fi) => {
+    face.forEach((a, i) => edgeFaces.set(`${a},${face[(i + 1) % face.length]}`, fi));
+  });
+  return edgeFaces;
+}
+
+// Undirected edges as [a, b, faceTraversingAtoB, faceTraversingBtoA]
+function buildEdges(faces, edgeFaces) {
+  const edges = [];
+  faces.forEach((face, fi) => {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const twin = edgeFaces.get(`${b},${a}`);
+      if (twin === undefined || a < b) edges.push([a, b, fi, twin]);
+    });
+  });
+  return edges;
+}
+
+// Faces around each vertex, counter-clockwise as seen from outside. Each entry
+// records the face and the vertex preceding v in it; the next face around v is
+// the one sharing that edge.
+function buildVertexCycles(vertexCount, faces, edgeFaces) {
+  const firstFace = new Array(vertexCount).fill(-1);
+  faces.forEach((face, fi) => face.forEach(v => {
+    if (firstFace[v] < 0) firstFace[v] = fi;
+  }));
+
+  return firstFace.map((start, v) => {
+    const cycle = [];
+    let fi = start;
+    while (fi !== undefined && fi >= 0 && cycle.length < faces.length) {
+      const face = faces[fi];
+      const prev = face[(face.indexOf(v) + face.length - 1) % face.length];
+      cycle.push({ face: fi, prev });
+      fi = edgeFaces.get(`${v},${prev}`);
+      if (fi === start) break;
+    }
+    return cycle;
+  });
+}
+
+function signedVolume(vertices, faces) {
+  let volume = 0;
+  for (const face of faces) {
+    const a = vertices[face[0]];
+    for (let i = 1; i < face.length - 1; i++) {
+      volume += dot(a, cross(vertices[face[i]], vertices[face[i + 1]]));
+    }
+  }
+  return volume / 6;
+}
+
+// Recentre on the vertex centroid, wind faces outward and scale to unit midradius,
+// the same normalisation as the vendored Hart data
+function normalizePolyhedron({ vertices, faces }) {
+  const center = centroid(vertices);
+  let newVertices = vertices.map(v => sub(v, center));
+  const newFaces = signedVolume(newVertices, faces) < 0
+    ? faces.map(face => [...face].reverse())
+    : faces.map(face => [...face]);
+
+  const midpointDistances = buildEdges(newFaces, buildEdgeFaces(newFaces))
+    .map(([a, b]) => length(lerp(newVertices[a], newVertices[b], 0.5)));
+  const midradius = mean(midpointDistances);
+  if (midradius > 0) newVertices = newVertices.map(v => mul(v, 1 / midradius));
+
+  return { vertices: newVertices, faces: newFaces };
+}
+
+// Fraction of an edge cut from each end so a regular n-gon becomes a regular 2n-gon
+const truncationRatio = (n) => 1 / (2 + 2 * Math.cos(Math.PI / n));
+
+// Shared per-polyhedron data used by most operators
+function analyze({ vertices, faces }) {
+  const edgeFaces = buildEdgeFaces(faces);
+  return {
+    edgeFaces,
+    edges: buildEdges(faces, edgeFaces),
+    cycles: buildVertexCycles(vertices.length, faces, edgeFaces),
+    normals: faces.map(face => faceNormal(vertices, face)),
+    centers: faces.map(face => centroid(face.map(i => vertices[i])))
+  };
+}
+
+// Allocates new vertices by key so that shared points are created only once
+function vertexBuilder() {
+  const index = new Map();
+  const vertices = [];
+  return {
+    vertices,
+    add(key, position) {
+      if (!index.has(key)) {
+        index.set(key, vertices.length);
+        vertices.push(position);
+      }
+      return index.get(key);
+    },
+    get: (key) => index.get(key)
+  };
+}
+
+// Mean offset along face normals that turns the gap between two faces across an
+// edge into a segment of the given length (exact for the Platonic solids)
+function meanFaceOffset(edges, normals, gapLength) {
+  const offsets = edges
+    .filter(([, , , g]) => g !== undefined)
+    .map(edge => {
+      const spread = length(sub(normals[edge[2]], normals[edge[3]]));
+      return spread > 1e-9 ? gapLength(edge) / spread : 0;
+    });
+  return offsets.length ? mean(offsets) : 0;
+}
+
+// d: dual (polar reciprocation, see computeDual)
+export function dual(poly) {
+  return computeDual(poly.vertices, poly.faces);
+}
+
+// a: ambo (rectify) - new vertices at edge midpoints
+export function ambo(poly) {
+  const { vertices, faces } = poly;
+  const { cycles } = analyze(poly);
+  const builder = vertexBuilder();
+  const midpoint = (a, b) => builder.add(
+    a < b ? `${a}-${b}` : `${b}-${a}`,
+    lerp(vertices[a], vertices[b], 0.5)
+  );
+
+  const newFaces = faces.map(face => face.map((a, i) => midpoint(a, face[(i + 1) % face.length])));
+  cycles.forEach((cycle, v) => {
+    if (cycle.length >= 3) newFaces.push(cycle.map(({ prev }) => midpoint(v, prev)));
+  });
+
+  return { vertices: builder.vertices, faces: newFaces };
+}
+
+// t: truncate - cut every vertex, adding a face in its place
+export function truncate(poly) {
+  const { vertices, faces } = poly;
+  const { edgeFaces, cycles } = analyze(poly);
+  const builder = vertexBuilder();
+
+  // Point on edge a-b near a. The cut ratio averages the two adjacent faces so
+  // faces of a Platonic solid become regular 2n-gons.
+  const cutPoint = (a, b) => {
+    const sides = [edgeFaces.get(`${a},${b}`), edgeFaces.get(`${b},${a}`)]
+      .filter(fi => fi !== undefined)
+      .map(fi => faces[fi].length);
+    return builder.add(`${a},${b}`, lerp(vertices[a], vertices[b], mean(sides.map(truncationRatio))));
+  };
+
+  const newFaces = faces.map(face => face.flatMap((a, i) => {
+    const b = face[(i + 1) % face.length];
+    return [cutPoint(a, b), cutPoint(b, a)];
+  }));
+  cycles.forEach((cycle, v) => {
+    if (cycle.length >= 3) newFaces.push(cycle.map(({ prev }) => cutPoint(v, prev)));
+  });
+
+  return { vertices: builder.vertices, faces: newFaces };
+}
+
+// k: kis - raise a pyramid on every face, with its apex on the circumsphere
+export function kis(poly) {
+  const { vertices, faces } = poly;
+  const { normals, centers } = analyze(poly);
+  const center = centroid(vertices);
+  const newVertices = vertices.map(v => [...v]);
+  const newFaces = [];
+
+  faces.forEach((face, fi) => {
+    // Solve |c + n h| = R for the apex height h above the face centroid
+    const c = sub(centers[fi], center);
+    const n = normals[fi];
+    const radius = mean(face.map(i => length(sub(vertices[i], center))));
+    const b = dot(c, n);
+    const disc = b * b - dot(c, c) + radius * radius;
+    const height = Math.max(disc > 0 ? -b + Math.sqrt(disc) : 0, 0.05 * radius);
+
+    const apex = newVertices.length;
+    newVertices.push(add(centers[fi], mul(n, height)));
+    face.forEach((a, i) => newFaces.push([a, face[(i + 1) % face.length], apex]));
+  });
+
+  return { vertices: newVertices, faces: newFaces };
+}
+
+// j: join = da - one rhombus per edge
+export function join(poly) {
+  return dual(ambo(poly));
+}
+
+// e: expand (cantellate) = aa - faces pulled apart along their normals
+export function expand(poly) {
+  const { vertices, faces } = poly;
+  const { edges, cycles, normals } = analyze(poly);
+  const builder = vertexBuilder();
+  const offset = meanFaceOffset(edges, normals, ([a, b]) => length(sub(vertices[a], vertices[b])));
+  const corner = (fi, v) => builder.add(`${fi},${v}`, add(vertices[v], mul(normals[fi], offset)));
+
+  const newFaces = faces.map((face, fi) => face.map(v => corner(fi, v)));
+  for (const [a, b, f, g] of edges) {
+    if (g !== undefined) newFaces.push([corner(f, b), corner(f, a), corner(g, a), corner(g, b)]);
+  }
+  cycles.forEach((cycle, v) => {
+    if (cycle.length >= 3) newFaces.push(cycle.map(({ face }) => corner(face, v)));
+  });
+
+  return { vertices: builder.vertices, faces: newFaces };
+}
+
+// Minimise f over two parameters by a shrinking coordinate (pattern) search
+function patternSearch(f, start, steps, iterations = 400) {
+  let best = [...start];
+  let bestValue = f(best);
+  const step = [...steps];
+  for (let iter = 0; iter < iterations && Math.max(...step) > 1e-7; iter++) {
+    let improved = false;
+    for (let k = 0; k < best.length; k++) {
+      for (const dir of [1, -1]) {
+        const trial = [...best];
+        trial[k] += dir * step[k];
+        const value = f(trial);
+        if (value < bestValue) {
+          best = trial;
+          bestValue = value;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) step.forEach((s, k) => { step[k] = s / 2; });
+  }
+  return best;
+}
+
+// Relative spread of edge lengths (0 when all edges are equal)
+function edgeLengthSpread(vertices, faces) {
+  const lengths = buildEdges(faces, buildEdgeFaces(faces))
+    .map(([a, b]) => length(sub(vertices[a], vertices[b])));
+  const avg = mean(lengths);
+  return Math.sqrt(mean(lengths.map(l => (l - avg) * (l - avg)))) / avg;
+}
+
+// s: snub - faces pulled apart and twisted, each edge becomes two triangles.
+// The twist and offset are searched for to make edges as equal as possible,
+// which gives the snub cube and snub dodecahedron from sC and sD.
+export function snub(poly) {
+  const { vertices, faces } = poly;
+  const { edges, cycles, normals, centers } = analyze(poly);
+
+  const corners = [];
+  const cornerIndex = new Map();
+  faces.forEach((face, fi) => face.forEach(v => {
+    cornerIndex.set(`${fi},${v}`, corners.length);
+    corners.push([fi, v]);
+  }));
+  const corner = (fi, v) => cornerIndex.get(`${fi},${v}`);
+
+  const newFaces = faces.map((face, fi) => face.map(v => corner(fi, v)));
+  for (const [a, b, f, g] of edges) {
+    if (g === undefined) continue;
+    newFaces.push([corner(f, b), corner(f, a), corner(g, b)]);
+    newFaces.push([corner(f, a), corner(g, a), corner(g, b)]);
+  }
+  cycles.forEach((cycle, v) => {
+    if (cycle.length >= 3) newFaces.push(cycle.map(({ face }) => corner(face, v)));
+  });
+
+  const place = ([theta, offset]) => corners.map(([fi, v]) => add(
+    add(centers[fi], rotate(sub(vertices[v], centers[fi]), normals[fi], theta)),
+    mul(normals[fi], offset)
+  ));
+  const startOffset = meanFaceOffset(edges, normals, ([a, b]) => length(sub(vertices[a], vertices[b])));
+  const [theta, offset] = patternSearch(
+    params => edgeLengthSpread(place(params), newFaces),
+    [0, startOffset],
+    [0.1, 0.1 * startOffset]
+  );
+
+  return { vertices: place([theta, offset]), faces: newFaces };
+}
+
+// g: gyro = dsd - every n-gon becomes n pentagons
+export function gyro(poly) {
+  return dual(normalizePolyhedron(snub(normalizePolyhedron(dual(poly)))));
+}
+
+// c: chamfer - every edge becomes a hexagon, faces shrink towards their centres
+export function chamfer(poly, inset = 0.3) {
+  const { vertices, faces } = poly;
+  const { edges, normals, centers } = analyze(poly);
+  const center = centroid(vertices);
+  const builder = vertexBuilder();
+  vertices.forEach((v, i) => builder.add(`v${i}`, [...v]));
+
+  // Lift each inset corner along the face normal so the hexagons through the
+  // neighbouring edges lie flat (exact for edge-transitive solids)
+  const corner = (fi, i) => {
+    const face = faces[fi];
+    const v = face[i];
+    const inward = mul(sub(centers[fi], vertices[v]), inset);
+    const heights = [face[(i + 1) % face.length], face[(i + face.length - 1) % face.length]]
+      .map(w => {
+        const m = unit(sub(lerp(vertices[v], vertices[w], 0.5), center));
+        const nm = dot(normals[fi], m);
+        return Math.abs(nm) > 1e-9 ? -dot(inward, m) / nm : 0;
+      });
+    return builder.add(`${fi},${v}`, add(add(vertices[v], inward), mul(normals[fi], mean(heights))));
+  };
+
+  const newFaces = faces.map((face, fi) => face.map((v, i) => corner(fi, i)));
+  const cornerOf = (fi, v) => builder.get(`${fi},${v}`);
+  for (const [a, b, f, g] of edges) {
+    if (g === undefined) continue;
+    newFaces.push([cornerOf(f, b), cornerOf(f, a), a, cornerOf(g, a), cornerOf(g, b), b]);
+  }
+
+  return { vertices: builder.vertices, faces: newFaces };
+}
+
+// b: bevel = ta - faces truncated and pulled apart, every vertex becomes a 2n-gon.
+// Built directly (rather than truncating the ambo) so bC and bD come out as the
+// uniform truncated cuboctahedron and truncated icosidodecahedron.
+export function bevel(poly) {
+  const { vertices, faces } = poly;
+  const { edges, cycles, normals } = analyze(poly);
+  const builder = vertexBuilder();
+  const edgeLength = (a, b) => length(sub(vertices[a], vertices[b]));
+  const ratios = faces.map(face => truncationRatio(face.length));
+
+  // Side of the truncated faces, which the edge squares must match
+  const offset = meanFaceOffset(edges, normals, ([a, b, f, g]) =>
+    edgeLength(a, b) * (1 - ratios[f] - ratios[g]));
+
+  // Point of face fi on edge a-b near a
+  const point = (fi, a, b) => builder.add(
+    `${fi},${a},${b}`,
+    add(lerp(vertices[a], vertices[b], ratios[fi]), mul(normals[fi], offset))
+  );
+
+  const newFaces = faces.map((face, fi) => face.flatMap((a, i) => {
+    const b = face[(i + 1) % face.length];
+    return [point(fi, a, b), point(fi, b, a)];
+  }));
+  for (const [a, b, f, g] of edges) {
+    if (g === undefined) continue;
+    newFaces.push([point(f, b, a), point(f, a, b), point(g, a, b), point(g, b, a)]);
+  }
+  cycles.forEach((cycle, v) => {
+    if (cycle.length < 3) return;
+    newFaces.push(cycle.flatMap(({ face, prev }) => {
+      const f = faces[face];
+      const next = f[(f.indexOf(v) + 1) % f.length];
+      return [point(face, v, next), point(face, v, prev)];
+    }));
+  });
+
+  return { vertices: builder.vertices, faces: newFaces };
+}
+
+// Operator letters in Conway notation
+// Each with the vertex, edge and face counts it turns V, E, F into
+export const conwayOperators = {
+  d: { name: 'dual', apply: dual, counts: ({ V, E, F }) => ({ V: F, E, F: V }) },
+  a: { name: 'ambo', apply: ambo, counts: ({ V, E, F }) => ({ V: E, E: 2 * E, F: V + F }) },
+  t: { name: 'truncate', apply: truncate, counts: ({ V, E, F }) => ({ V: 2 * E, E: 3 * E, F: V + F }) },
+  k: { name: 'kis', apply: kis, counts: ({ V, E, F }) => ({ V: V + F, E: 3 * E, F: 2 * E }) },
+  j: { name: 'join', apply: join, counts: ({ V, E, F }) => ({ V: V + F, E: 2 * E, F: E }) },
+  e: { name: 'expand', apply: expand, counts: ({ V, E, F }) => ({ V: 2 * E, E: 4 * E, F: V + E + F }) },
+  s: { name: 'snub', apply: snub, counts: ({ V, E, F }) => ({ V: 2 * E, E: 5 * E, F: V + 2 * E + F }) },
+  g: { name: 'gyro', apply: gyro, counts: ({ V, E, F }) => ({ V: V + 2 * E + F, E: 5 * E, F: 2 * E }) },
+  c: { name: 'chamfer', apply: chamfer, counts: ({ V, E, F }) => ({ V: V + 2 * E, E: 4 * E, F: E + F }) },
+  b: { name: 'bevel', apply: bevel, counts: ({ V, E, F }) => ({ V: 4 * E, E: 6 * E, F: V + E + F }) }
+};
+
+// Limits on what notation may build. Every operator but d multiplies the
+// size, so a short string, e.g. from a shared link, could otherwise stall
+// the page.
+export const MAX_OPERATORS = 8;
+export const MAX_CONWAY_VERTICES = 20000;
+
+// Seed letters in Conway notation, mapped to keys in the polyhedra map
+export const conwaySeeds = {
+  T: 'tetrahedron',
+  C: 'cube',
+  O: 'octahedron',
+  D: 'dodecahedron',
+  I: 'icosahedron'
+};
+
+// Seed letters followed by a side count, e.g. P5 (pentagonal prism)
+export const conwayFamilySeeds = {
+  P: 'prism',
+  A: 'antiprism',
+  Y: 'pyramid'
+};
+
+// Key in the polyhedra map for a seed such as "I" or "P5"
+function resolveSeed(seed) {
+  if (conwaySeeds[seed]) return conwaySeeds[seed];
+  return createFamilyShape(conwayFamilySeeds[seed[0]], parseInt(seed.slice(1), 10));
+}
+
+// Seed notation for a shape in the polyhedra map, or null if it has none
+function seedNotation(key) {
+  const letter = Object.keys(conwaySeeds).find(l => conwaySeeds[l] === key);
+  if (letter) return letter;
+  const data = polyhedra[key];
+  const familyLetter = data && Object.keys(conwayFamilySeeds).find(l => conwayFamilySeeds[l] === data.family);
+  return familyLetter ? `${familyLetter}${data.sides}` : null;
+}
+
+// Split notation such as "dkD" into operators ("dk") and an optional seed key.
+// Throws with a readable message on anything that isn't valid notation.
+export function parseConway(notation) {
+  const text = notation.replace(/\s+/g, '');
+  if (!text) throw new Error('Enter operators such as "tI" or "dkD"');
+
+  const seedPattern = new RegExp(`([${Object.keys(conwaySeeds).join('')}]|[${Object.keys(conwayFamilySeeds).join('')}]\\d+)$`);
+  const seedMatch = text.match(seedPattern);
+  const ops = seedMatch ? text.slice(0, seedMatch.index) : text;
+
+  for (const letter of ops) {
+    if (!conwayOperators[letter]) {
+      const known = Object.keys(conwayOperators).join(' ');
+      const seeds = [...Object.keys(conwaySeeds), ...Object.keys(conwayFamilySeeds).map(l => `${l}n`)].join(' ');
+      throw new Error(`Unknown operator "${letter}" in "${text}" (operators: ${known}; seeds: ${seeds})`);
+    }
+  }
+  if (!ops && !seedMatch) throw new Error(`No operators in "${text}"`);
+
+  return { ops, seedKey: seedMatch ? resolveSeed(seedMatch[1]) : null };
+}
+
+// Apply a string of operators right to left, as in Conway notation
+export function applyOperators(ops, poly) {
+  let result = normalizePolyhedron(poly);
+  for (const letter of [...ops].reverse()) {
+    result = normalizePolyhedron(conwayOperators[letter].apply(result));
+  }
+  return result;
+}
+
+// Topological fingerprint: face sizes and vertex degrees with their counts
+function signature(vertices, faces) {
+  const faceSizes = {};
+  const degrees = new Array(vertices.length).fill(0);
+  for (const face of faces) {
+    faceSizes[face.length] = (faceSizes[face.length] || 0) + 1;
+    for (const v of face) degrees[v]++;
+  }
+  const degreeCounts = {};
+  for (const d of degrees) degreeCounts[d] = (degreeCounts[d] || 0) + 1;
+  return JSON.stringify([faceSizes, degreeCounts]);
+}
+
+// Geometric fingerprint: edge lengths and vertex distances from the centroid,
+// sorted and in units of the mean edge length
+function proportions(vertices, faces) {
+  const center = centroid(vertices);
+  const edges = buildEdges(faces, buildEdgeFaces(faces)).map(([a, b]) => length(sub(vertices[a], vertices[b])));
+  const scale = 1 / mean(edges);
+  return [
+    ...edges.map(x => x * scale).sort((x, y) => x - y),
+    ...vertices.map(v => length(sub(v, center)) * scale).sort((x, y) => x - y)
+  ];
+}
+
+// Find a named shape in the polyhedra map with the same topology and the same
+// proportions, if any. Topology alone would name aaC, whose squares are not
+// all alike, after the rhombicuboctahedron.
+export function findMatchingShape(vertices, faces) {
+  const target = signature(vertices, faces);
+  let shape = null;
+  for (const [key, data] of Object.entries(polyhedra)) {
+    if (data.category === 'conway') continue;
+    if (signature(data.vertices, data.faces) !== target) continue;
+    shape = shape || proportions(vertices, faces);
+    const other = proportions(data.vertices, data.faces);
+    if (other.every((x, i) => Math.abs(x - shape[i]) < 1e-3)) return key;
+  }
+  return null;
+}
+
+// Build the shape for a notation string and register it in the polyhedra map.
+// Notation without a seed letter applies to baseKey; applying operators to an
+// earlier result extends its notation. Returns the new key.
+export function createConwayShape(notation, baseKey) {
+  let { ops, seedKey } = parseConway(notation);
+
+  if (!seedKey) {
+    const base = polyhedra[baseKey];
+    if (!base) throw new Error(`Unknown shape "${baseKey}"`);
+    if (base.category === 'conway') {
+      ops += base.operators;
+      seedKey = base.sourceKey;
+    } else {
+      seedKey = baseKey;
+    }
+  }
+  if (!ops) return seedKey;
+
+  const key = `conway_${ops}_${seedKey}`;
+  if (polyhedra[key]) return key;
+
+  const seed = polyhedra[seedKey];
+  if (ops.length > MAX_OPERATORS) throw new Error(`"${ops}" has more than ${MAX_OPERATORS} operators`);
+  const { V } = [...ops].reverse().reduce((counts, letter) => conwayOperators[letter].counts(counts), {
+    V: seed.vertices.length, E: seed.faces.reduce((sum, face) => sum + face.length, 0) / 2, F: seed.faces.length
+  });
+  if (V > MAX_CONWAY_VERTICES) throw new Error(`"${ops}" would give ${V} vertices, more than the ${MAX_CONWAY_VERTICES} allowed`);
+  const { vertices, faces } = applyOperators(ops, seed);
+  const seedName = seedNotation(seedKey);
+  const notationName = seedName ? `${ops}${seedName}` : `${ops} ${seed.name}`;
+  const match = findMatchingShape(vertices, faces);
+
+  polyhedra[key] = {
+    name: match ? `${polyhedra[match].name} (${notationName})` : notationName,
+    category: 'conway',
+    vertices,
+    faces,
+    sourceKey: seedKey,
+    operators: ops
+  };
+  return key;
+}
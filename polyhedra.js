@@ -1,8 +1,11 @@
-import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.170.0/build/three.module.min.js';
+import { buildStarPolyhedra } from './star.js';
 
 // Polyhedra geometry data vendored from the "polyhedra" npm package
 // Original data from "Virtual Polyhedra" by George W. Hart
 // See data/COPYRIGHT.txt for full attribution
+//
+// This module is plain geometry with no dependencies, so it also runs under
+// Node (see test/); the three.js meshes are built in meshes.js.
 
 // Load JSON data at runtime
 async function loadJSON(url) {
@@ -10,13 +13,15 @@ async function loadJSON(url) {
   return response.json();
 }
 
-// Initialize polyhedra data (called from main.js)
+// Initialize polyhedra data (called from main.js). load fetches a data file's
+// URL and returns its parsed JSON; Node, whose fetch can't read files, passes
+// its own.
 let polyhedraData = null;
-export async function initPolyhedraData() {
+export async function initPolyhedraData(load = loadJSON) {
   const [platonic, archimedean, johnson] = await Promise.all([
-    loadJSON('./data/platonic.json'),
-    loadJSON('./data/archimedean.json'),
-    loadJSON('./data/johnson.json')
+    load(new URL('./data/platonic.json', import.meta.url)),
+    load(new URL('./data/archimedean.json', import.meta.url)),
+    load(new URL('./data/johnson.json', import.meta.url))
   ]);
   polyhedraData = { platonic, archimedean, johnson };
   buildPolyhedraMap();
@@ -28,76 +33,162 @@ export const polygonColors = {
   4: 0x3498db,  // Square - Blue
   5: 0x2ecc71,  // Pentagon - Green
   6: 0xf39c12,  // Hexagon - Orange
+  7: 0xe84393,  // Heptagon - Pink
   8: 0x9b59b6,  // Octagon - Purple
+  9: 0xa0522d,  // Enneagon - Brown
   10: 0x1abc9c, // Decagon - Teal
+  12: 0x34495e, // Dodecagon - Slate
 };
 
-// Build colored geometry from vertices and faces
-export function buildColoredGeometry(vertices, faces, scale = 1.5) {
-  const geometry = new THREE.BufferGeometry();
-  const positions = [];
-  const colors = [];
-  const normals = [];
+// Color for any polygon: the convention above, or a hue derived from the side
+// count for larger polygons (e.g. prism and cupola bases up to 40 sides)
+export function getPolygonColor(sides) {
+  if (polygonColors[sides] !== undefined) return polygonColors[sides];
+
+  // Step round the hue circle by the golden angle so neighbouring counts differ
+  const hue = (sides * 137.508) % 360;
+  const saturation = 0.55, lightness = 0.55;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+  const m = lightness - chroma / 2;
+  const [r, g, b] = hue < 60 ? [chroma, x, 0]
+    : hue < 120 ? [x, chroma, 0]
+    : hue < 180 ? [0, chroma, x]
+    : hue < 240 ? [0, x, chroma]
+    : hue < 300 ? [x, 0, chroma]
+    : [chroma, 0, x];
+  const toByte = (c) => Math.round((c + m) * 255);
+  return (toByte(r) << 16) | (toByte(g) << 8) | toByte(b);
+}
 
-  for (const face of faces) {
-    const faceVerts = face.map(i => vertices[i]);
-    const sides = face.length;
-    const color = new THREE.Color(polygonColors[sides] || 0x888888);
-
-    // Calculate face normal
-    const v0 = new THREE.Vector3(...faceVerts[0]);
-    const v1 = new THREE.Vector3(...faceVerts[1]);
-    const v2 = new THREE.Vector3(...faceVerts[2]);
-    const normal = new THREE.Vector3()
-      .crossVectors(
-        new THREE.Vector3().subVectors(v1, v0),
-        new THREE.Vector3().subVectors(v2, v0)
-      )
-      .normalize();
-
-    // Triangulate using fan method
-    for (let i = 1; i < face.length - 1; i++) {
-      for (const vert of [faceVerts[0], faceVerts[i], faceVerts[i + 1]]) {
-        positions.push(vert[0] * scale, vert[1] * scale, vert[2] * scale);
-        colors.push(color.r, color.g, color.b);
-        normals.push(normal.x, normal.y, normal.z);
-      }
-    }
+// Face normal using Newell's method. Unlike the cross product of the first
+// three vertices, this is also correct for non-convex and star (e.g. {5/2}) faces.
+export function faceNormal(vertices, face) {
+  let nx = 0, ny = 0, nz = 0;
+  for (let i = 0; i < face.length; i++) {
+    const curr = vertices[face[i]];
+    const next = vertices[face[(i + 1) % face.length]];
+    nx += (curr[1] - next[1]) * (curr[2] + next[2]);
+    ny += (curr[2] - next[2]) * (curr[0] + next[0]);
+    nz += (curr[0] - next[0]) * (curr[1] + next[1]);
   }
+  const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  return len > 0 ? [nx / len, ny / len, nz / len] : [0, 0, 0];
+}
 
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-  return geometry;
+// Project face points onto 2D coordinates in the plane perpendicular to normal
+function projectToPlane(points, normal) {
+  const helper = Math.abs(normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+  const d = helper[0] * normal[0] + helper[1] * normal[1] + helper[2] * normal[2];
+  const u = [helper[0] - normal[0] * d, helper[1] - normal[1] * d, helper[2] - normal[2] * d];
+  const uLen = Math.sqrt(u[0] * u[0] + u[1] * u[1] + u[2] * u[2]);
+  u[0] /= uLen; u[1] /= uLen; u[2] /= uLen;
+  const v = [
+    normal[1] * u[2] - normal[2] * u[1],
+    normal[2] * u[0] - normal[0] * u[2],
+    normal[0] * u[1] - normal[1] * u[0]
+  ];
+  return points.map(p => [
+    p[0] * u[0] + p[1] * u[1] + p[2] * u[2],
+    p[0] * v[0] + p[1] * v[1] + p[2] * v[2]
+  ]);
 }
 
-// Build edges from face data
-export function buildEdgesGeometry(vertices, faces, scale = 1.5) {
-  const geometry = new THREE.BufferGeometry();
-  const positions = [];
-  const edgeSet = new Set();
+// Does segment p1-p2 properly cross segment q1-q2?
+function segmentsCross(p1, p2, q1, q2) {
+  const orient = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const d1 = orient(q1, q2, p1), d2 = orient(q1, q2, p2);
+  const d3 = orient(p1, p2, q1), d4 = orient(p1, p2, q2);
+  return d1 * d2 < -1e-12 && d3 * d4 < -1e-12;
+}
 
-  for (const face of faces) {
-    for (let i = 0; i < face.length; i++) {
-      const a = face[i];
-      const b = face[(i + 1) % face.length];
-      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
-      if (!edgeSet.has(key)) {
-        edgeSet.add(key);
-        positions.push(
-          vertices[a][0] * scale, vertices[a][1] * scale, vertices[a][2] * scale,
-          vertices[b][0] * scale, vertices[b][1] * scale, vertices[b][2] * scale
-        );
+// Ear clipping for a simple (non-self-intersecting) polygon; returns index triples
+function earClip(points2D) {
+  const area = points2D.reduce((sum, p, i) => {
+    const q = points2D[(i + 1) % points2D.length];
+    return sum + p[0] * q[1] - q[0] * p[1];
+  }, 0);
+  const sign = area >= 0 ? 1 : -1;
+  const cross = (a, b, c) => sign * ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+
+  const remaining = points2D.map((_, i) => i);
+  const triangles = [];
+  let guard = 0;
+  while (remaining.length > 3 && guard++ < 10000) {
+    let clipped = false;
+    for (let k = 0; k < remaining.length; k++) {
+      const ia = remaining[(k + remaining.length - 1) % remaining.length];
+      const ib = remaining[k];
+      const ic = remaining[(k + 1) % remaining.length];
+      const [a, b, c] = [points2D[ia], points2D[ib], points2D[ic]];
+      if (cross(a, b, c) <= 1e-12) continue;
+      const containsOther = remaining.some(i => i !== ia && i !== ib && i !== ic &&
+        cross(a, b, points2D[i]) >= 0 && cross(b, c, points2D[i]) >= 0 && cross(c, a, points2D[i]) >= 0);
+      if (containsOther) continue;
+      triangles.push([ia, ib, ic]);
+      remaining.splice(k, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) break;
+  }
+  if (remaining.length === 3) triangles.push(remaining);
+  return triangles;
+}
+
+// Split a face into triangles (each an array of three points). Convex faces are
+// fanned from their first vertex. Star and other self-intersecting faces are
+// fanned from their centroid, which fills every region the boundary winds
+// around (the whole pentagram, including its central pentagon). Simple
+// non-convex faces are ear-clipped so that only their interior is filled.
+export function triangulateFace(points, normal) {
+  const n = points.length;
+  if (n === 3) return [points];
+
+  const flat = projectToPlane(points, normal);
+  let turning = 0;
+  let sameSign = true;
+  let firstSign = 0;
+  for (let i = 0; i < n; i++) {
+    const a = flat[(i + n - 1) % n], b = flat[i], c = flat[(i + 1) % n];
+    const e1 = [b[0] - a[0], b[1] - a[1]];
+    const e2 = [c[0] - b[0], c[1] - b[1]];
+    const turn = Math.atan2(e1[0] * e2[1] - e1[1] * e2[0], e1[0] * e2[0] + e1[1] * e2[1]);
+    turning += turn;
+    const sign = Math.sign(turn);
+    if (sign !== 0) {
+      if (firstSign === 0) firstSign = sign;
+      else if (sign !== firstSign) sameSign = false;
+    }
+  }
+
+  // Convex: turns all one way and wind exactly once
+  if (sameSign && Math.abs(Math.abs(turning) - 2 * Math.PI) < 1e-6) {
+    const triangles = [];
+    for (let i = 1; i < n - 1; i++) triangles.push([points[0], points[i], points[i + 1]]);
+    return triangles;
+  }
+
+  let selfIntersecting = false;
+  for (let i = 0; i < n && !selfIntersecting; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      if (segmentsCross(flat[i], flat[(i + 1) % n], flat[j], flat[(j + 1) % n])) {
+        selfIntersecting = true;
+        break;
       }
     }
   }
 
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-  return geometry;
+  if (selfIntersecting) {
+    const center = [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / n);
+    return points.map((p, i) => [center, p, points[(i + 1) % n]]);
+  }
+  return earClip(flat).map(tri => tri.map(i => points[i]));
 }
 
 // Convert polyhedra package data to our format
-function convertPolyhedron(data, category) {
+export function convertPolyhedron(data, category) {
   return {
     name: data.name,
     category: category,
@@ -118,7 +209,8 @@ const platonicMap = {
   'Icosahedron': 'icosahedron'
 };
 
-// Archimedean Solids (all 13)
+// Archimedean Solids (all 13). The keys are spelt as in the vendored data,
+// misspellings ("Rhombicubocahedron") included.
 const archimedeanMap = {
   'TruncatedTetrahedron': 'truncatedTetrahedron',
   'Cuboctahedron': 'cuboctahedron',
@@ -153,24 +245,49 @@ const catalanNames = {
   snubDodecahedron: 'Pentagonal Hexecontahedron'
 };
 
+// Entry of a loaded data file, failing loudly on a key that isn't there
+function dataEntry(file, key) {
+  const entry = polyhedraData[file][key];
+  if (!entry) throw new Error(`No "${key}" in data/${file}.json`);
+  return entry;
+}
+
+// Wind a shape's faces counter-clockwise from outside (positive signed
+// volume), as the rest of the code expects; the data has J37 the other way
+function windOutward(shape) {
+  const { vertices, faces } = shape;
+  let volume = 0;
+  for (const face of faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      const [a, b, c] = [vertices[face[0]], vertices[face[i]], vertices[face[i + 1]]];
+      volume += a[0] * (b[1] * c[2] - b[2] * c[1]) +
+        a[1] * (b[2] * c[0] - b[0] * c[2]) +
+        a[2] * (b[0] * c[1] - b[1] * c[0]);
+    }
+  }
+  if (volume < 0) shape.faces = faces.map(face => [...face].reverse());
+  return shape;
+}
+
 // Build polyhedra map after data is loaded
 function buildPolyhedraMap() {
   for (const [key, id] of Object.entries(platonicMap)) {
-    polyhedra[id] = convertPolyhedron(polyhedraData.platonic[key], 'platonic');
+    polyhedra[id] = windOutward(convertPolyhedron(dataEntry('platonic', key), 'platonic'));
   }
 
   for (const [key, id] of Object.entries(archimedeanMap)) {
-    polyhedra[id] = convertPolyhedron(polyhedraData.archimedean[key], 'archimedean');
+    polyhedra[id] = windOutward(convertPolyhedron(dataEntry('archimedean', key), 'archimedean'));
   }
 
   // Johnson Solids (all 92)
   for (let i = 1; i <= 92; i++) {
     const key = `J${i}`;
-    if (polyhedraData.johnson[key]) {
-      polyhedra[key.toLowerCase()] = convertPolyhedron(polyhedraData.johnson[key], 'johnson');
-    }
+    polyhedra[key.toLowerCase()] = windOutward(convertPolyhedron(dataEntry('johnson', key), 'johnson'));
   }
 
+  // Star polyhedra (Kepler-Poinsot and uniform star solids), generated
+  Object.assign(polyhedra, buildStarPolyhedra());
+
   // Catalan Solids (duals of Archimedean solids)
   for (const [archimedeanKey, catalanName] of Object.entries(catalanNames)) {
     const archimedean = polyhedra[archimedeanKey];
@@ -190,28 +307,135 @@ function buildPolyhedraMap() {
   console.log('Platonic:', Object.values(polyhedra).filter(p => p.category === 'platonic').length);
   console.log('Archimedean:', Object.values(polyhedra).filter(p => p.category === 'archimedean').length);
   console.log('Catalan:', Object.values(polyhedra).filter(p => p.category === 'catalan').length);
+  console.log('Star:', Object.values(polyhedra).filter(p => p.category === 'star').length);
   console.log('Johnson:', Object.values(polyhedra).filter(p => p.category === 'johnson').length);
 }
 
+// Each edge once, as [a, b] in the direction of the first face that has it
+export function edgeList(faces) {
+  const seen = new Set();
+  const edges = [];
+  for (const face of faces) {
+    for (let i = 0; i < face.length; i++) {
+      const a = face[i];
+      const b = face[(i + 1) % face.length];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        edges.push([a, b]);
+      }
+    }
+  }
+  return edges;
+}
+
+// Map each directed edge "a>b" to the face that runs a -> b. With consistent
+// winding the face across that edge is edgeToFace["b>a"].
+export function buildEdgeToFace(faces) {
+  const edgeToFace = {};
+  for (let fi = 0; fi < faces.length; fi++) {
+    const face = faces[fi];
+    for (let i = 0; i < face.length; i++) {
+      edgeToFace[`${face[i]}>${face[(i + 1) % face.length]}`] = fi;
+    }
+  }
+  return edgeToFace;
+}
+
+// Centres to reciprocate about, by key, with labels for the UI
+export const reciprocationCenters = {
+  vertex: 'Vertex centroid',
+  centroid: 'Centroid',
+  canonical: 'Canonical centre',
+  origin: 'Origin'
+};
+
+// The point for a reciprocation centre key:
+//   vertex     mean of the vertices
+//   centroid   centre of mass of the solid
+//   canonical  the point nearest all the edge lines (least squares), which is
+//              the midsphere's centre when every edge touches one
+//   origin     [0, 0, 0], where the vendored data is centred
+export function reciprocationCenter(vertices, faces, method) {
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const vertexCentroid = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+
+  if (method === 'centroid') {
+    // Sum of tetrahedra from the vertex centroid to each triangle of each face
+    let volume = 0;
+    const moment = [0, 0, 0];
+    for (const face of faces) {
+      const a = vertices[face[0]].map((x, k) => x - vertexCentroid[k]);
+      for (let i = 1; i < face.length - 1; i++) {
+        const b = vertices[face[i]].map((x, k) => x - vertexCentroid[k]);
+        const c = vertices[face[i + 1]].map((x, k) => x - vertexCentroid[k]);
+        const v = dot(a, [b[1] * c[2] - b[2] * c[1], b[2] * c[0] - b[0] * c[2], b[0] * c[1] - b[1] * c[0]]) / 6;
+        volume += v;
+        for (let k = 0; k < 3; k++) moment[k] += v * (a[k] + b[k] + c[k]) / 4;
+      }
+    }
+    if (Math.abs(volume) < 1e-12) return vertexCentroid;
+    return vertexCentroid.map((x, k) => x + moment[k] / volume);
+  }
+
+  if (method === 'canonical') {
+    // Minimise the summed squared distance to the edge lines: solve
+    // sum(I - u u^T) c = sum((I - u u^T) a) for edges through a along unit u
+    const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const rhs = [0, 0, 0];
+    const seen = new Set();
+    for (const face of faces) {
+      face.forEach((ia, i) => {
+        const ib = face[(i + 1) % face.length];
+        const key = ia < ib ? `${ia}-${ib}` : `${ib}-${ia}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        const a = vertices[ia], b = vertices[ib];
+        const d = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const len = Math.sqrt(dot(d, d));
+        const u = d.map(x => x / len);
+        for (let r = 0; r < 3; r++) {
+          for (let c = 0; c < 3; c++) {
+            const p = (r === c ? 1 : 0) - u[r] * u[c];
+            m[r][c] += p;
+            rhs[r] += p * a[c];
+          }
+        }
+      });
+    }
+    const det = (q) => q[0][0] * (q[1][1] * q[2][2] - q[1][2] * q[2][1]) -
+      q[0][1] * (q[1][0] * q[2][2] - q[1][2] * q[2][0]) +
+      q[0][2] * (q[1][0] * q[2][1] - q[1][1] * q[2][0]);
+    const determinant = det(m);
+    if (Math.abs(determinant) < 1e-12) return vertexCentroid;
+    // Cramer's rule
+    return [0, 1, 2].map(k => det(m.map((row, r) => row.map((x, c) => (c === k ? rhs[r] : x)))) / determinant);
+  }
+
+  if (method === 'vertex') return vertexCentroid;
+  return [0, 0, 0];
+}
+
+// Faces whose plane passes closer to the centre than this fraction of the
+// midsphere radius put their dual vertex more than 20 radii away
+const DEGENERATE_DISTANCE = 0.05;
+
 // Compute the dual polyhedron using polar reciprocation with respect to the midsphere
-// This ensures all dual faces are planar (required for Catalan solids)
-export function computeDual(vertices, faces) {
+// (about the given centre, a point or a key of reciprocationCenters, with radius
+// the mean distance of the edge lines). This ensures all dual faces are
+// planar (required for Catalan solids). Faces whose planes pass through or near
+// the centre are listed in degenerateFaces, as their dual vertices fly off.
+export function computeDual(vertices, faces, centerOption = 'origin') {
   // Helper functions
-  const cross = (a, b) => [
-    a[1] * b[2] - a[2] * b[1],
-    a[2] * b[0] - a[0] * b[2],
-    a[0] * b[1] - a[1] * b[0]
-  ];
   const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
-  const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
-  const normalize = (v) => {
-    const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
-    return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : [0, 0, 0];
-  };
+  const center = Array.isArray(centerOption) ? centerOption : reciprocationCenter(vertices, faces, centerOption);
+  const relative = (v) => [v[0] - center[0], v[1] - center[1], v[2] - center[2]];
 
-  // Step 1: Compute midsphere radius (average distance from origin to edge midpoints)
+  // Step 1: Compute midsphere radius (average distance from the centre to the
+  // edge lines, which is exact for a canonical polyhedron, whose edges touch
+  // the midsphere away from their midpoints)
   const seenEdges = new Set();
-  let midpointDistSum = 0;
+  let edgeDistSum = 0;
   let edgeCount = 0;
   for (const face of faces) {
     for (let i = 0; i < face.length; i++) {
@@ -219,39 +443,34 @@ export function computeDual(vertices, faces) {
       const key = a < b ? `${a}-${b}` : `${b}-${a}`;
       if (!seenEdges.has(key)) {
         seenEdges.add(key);
-        const va = vertices[a], vb = vertices[b];
-        const mid = [(va[0] + vb[0]) / 2, (va[1] + vb[1]) / 2, (va[2] + vb[2]) / 2];
-        midpointDistSum += Math.sqrt(dot(mid, mid));
+        const va = relative(vertices[a]), vb = relative(vertices[b]);
+        const d = [vb[0] - va[0], vb[1] - va[1], vb[2] - va[2]];
+        const t = dot(d, va) / dot(d, d);
+        const nearest = [va[0] - d[0] * t, va[1] - d[1] * t, va[2] - d[2] * t];
+        edgeDistSum += Math.sqrt(dot(nearest, nearest));
         edgeCount++;
       }
     }
   }
-  const midsphereR2 = Math.pow(midpointDistSum / edgeCount, 2);
+  const radius = edgeDistSum / edgeCount;
+  const midsphereR2 = radius * radius;
 
   // Step 2: Compute dual vertices using polar reciprocation
-  // For each face, the dual vertex is at distance r²/d along the face normal,
-  // where d is the distance from origin to the face plane
-  const dualVertices = faces.map(face => {
-    const faceVerts = face.map(i => vertices[i]);
-    const v0 = faceVerts[0], v1 = faceVerts[1], v2 = faceVerts[2];
-    const normal = normalize(cross(sub(v1, v0), sub(v2, v0)));
-
-    // Distance from origin to face plane
-    const d = Math.abs(dot(v0, normal));
-
-    // Determine which side of origin the face is on
-    const centroid = faceVerts.reduce(
-      (acc, v) => [acc[0] + v[0], acc[1] + v[1], acc[2] + v[2]],
-      [0, 0, 0]
-    );
-    centroid[0] /= face.length;
-    centroid[1] /= face.length;
-    centroid[2] /= face.length;
-    const sign = dot(centroid, normal) > 0 ? 1 : -1;
+  // For each face, the dual vertex is the pole of the face plane: at r²/d along
+  // the face normal, where d is the signed distance from the centre to the plane.
+  // Newell's normal keeps this right for star faces, whose first three
+  // vertices need not turn the same way as the face.
+  const degenerateFaces = [];
+  const dualVertices = faces.map((face, fi) => {
+    const normal = faceNormal(vertices, face);
+
+    // Signed distance from the centre to face plane, averaged over the face
+    const d = face.reduce((sum, i) => sum + dot(relative(vertices[i]), normal), 0) / face.length;
+    if (Math.abs(d) < DEGENERATE_DISTANCE * radius) degenerateFaces.push(fi);
 
     // Dual vertex position
     const dist = midsphereR2 / d;
-    return [normal[0] * dist * sign, normal[1] * dist * sign, normal[2] * dist * sign];
+    return [center[0] + normal[0] * dist, center[1] + normal[1] * dist, center[2] + normal[2] * dist];
   });
 
   // Step 3: Build vertex-to-faces adjacency
@@ -267,17 +486,8 @@ export function computeDual(vertices, faces) {
   // Two faces are adjacent around a vertex if they share an edge at that vertex
   const dualFaces = [];
 
-  // Build edge-to-faces map for adjacency lookup
-  const edgeToFaces = {};
-  for (let fi = 0; fi < faces.length; fi++) {
-    const face = faces[fi];
-    for (let i = 0; i < face.length; i++) {
-      const a = face[i], b = face[(i + 1) % face.length];
-      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
-      if (!edgeToFaces[key]) edgeToFaces[key] = [];
-      edgeToFaces[key].push(fi);
-    }
-  }
+  // Build directed-edge-to-face map for adjacency lookup
+  const edgeToFace = buildEdgeToFace(faces);
 
   for (const vi of Object.keys(vertexToFaces)) {
     const adjFaces = vertexToFaces[vi];
@@ -285,88 +495,47 @@ export function computeDual(vertices, faces) {
 
     const vertexIdx = parseInt(vi);
 
-    // Order faces by walking around the vertex via shared edges
+    // Order faces by walking around the vertex, always crossing the edge from
+    // the vertex to its predecessor in the current face. This turns the same way
+    // as the face windings, so dual faces are wound consistently even where the
+    // vertex figure is itself a star polygon and no plane separates "outward".
     const orderedFaces = [adjFaces[0]];
     const used = new Set([adjFaces[0]]);
 
     while (orderedFaces.length < adjFaces.length) {
-      const currentFace = orderedFaces[orderedFaces.length - 1];
-      const face = faces[currentFace];
-
-      // Find edges of this face that include the vertex
-      let foundNext = false;
-      for (let i = 0; i < face.length; i++) {
-        if (face[i] === vertexIdx || face[(i + 1) % face.length] === vertexIdx) {
-          const a = face[i], b = face[(i + 1) % face.length];
-          const key = a < b ? `${a}-${b}` : `${b}-${a}`;
-          const sharedFaces = edgeToFaces[key];
-
-          for (const nextFace of sharedFaces) {
-            if (nextFace !== currentFace && adjFaces.includes(nextFace) && !used.has(nextFace)) {
-              orderedFaces.push(nextFace);
-              used.add(nextFace);
-              foundNext = true;
-              break;
-            }
-          }
-          if (foundNext) break;
-        }
-      }
+      const face = faces[orderedFaces[orderedFaces.length - 1]];
+      const prev = face[(face.indexOf(vertexIdx) + face.length - 1) % face.length];
+      let nextFace = edgeToFace[`${vertexIdx}>${prev}`];
 
-      // Safety: if we can't find next face, add remaining faces (shouldn't happen for valid polyhedra)
-      if (!foundNext) {
-        for (const f of adjFaces) {
-          if (!used.has(f)) {
-            orderedFaces.push(f);
-            used.add(f);
-            break;
-          }
-        }
+      // Safety: if we can't follow the winding, add remaining faces (shouldn't happen for valid polyhedra)
+      if (nextFace === undefined || used.has(nextFace)) {
+        nextFace = adjFaces.find(f => !used.has(f));
       }
+      orderedFaces.push(nextFace);
+      used.add(nextFace);
     }
 
-    const faceIndices = orderedFaces;
-
-    // Compute polygon normal using Newell's method
-    let nx = 0, ny = 0, nz = 0;
-    for (let i = 0; i < faceIndices.length; i++) {
-      const curr = dualVertices[faceIndices[i]];
-      const next = dualVertices[faceIndices[(i + 1) % faceIndices.length]];
-      nx += (curr[1] - next[1]) * (curr[2] + next[2]);
-      ny += (curr[2] - next[2]) * (curr[0] + next[0]);
-      nz += (curr[0] - next[0]) * (curr[1] + next[1]);
-    }
+    dualFaces.push(orderedFaces);
+  }
 
-    // Compute face centroid
-    let cx = 0, cy = 0, cz = 0;
-    for (const fi of faceIndices) {
-      cx += dualVertices[fi][0];
-      cy += dualVertices[fi][1];
-      cz += dualVertices[fi][2];
-    }
-    cx /= faceIndices.length;
-    cy /= faceIndices.length;
-    cz /= faceIndices.length;
-
-    // For a convex polyhedron centered at origin, face normal should point
-    // in same direction as centroid (outward from origin)
-    if (nx * cx + ny * cy + nz * cz < 0) {
-      faceIndices.reverse();
+  // Wind the dual outward: reverse every face if its signed volume is negative
+  // (e.g. when the input faces were wound inward)
+  let signedVolume = 0;
+  for (const face of dualFaces) {
+    const a = dualVertices[face[0]];
+    for (let i = 1; i < face.length - 1; i++) {
+      const b = dualVertices[face[i]], c = dualVertices[face[i + 1]];
+      signedVolume += a[0] * (b[1] * c[2] - b[2] * c[1]) +
+        a[1] * (b[2] * c[0] - b[0] * c[2]) +
+        a[2] * (b[0] * c[1] - b[1] * c[0]);
     }
-
-    dualFaces.push(faceIndices);
+  }
+  if (signedVolume < 0) {
+    for (const face of dualFaces) face.reverse();
   }
 
-  // Step 5: Normalize to similar scale as original
-  const origDist = Math.sqrt(dot(vertices[0], vertices[0]));
-  const dualDist = Math.sqrt(dot(dualVertices[0], dualVertices[0]));
-  const scaleFactor = origDist / dualDist;
-
-  const normalizedVertices = dualVertices.map(v => [
-    v[0] * scaleFactor,
-    v[1] * scaleFactor,
-    v[2] * scaleFactor
-  ]);
-
-  return { vertices: normalizedVertices, faces: dualFaces };
+  // The dual is left at the scale of the reciprocation, so the two can be drawn
+  // together with their edges crossing at the midsphere, which is returned too.
+  // For a shape whose edges all touch the midsphere, the dual's edges do as well.
+  return { vertices: dualVertices, faces: dualFaces, center, radius, degenerateFaces };
 }
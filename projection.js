@@ -0,0 +1,190 @@
+import { faceNormal, triangulateFace, edgeList } from './polyhedra.js';
+
+// Flat and spherical views of a solid:
+//   schlegel       the solid seen in perspective from just outside one face,
+//                  flattened into that face's plane
+//   spherical      every face pushed out onto the circumsphere
+//   stereographic  the spherical tiling projected from the centre of one face
+//                  onto the plane through the centre
+// Faces are cut into small triangles, and edges into short segments, so that
+// they can bend onto the sphere. Each sample point keeps its position on the
+// solid, then one per stage of the projection, for animating between them.
+// The face projected through is left out of the flat views: it becomes the
+// region outside the diagram.
+
+export const projectionKinds = {
+  schlegel: 'Schlegel diagram',
+  spherical: 'Spherical tiling',
+  stereographic: 'Stereographic'
+};
+
+const STEP = 6 * Math.PI / 180; // greatest angle a sample segment spans on the sphere
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (v, s) => [v[0] * s, v[1] * s, v[2] * s];
+const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const length = (v) => Math.sqrt(dot(v, v));
+const unit = (v) => scale(v, 1 / length(v));
+const centroid = (points) => scale(points.reduce(add, [0, 0, 0]), 1 / points.length);
+
+// Angle two points subtend at the centre
+const angleAt = (center, p, q) => {
+  const a = sub(p, center), b = sub(q, center);
+  return Math.atan2(length(cross(a, b)), dot(a, b));
+};
+
+// Triangles of a face for cutting up. A fan from the first vertex makes long
+// slivers that fold over once bent onto the sphere, so faces that can be are
+// fanned from their centre instead.
+function facePieces(points, normal, curved) {
+  if (curved && points.length > 3) {
+    const middle = centroid(points);
+    const fan = points.map((p, i) => [middle, p, points[(i + 1) % points.length]]);
+    if (fan.every(([a, b, c]) => dot(cross(sub(b, a), sub(c, a)), normal) > 0)) return fan;
+  }
+  return triangulateFace(points, normal);
+}
+
+// Index of a face of greatest area, the usual face to project through: the
+// rest of the solid then fits inside it in a Schlegel diagram
+export function largestFace(vertices, faces) {
+  let best = 0, bestArea = -Infinity;
+  faces.forEach((face, f) => {
+    const points = face.map(i => vertices[i]);
+    const area = length(points.reduce((sum, p, i) => add(sum, cross(p, points[(i + 1) % points.length])), [0, 0, 0])) / 2;
+    if (area > bestArea + 1e-9) {
+      best = f;
+      bestArea = area;
+    }
+  });
+  return best;
+}
+
+// Schlegel projection: from an eye just outside the face, onto its plane.
+// The eye stays below the planes of all the other faces, so that only this
+// face is seen from outside, and no further out than the circumradius.
+function schlegel(vertices, faces, f, center, radius) {
+  const normal = faceNormal(vertices, faces[f]);
+  const faceCenter = centroid(faces[f].map(i => vertices[i]));
+  let reach = radius;
+  faces.forEach((face, g) => {
+    if (g === f) return;
+    const n = faceNormal(vertices, face);
+    const towards = dot(n, normal);
+    if (towards < 1e-9) return;
+    const s = dot(n, sub(vertices[face[0]], faceCenter)) / towards;
+    if (s > 1e-9) reach = Math.min(reach, 0.8 * s);
+  });
+  const eye = add(faceCenter, scale(normal, reach));
+  const project = (p) => {
+    const along = dot(normal, sub(p, eye));
+    // Only a non-convex solid has points level with or above the eye
+    return along < -1e-9 * radius ? add(eye, scale(sub(p, eye), -reach / along)) : p;
+  };
+  return { axis: normal, origin: faceCenter, project };
+}
+
+// Stereographic projection from the point of the sphere above the face centre
+function stereographic(vertices, faces, f, center, radius) {
+  const pole = unit(sub(centroid(faces[f].map(i => vertices[i])), center));
+  const project = (p) => {
+    const r = sub(p, center);
+    const height = dot(r, pole);
+    return add(center, scale(sub(r, scale(pole, height)), radius / Math.max(radius - height, 1e-9 * radius)));
+  };
+  return { axis: pole, origin: center, project };
+}
+
+// Sample points of the faces and edges with their positions at each stage:
+// { stages, triangles: [{ points: [i, j, k], face }], edges: [[i, ...]], center, axis }.
+// axis is the normal of the final plane of a flat view, which is turned to
+// face the viewer as it animates.
+export function projectionMesh(vertices, faces, kind, face = 0) {
+  const center = centroid(vertices);
+  const radius = Math.max(...vertices.map(v => length(sub(v, center))));
+  const toSphere = (p) => add(center, scale(unit(sub(p, center)), radius));
+  const flat = kind === 'schlegel';
+  const plane = kind === 'schlegel' ? schlegel(vertices, faces, face, center, radius)
+    : kind === 'stereographic' ? stereographic(vertices, faces, face, center, radius)
+    : null;
+
+  // Flat faces stay flat in a Schlegel diagram, so need no cutting up
+  const divisions = (points) => flat ? 1 : Math.max(1, Math.ceil(Math.max(
+    ...points.map((p, i) => angleAt(center, p, points[(i + 1) % points.length]))) / STEP));
+
+  const solid = [];
+  const triangles = [];
+  faces.forEach((indices, f) => {
+    if (plane && f === face) return;
+    const points = indices.map(i => vertices[i]);
+    for (const [a, b, c] of facePieces(points, faceNormal(vertices, indices), !flat)) {
+      // Triangular grid of n steps a side
+      const n = divisions([a, b, c]);
+      const first = solid.length;
+      for (let i = 0; i <= n; i++) {
+        for (let j = 0; j <= i; j++) {
+          solid.push(i === 0 ? a : lerp(lerp(a, b, i / n), lerp(a, c, i / n), j / i));
+        }
+      }
+      const at = (i, j) => first + (i * (i + 1)) / 2 + j;
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+          triangles.push({ points: [at(i, j), at(i + 1, j), at(i + 1, j + 1)], face: f });
+          if (j < i) triangles.push({ points: [at(i, j), at(i + 1, j + 1), at(i, j + 1)], face: f });
+        }
+      }
+    }
+  });
+
+  const edges = edgeList(faces).map(([a, b]) => {
+    const n = divisions([vertices[a], vertices[b]]);
+    const first = solid.length;
+    for (let i = 0; i <= n; i++) solid.push(lerp(vertices[a], vertices[b], i / n));
+    return Array.from({ length: n + 1 }, (_, i) => first + i);
+  });
+
+  // Stages after the solid. The flat views are scaled to the circumradius
+  // and centred on the shape's centre, so that they fill the same view.
+  const stages = [solid];
+  if (kind !== 'schlegel') stages.push(solid.map(toSphere));
+  if (plane) {
+    const projected = stages[stages.length - 1].map(plane.project);
+    const reach = Math.max(...projected.map(p => length(sub(p, plane.origin))));
+    stages.push(projected.map(p => add(center, scale(sub(p, plane.origin), radius / reach))));
+  }
+  return { stages, triangles, edges, center, axis: plane ? plane.axis : null };
+}
+
+// Rotation by angle about a unit axis (Rodrigues)
+function rotate(v, axis, angle) {
+  const cos = Math.cos(angle), sin = Math.sin(angle);
+  return add(add(scale(v, cos), scale(cross(axis, v), sin)), scale(axis, dot(axis, v) * (1 - cos)));
+}
+
+// Sample positions at t from 0 (the solid) to 1 (the projection), passing
+// through the stages evenly. A flat view turns as it goes so that its plane
+// ends up square to facing, a unit vector towards the viewer.
+export function projectionPositions({ stages, center, axis }, t, facing) {
+  const segments = stages.length - 1;
+  const x = Math.min(1, Math.max(0, t)) * segments;
+  const i = Math.min(Math.floor(x), segments - 1);
+  const positions = stages[i].map((p, k) => lerp(p, stages[i + 1][k], x - i));
+  if (!axis || !facing) return positions;
+
+  let turn = cross(axis, facing);
+  const angle = Math.atan2(length(turn), dot(axis, facing));
+  if (length(turn) < 1e-9) {
+    if (angle < 1e-9) return positions;
+    // Half a turn about any line square to the axis
+    turn = cross(axis, Math.abs(axis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]);
+  }
+  turn = unit(turn);
+  return positions.map(p => add(center, rotate(sub(p, center), turn, angle * t)));
+}
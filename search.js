@@ -0,0 +1,94 @@
+import { symmetryGroup } from './symmetry.js';
+
+// Searching and filtering the shape list. A filter is
+//   { text, sides, vertices, edges, faces, chirality, symmetry }
+// where sides lists polygon side counts that must all be present, the counts
+// are [min, max] (either may be null), chirality is 'any', 'chiral' or
+// 'achiral', and symmetry is 'any' or a key of symmetryFamilies.
+
+export const symmetryFamilies = {
+  icosahedral: { label: 'Icosahedral', test: (group) => /^I/.test(group) },
+  octahedral: { label: 'Octahedral', test: (group) => /^O/.test(group) },
+  tetrahedral: { label: 'Tetrahedral', test: (group) => /^T/.test(group) },
+  dihedral: { label: 'Dihedral (Dn, Dnh, Dnd)', test: (group) => /^D/.test(group) },
+  cyclic: { label: 'Cyclic (Cn, Cnv, Cnh, S2n)', test: (group) => /^(C\d+[vh]?|S\d+)$/.test(group) && group !== 'C1' },
+  low: { label: 'Low (Cs, Ci, C1)', test: (group) => ['Cs', 'Ci', 'C1'].includes(group) }
+};
+
+export function emptyFilter() {
+  return {
+    text: '',
+    sides: [],
+    vertices: [null, null],
+    edges: [null, null],
+    faces: [null, null],
+    chirality: 'any',
+    symmetry: 'any'
+  };
+}
+
+export function isFilterActive(filter) {
+  const empty = emptyFilter();
+  return Object.keys(empty).some(key => JSON.stringify(filter[key]) !== JSON.stringify(empty[key]));
+}
+
+// Counts and polygon types of each shape, plus its point group once a filter
+// needs it. Keyed by the shape's data object, so removed shapes drop out.
+const factsCache = new WeakMap();
+
+function shapeFacts(data) {
+  if (!factsCache.has(data)) {
+    const edges = new Set();
+    for (const face of data.faces) {
+      face.forEach((a, i) => {
+        const b = face[(i + 1) % face.length];
+        edges.add(a < b ? `${a}-${b}` : `${b}-${a}`);
+      });
+    }
+    factsCache.set(data, {
+      vertices: data.vertices.length,
+      edges: edges.size,
+      faces: data.faces.length,
+      sides: new Set(data.faces.map(face => face.length)),
+      group: null
+    });
+  }
+  return factsCache.get(data);
+}
+
+// Point group name and whether the shape is chiral (has no reflections)
+function symmetryFacts(data) {
+  const facts = shapeFacts(data);
+  if (!facts.group) {
+    const { name, symmetries } = symmetryGroup(data.vertices, data.faces);
+    facts.group = { name, chiral: symmetries.every(s => s.proper) };
+  }
+  return facts.group;
+}
+
+const inRange = (value, [min, max]) => (min === null || value >= min) && (max === null || value <= max);
+
+// Whether the text matches a shape: "J37" or "37" picks out that Johnson solid,
+// anything else is a case-insensitive substring of the name or key
+function matchesText(key, data, text) {
+  const query = text.trim().toLowerCase();
+  if (!query) return true;
+  const johnson = query.match(/^j?(\d+)$/);
+  if (johnson) return key === `j${parseInt(johnson[1], 10)}`;
+  return data.name.toLowerCase().includes(query) || key.toLowerCase().includes(query);
+}
+
+export function matchesFilter(key, data, filter) {
+  if (!matchesText(key, data, filter.text)) return false;
+
+  const facts = shapeFacts(data);
+  if (!filter.sides.every(n => facts.sides.has(n))) return false;
+  if (!inRange(facts.vertices, filter.vertices)) return false;
+  if (!inRange(facts.edges, filter.edges)) return false;
+  if (!inRange(facts.faces, filter.faces)) return false;
+
+  // Symmetry is slower to find, so is only looked at when asked for
+  if (filter.chirality !== 'any' && symmetryFacts(data).chiral !== (filter.chirality === 'chiral')) return false;
+  if (filter.symmetry !== 'any' && !symmetryFamilies[filter.symmetry].test(symmetryFacts(data).name)) return false;
+  return true;
+}
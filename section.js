@@ -0,0 +1,151 @@
+// Cross-sections: the solid cut by the plane normal . x = offset, keeping the
+// part behind the plane (normal . x <= offset) and capping the cut.
+//
+// Each face is clipped against the plane in turn. A point of a clipped face is
+// either an original vertex or the crossing on an original edge, named by the
+// vertex or the edge, so neighbouring faces agree on the points they share.
+// The sides of the clipped faces that lie in the plane, turned round, chain up
+// into the outline of the cap.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (v) => Math.sqrt(dot(v, v));
+
+// Extent of the shape along a direction: { min, max } of normal . v
+export function sectionRange(vertices, normal) {
+  const heights = vertices.map(v => dot(v, normal));
+  return { min: Math.min(...heights), max: Math.max(...heights) };
+}
+
+// Outline of a cap as a polygon, without repeated or collinear points, with
+// its side count, area, perimeter and whether it is regular
+function describe(points, normal, tolerance) {
+  const distinct = points.filter((p, i) => length(sub(p, points[(i + 1) % points.length])) > tolerance);
+  const corners = distinct.filter((p, i) => {
+    const n = distinct.length;
+    const prev = sub(p, distinct[(i + n - 1) % n]);
+    const next = sub(distinct[(i + 1) % n], p);
+    const turn = [
+      prev[1] * next[2] - prev[2] * next[1],
+      prev[2] * next[0] - prev[0] * next[2],
+      prev[0] * next[1] - prev[1] * next[0]
+    ];
+    return length(turn) > tolerance * (length(prev) + length(next));
+  });
+
+  const n = corners.length;
+  const sides = corners.map((p, i) => length(sub(corners[(i + 1) % n], p)));
+  const angles = corners.map((p, i) => {
+    const a = sub(corners[(i + n - 1) % n], p), b = sub(corners[(i + 1) % n], p);
+    return Math.acos(Math.max(-1, Math.min(1, dot(a, b) / (length(a) * length(b)))));
+  });
+  const spread = (values) => Math.max(...values) - Math.min(...values);
+
+  // Shoelace area in the plane, signed so that holes (clockwise seen from
+  // the normal's side) subtract
+  let area = 0;
+  corners.forEach((p, i) => {
+    const q = corners[(i + 1) % n];
+    area += dot(normal, [p[1] * q[2] - p[2] * q[1], p[2] * q[0] - p[0] * q[2], p[0] * q[1] - p[1] * q[0]]) / 2;
+  });
+
+  return {
+    points: corners,
+    sides: n,
+    area,
+    perimeter: sides.reduce((sum, s) => sum + s, 0),
+    regular: n >= 3 && spread(sides) < 1e-6 * Math.max(...sides) && spread(angles) < 1e-6
+  };
+}
+
+// The cut solid: { vertices, faces, sourceFaces, section }, where sourceFaces
+// gives the original face of each face (-1 for the caps, which come last) and
+// section lists the caps' outlines from describe(). Faces wholly beyond the
+// plane are dropped; a plane clear of the solid leaves it whole or empty.
+export function sliceSolid(vertices, faces, normal, offset) {
+  const heights = vertices.map(v => dot(v, normal) - offset);
+  const scale = Math.max(...vertices.map(length), 1e-12);
+  const tolerance = 1e-9 * scale;
+  const inside = (v) => heights[v] <= tolerance;
+  const onPlane = (v) => Math.abs(heights[v]) <= tolerance;
+
+  // Points of the cut solid, by name
+  const index = new Map();
+  const result = [];
+  const point = (name, position) => {
+    if (!index.has(name)) {
+      index.set(name, result.length);
+      result.push(position);
+    }
+    return index.get(name);
+  };
+  const vertexPoint = (v) => point(`v${v}`, vertices[v]);
+  const crossing = (a, b) => {
+    const [u, w] = a < b ? [a, b] : [b, a];
+    const t = heights[u] / (heights[u] - heights[w]);
+    return point(`e${u}-${w}`, vertices[u].map((x, k) => x + (vertices[w][k] - x) * t));
+  };
+
+  const kept = [];
+  const sourceFaces = [];
+  const capEdges = new Map(); // start point -> end point, round the cap
+  const planar = new Set();   // points lying in the plane
+  faces.forEach((face, f) => {
+    const clipped = [];
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      if (inside(a)) {
+        clipped.push(vertexPoint(a));
+        if (onPlane(a)) planar.add(clipped[clipped.length - 1]);
+      }
+      if ((heights[a] < -tolerance && heights[b] > tolerance) || (heights[a] > tolerance && heights[b] < -tolerance)) {
+        clipped.push(crossing(a, b));
+        planar.add(clipped[clipped.length - 1]);
+      }
+    });
+    if (clipped.length < 3) return;
+    kept.push(clipped);
+    sourceFaces.push(f);
+
+    // Sides in the plane, unless the whole face is
+    if (clipped.every(p => planar.has(p))) return;
+    clipped.forEach((p, i) => {
+      const q = clipped[(i + 1) % clipped.length];
+      if (!planar.has(p) || !planar.has(q)) return;
+      // A side shared with a face on the same side of the plane has faces
+      // on both sides of it, so is not on the outline
+      if (capEdges.get(p) === q) capEdges.delete(p);
+      else capEdges.set(q, p);
+    });
+  });
+
+  // Chain the outline into loops
+  const section = [];
+  while (capEdges.size) {
+    const [start] = capEdges.keys();
+    const loop = [];
+    let at = start;
+    while (capEdges.has(at)) {
+      loop.push(at);
+      const next = capEdges.get(at);
+      capEdges.delete(at);
+      at = next;
+    }
+    // An open chain comes from a face crossing the plane in several places
+    if (at !== start || loop.length < 3) continue;
+    kept.push(loop);
+    sourceFaces.push(-1);
+    section.push(describe(loop.map(p => result[p]), normal, tolerance));
+  }
+
+  return { vertices: result, faces: kept, sourceFaces, section };
+}
+
+// Unit normals of the planes worth snapping to: square to each rotation axis
+// and parallel to each mirror plane, from symmetryGroup()
+export function sectionDirections({ axes, planes }) {
+  return [
+    ...axes.map(({ axis, order }) => ({ normal: axis, order })),
+    ...planes.map(normal => ({ normal, mirror: true }))
+  ];
+}
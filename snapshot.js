@@ -0,0 +1,211 @@
+import { getPolygonColor, faceNormal, edgeList } from './polyhedra.js';
+
+// Vector snapshot of the view: shapes projected through a perspective camera
+// into a drawing (see drawing.js), one flat-shaded polygon per face painted
+// back to front, with the edges stroked on top. It takes plain vertex and face
+// lists rather than three.js objects, so it runs without WebGL, e.g. in Node.
+//
+//   parts   [{ vertices, faces, faceColors? }] in world coordinates
+//   camera  { position, target, up, fov }, fov vertical in degrees
+// Options:
+//   mode         'solid' (faces and edges) or 'wireframe' (edges only)
+//   hiddenEdges  draw the edges behind faces dashed; otherwise solid mode leaves
+//                them out and wireframe mode draws every edge solid
+//   lights       { ambient, directional: [{ position, intensity }] }, lights
+//                shining towards the origin as three.js's DirectionalLight does
+//   edgeColor, background  0xRRGGBB; no background leaves the page clear
+//   size         longer side of the drawing in mm, which is cropped to the shapes
+//   margin       mm round the shapes
+
+const SAMPLES = 16; // visibility samples along each edge
+const HIDDEN_DASH = [1.2, 0.8];
+const METALNESS = 0.2; // as the viewer's material
+
+const defaultLights = {
+  ambient: 0.5,
+  directional: [
+    { position: [5, 5, 5], intensity: 0.8 },
+    { position: [-5, -5, -5], intensity: 0.4 }
+  ]
+};
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const unit = (v) => {
+  const length = Math.sqrt(dot(v, v));
+  return [v[0] / length, v[1] / length, v[2] / length];
+};
+const centroid = (points) => [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+
+const srgbToLinear = (c) => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+const linearToSRGB = (c) => c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+// Flat Lambert shading in linear light, as three.js's physical materials do
+// it: albedo / pi times the irradiance. The specular highlight is left out.
+function shade(color, normal, { ambient, directional }) {
+  let irradiance = ambient;
+  for (const { position, intensity } of directional) {
+    irradiance += intensity * Math.max(0, dot(normal, unit(position)));
+  }
+  const factor = irradiance * (1 - METALNESS) / Math.PI;
+  return [16, 8, 0].reduce((result, shift) => {
+    const c = linearToSRGB(Math.min(1, srgbToLinear(((color >> shift) & 0xff) / 255) * factor));
+    return result | (Math.round(c * 255) << shift);
+  }, 0);
+}
+
+// Screen coordinates (y up, the view height is 2 at focal distance) and depth
+function perspective({ position, target, up = [0, 1, 0], fov }) {
+  const forward = unit(sub(target, position));
+  const right = unit(cross(forward, up));
+  const upward = cross(right, forward);
+  const focal = 1 / Math.tan(fov * Math.PI / 360);
+  return {
+    eye: position,
+    depth: (p) => dot(sub(p, position), forward),
+    project: (p) => {
+      const d = sub(p, position);
+      const z = dot(d, forward);
+      return [focal * dot(d, right) / z, focal * dot(d, upward) / z];
+    }
+  };
+}
+
+// Winding number of a polygon about a point; non-zero inside, which for a
+// star face is the whole star, centre included, as the viewer fills it
+function winding([x, y], polygon) {
+  let w = 0;
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    const side = (b[0] - a[0]) * (y - a[1]) - (x - a[0]) * (b[1] - a[1]);
+    if (a[1] <= y && b[1] > y && side > 0) w++;
+    else if (a[1] > y && b[1] <= y && side < 0) w--;
+  });
+  return w;
+}
+
+// A closed convex part hides its back faces behind its front ones, so they
+// can be dropped; anything else is painted with both sides, as on screen
+function isClosedConvex({ vertices, faces }) {
+  const directed = new Set();
+  for (const face of faces) face.forEach((a, i) => directed.add(`${a}>${face[(i + 1) % face.length]}`));
+  for (const edge of directed) {
+    const [a, b] = edge.split('>');
+    if (!directed.has(`${b}>${a}`)) return false;
+  }
+  const center = centroid(vertices);
+  const tolerance = 1e-6 * Math.max(...vertices.map(v => Math.sqrt(dot(sub(v, center), sub(v, center)))));
+  return faces.every(face => {
+    const normal = faceNormal(vertices, face);
+    const origin = vertices[face[0]];
+    return vertices.every(v => dot(sub(v, origin), normal) < tolerance);
+  });
+}
+
+export function snapshotDrawing(parts, camera, {
+  mode = 'solid',
+  hiddenEdges = false,
+  lights = defaultLights,
+  edgeColor = 0x333333,
+  background,
+  size = 150,
+  margin = 5
+} = {}) {
+  const view = perspective(camera);
+
+  // Every face of every part, facing the camera, with its screen polygon
+  const faces = [];
+  for (const part of parts) {
+    const { vertices } = part;
+    const convex = isClosedConvex(part);
+    part.faces.forEach((face, f) => {
+      const points = face.map(i => vertices[i]);
+      let normal = faceNormal(vertices, face);
+      const center = centroid(points);
+      const front = dot(normal, sub(view.eye, center)) > 0;
+      if (!front) {
+        if (convex) return;
+        normal = normal.map(x => -x);
+      }
+      const screen = points.map(view.project);
+      faces.push({
+        part, face, points, normal, screen,
+        depth: view.depth(center),
+        color: part.faceColors ? part.faceColors[f] : getPolygonColor(face.length),
+        min: [0, 1].map(k => Math.min(...screen.map(p => p[k]))),
+        max: [0, 1].map(k => Math.max(...screen.map(p => p[k])))
+      });
+    });
+  }
+
+  // Whether a point is behind some face other than those it lies on: the ray
+  // from the eye meets the face's plane before the point, inside the face
+  const occluded = (p, on) => {
+    const s = view.project(p);
+    const ray = sub(p, view.eye);
+    return faces.some(face => {
+      if (on(face) || s[0] < face.min[0] || s[0] > face.max[0] || s[1] < face.min[1] || s[1] > face.max[1]) return false;
+      const along = dot(face.normal, ray);
+      if (Math.abs(along) < 1e-12) return false;
+      const t = dot(face.normal, sub(face.points[0], view.eye)) / along;
+      return t > 0 && t < 1 - 1e-6 && winding(s, face.screen) !== 0;
+    });
+  };
+
+  // Edges split into visible and hidden runs by sampling along them
+  const edges = [];
+  const testVisibility = mode === 'solid' || hiddenEdges;
+  for (const part of parts) {
+    for (const [a, b] of edgeList(part.faces)) {
+      const [p, q] = [part.vertices[a], part.vertices[b]];
+      if (!testVisibility) {
+        edges.push({ points: [p, q], hidden: false });
+        continue;
+      }
+      const on = (face) => face.part === part && face.face.includes(a) && face.face.includes(b);
+      const hidden = [];
+      for (let i = 0; i < SAMPLES; i++) hidden.push(occluded(lerp(p, q, (i + 0.5) / SAMPLES), on));
+      let start = 0;
+      for (let i = 1; i <= SAMPLES; i++) {
+        if (i < SAMPLES && hidden[i] === hidden[start]) continue;
+        edges.push({ points: [lerp(p, q, start / SAMPLES), lerp(p, q, i / SAMPLES)], hidden: hidden[start] });
+        start = i;
+      }
+    }
+  }
+
+  // Crop to the shapes and scale to the page, y down
+  const screenPoints = [...faces.flatMap(face => face.screen), ...edges.flatMap(edge => edge.points.map(view.project))];
+  if (screenPoints.length === 0) return { width: 2 * margin, height: 2 * margin, items: [] };
+  const min = [0, 1].map(k => Math.min(...screenPoints.map(p => p[k])));
+  const max = [0, 1].map(k => Math.max(...screenPoints.map(p => p[k])));
+  const scale = size / Math.max(max[0] - min[0], max[1] - min[1], 1e-9);
+  const width = (max[0] - min[0]) * scale + 2 * margin;
+  const height = (max[1] - min[1]) * scale + 2 * margin;
+  const place = ([x, y]) => [margin + (x - min[0]) * scale, margin + (max[1] - y) * scale];
+
+  const items = [];
+  if (background !== undefined) {
+    items.push({ type: 'polygon', points: [[0, 0], [width, 0], [width, height], [0, height]], fill: background });
+  }
+  if (mode === 'solid') {
+    // Stroked in their own color too, so that no hairline shows between faces
+    faces.sort((f, g) => g.depth - f.depth);
+    for (const face of faces) {
+      const fill = shade(face.color, face.normal, lights);
+      items.push({ type: 'polygon', points: face.screen.map(place), fill, stroke: fill });
+    }
+  }
+  for (const { points, hidden } of edges) {
+    const line = { type: 'line', points: points.map(p => place(view.project(p))), stroke: edgeColor };
+    if (!hidden) items.push(line);
+    else if (hiddenEdges) items.push({ ...line, dash: HIDDEN_DASH });
+  }
+  return { width, height, items };
+}
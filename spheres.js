@@ -0,0 +1,75 @@
+import { computeDual, reciprocationCenter, faceNormal, edgeList } from './polyhedra.js';
+
+// The circumscribed, edge-tangent and inscribed spheres of a solid. Each is
+// fitted by least squares, so there is always a best sphere; the solid has it
+// when every vertex, edge line or face plane lies at the same distance from
+// the centre, to within TOLERANCE of the radius.
+
+export const sphereKinds = {
+  circumsphere: 'Circumsphere',
+  midsphere: 'Midsphere',
+  insphere: 'Insphere'
+};
+
+const TOLERANCE = 1e-5;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (v) => Math.sqrt(dot(v, v));
+
+// Least-squares solution of rows . x = values, by Gaussian elimination on the
+// normal equations. Null if the rows leave x undetermined.
+function leastSquares(rows, values) {
+  const n = rows[0].length;
+  const m = Array.from({ length: n }, (_, r) => [
+    ...Array.from({ length: n }, (_, c) => rows.reduce((sum, row) => sum + row[r] * row[c], 0)),
+    rows.reduce((sum, row, i) => sum + row[r] * values[i], 0)
+  ]);
+  for (let c = 0; c < n; c++) {
+    const pivot = m.slice(c).reduce((best, row, i) => (Math.abs(row[c]) > Math.abs(m[best][c]) ? c + i : best), c);
+    if (Math.abs(m[pivot][c]) < 1e-12) return null;
+    [m[c], m[pivot]] = [m[pivot], m[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const factor = m[r][c] / m[c][c];
+      for (let k = c; k <= n; k++) m[r][k] -= factor * m[c][k];
+    }
+  }
+  return m.map((row, r) => row[n] / row[r]);
+}
+
+// { center, radius, min, max, exists } from the distances to the centre
+function sphere(center, radius, distances) {
+  const min = Math.min(...distances), max = Math.max(...distances);
+  return { center, radius, min, max, exists: max - min <= TOLERANCE * Math.max(radius, 1e-12) };
+}
+
+// Best spheres through the vertices, touching the edge lines and touching the
+// face planes: { circumsphere, midsphere, insphere }, each as from sphere()
+export function solidSpheres(vertices, faces) {
+  // |v|² = 2 c . v + (r² - |c|²) for every vertex v
+  const fit = leastSquares(vertices.map(v => [2 * v[0], 2 * v[1], 2 * v[2], 1]), vertices.map(v => dot(v, v)));
+  const circumcenter = fit ? fit.slice(0, 3) : reciprocationCenter(vertices, faces, 'vertex');
+  const vertexDistances = vertices.map(v => length(sub(v, circumcenter)));
+  const circumsphere = sphere(circumcenter, vertexDistances.reduce((sum, d) => sum + d, 0) / vertices.length, vertexDistances);
+
+  // The canonical centre is the point nearest all the edge lines, and the
+  // dual's reciprocation radius the mean distance to them
+  const midcenter = reciprocationCenter(vertices, faces, 'canonical');
+  const edgeDistances = edgeList(faces).map(([a, b]) => {
+    const va = sub(vertices[a], midcenter);
+    const d = sub(vertices[b], vertices[a]);
+    const t = dot(d, va) / dot(d, d);
+    return length(sub(va, d.map(x => x * t)));
+  });
+  const midsphere = sphere(midcenter, computeDual(vertices, faces, midcenter).radius, edgeDistances);
+
+  // n . c + r = n . p for every face plane through p along outward normal n
+  const normals = faces.map(face => faceNormal(vertices, face));
+  const tangent = leastSquares(normals.map(n => [...n, 1]), faces.map((face, f) => dot(normals[f], vertices[face[0]])));
+  const incenter = tangent ? tangent.slice(0, 3) : midcenter;
+  const planeDistances = faces.map((face, f) => dot(normals[f], sub(vertices[face[0]], incenter)));
+  const insphere = sphere(incenter, planeDistances.reduce((sum, d) => sum + d, 0) / faces.length, planeDistances);
+
+  return { circumsphere, midsphere, insphere };
+}
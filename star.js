@@ -0,0 +1,159 @@
+// Star polyhedra: the four Kepler-Poinsot solids and the quasi-regular and
+// ditrigonal uniform star polyhedra with icosahedral symmetry.
+//
+// Every face of these is a regular polygon or star polygon centred on a
+// symmetry axis, so each solid is described by a vertex set plus, for each kind
+// of face, the family of axes it sits on, which layer of vertices along the axis
+// (0 = nearest the top) forms the face, and the step joining them ({n/step}).
+
+const phi = (1 + Math.sqrt(5)) / 2;
+
+// All sign changes of a point, then all cyclic permutations, without duplicates
+function orbit(points) {
+  const result = [];
+  for (const p of points) {
+    for (const sx of p[0] ? [1, -1] : [1]) {
+      for (const sy of p[1] ? [1, -1] : [1]) {
+        for (const sz of p[2] ? [1, -1] : [1]) {
+          const [x, y, z] = [p[0] * sx, p[1] * sy, p[2] * sz];
+          for (const v of [[x, y, z], [y, z, x], [z, x, y]]) {
+            if (!result.some(w => w.every((c, k) => Math.abs(c - v[k]) < 1e-9))) result.push(v);
+          }
+        }
+      }
+    }
+  }
+  return result;
+}
+
+// Vertex sets sharing one orientation: the icosidodecahedron's vertices are the
+// icosahedron's edge midpoints and the dodecahedron's are its face directions
+const vertexSets = {
+  icosahedron: orbit([[0, 1, phi]]),
+  dodecahedron: orbit([[1, 1, 1], [0, phi, 1 / phi]]),
+  icosidodecahedron: orbit([[0, 0, phi], [0.5, phi * phi / 2, phi / 2]])
+};
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const unit = (v) => {
+  const len = Math.sqrt(dot(v, v));
+  return [v[0] / len, v[1] / len, v[2] / len];
+};
+
+// Five-fold axes through the icosahedron's vertices, three-fold through the dodecahedron's
+const axes = {
+  five: vertexSets.icosahedron.map(unit),
+  three: vertexSets.dodecahedron.map(unit)
+};
+
+// The faces of one kind: for every axis, the vertices in the chosen layer,
+// sorted counter-clockwise about the axis and joined every `step` vertices.
+// The face normal points along the axis, away from the centre.
+function axisFaces(vertices, { axis, layer, step }) {
+  return axes[axis].map(u => {
+    const heights = [...new Set(vertices.map(v => dot(v, u).toFixed(6)))]
+      .map(Number)
+      .filter(h => h > 1e-6)
+      .sort((a, b) => b - a);
+    const height = heights[layer];
+    const ring = vertices
+      .map((v, i) => i)
+      .filter(i => Math.abs(dot(vertices[i], u) - height) < 1e-5);
+
+    // Orthonormal basis (e1, e2) of the plane perpendicular to u
+    const helper = Math.abs(u[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const e1 = unit(helper.map((c, k) => c - u[k] * dot(helper, u)));
+    const e2 = [
+      u[1] * e1[2] - u[2] * e1[1],
+      u[2] * e1[0] - u[0] * e1[2],
+      u[0] * e1[1] - u[1] * e1[0]
+    ];
+    const angle = (i) => Math.atan2(dot(vertices[i], e2), dot(vertices[i], e1));
+    ring.sort((a, b) => angle(a) - angle(b));
+
+    return ring.map((_, k) => ring[(k * step) % ring.length]);
+  });
+}
+
+// Scale so every edge midpoint is at distance 1, as in the vendored data
+function scaleToUnitMidradius(vertices, faces) {
+  const [a, b] = [faces[0][0], faces[0][1]];
+  const mid = [0, 1, 2].map(k => (vertices[a][k] + vertices[b][k]) / 2);
+  const midradius = Math.sqrt(dot(mid, mid));
+  return vertices.map(v => v.map(c => c / midradius));
+}
+
+const starDefinitions = {
+  smallStellatedDodecahedron: {
+    name: 'Small Stellated Dodecahedron',
+    dualName: 'Great Dodecahedron',
+    vertices: 'icosahedron',
+    faces: [{ axis: 'five', layer: 1, step: 2 }]
+  },
+  greatDodecahedron: {
+    name: 'Great Dodecahedron',
+    dualName: 'Small Stellated Dodecahedron',
+    vertices: 'icosahedron',
+    faces: [{ axis: 'five', layer: 1, step: 1 }]
+  },
+  greatStellatedDodecahedron: {
+    name: 'Great Stellated Dodecahedron',
+    dualName: 'Great Icosahedron',
+    vertices: 'dodecahedron',
+    faces: [{ axis: 'five', layer: 1, step: 2 }]
+  },
+  greatIcosahedron: {
+    name: 'Great Icosahedron',
+    dualName: 'Great Stellated Dodecahedron',
+    vertices: 'icosahedron',
+    faces: [{ axis: 'three', layer: 1, step: 1 }]
+  },
+  dodecadodecahedron: {
+    name: 'Dodecadodecahedron',
+    dualName: 'Medial Rhombic Triacontahedron',
+    vertices: 'icosidodecahedron',
+    faces: [{ axis: 'five', layer: 0, step: 2 }, { axis: 'five', layer: 1, step: 1 }]
+  },
+  greatIcosidodecahedron: {
+    name: 'Great Icosidodecahedron',
+    dualName: 'Great Rhombic Triacontahedron',
+    vertices: 'icosidodecahedron',
+    faces: [{ axis: 'five', layer: 1, step: 2 }, { axis: 'three', layer: 2, step: 1 }]
+  },
+  smallDitrigonalIcosidodecahedron: {
+    name: 'Small Ditrigonal Icosidodecahedron',
+    dualName: 'Small Triambic Icosahedron',
+    vertices: 'dodecahedron',
+    faces: [{ axis: 'five', layer: 0, step: 2 }, { axis: 'three', layer: 1, step: 1 }]
+  },
+  ditrigonalDodecadodecahedron: {
+    name: 'Ditrigonal Dodecadodecahedron',
+    dualName: 'Medial Triambic Icosahedron',
+    vertices: 'dodecahedron',
+    // {5/3}: the pentagrams run backwards so shared edges are traversed oppositely
+    faces: [{ axis: 'five', layer: 0, step: 3 }, { axis: 'five', layer: 1, step: 1 }]
+  },
+  greatDitrigonalIcosidodecahedron: {
+    name: 'Great Ditrigonal Icosidodecahedron',
+    dualName: 'Great Triambic Icosahedron',
+    vertices: 'dodecahedron',
+    faces: [{ axis: 'five', layer: 1, step: 1 }, { axis: 'three', layer: 1, step: 1 }]
+  }
+};
+
+// Build the star polyhedra as entries for the polyhedra map, keyed by id
+export function buildStarPolyhedra() {
+  const result = {};
+  for (const [id, definition] of Object.entries(starDefinitions)) {
+    const vertices = vertexSets[definition.vertices];
+    const faces = definition.faces.flatMap(spec => axisFaces(vertices, spec));
+    result[id] = {
+      name: definition.name,
+      category: 'star',
+      vertices: scaleToUnitMidradius(vertices, faces),
+      faces,
+      dualName: definition.dualName
+    };
+  }
+  return result;
+}
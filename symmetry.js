@@ -0,0 +1,211 @@
+// Symmetries of a polyhedron: the rotations and reflections about its vertex
+// centroid that map vertices to vertices and edges to edges.
+//
+// A symmetry is fixed by where it sends one vertex and one of its neighbours
+// (plus whether it reflects), so every candidate image of such a pair is tried
+// and kept if the resulting orthogonal map permutes the whole polyhedron.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const length = (v) => Math.sqrt(dot(v, v));
+const unit = (v) => {
+  const len = length(v);
+  return [v[0] / len, v[1] / len, v[2] / len];
+};
+
+// Orthonormal frame (rows) built from a vertex and a neighbour
+function frame(a, b) {
+  const e1 = unit(a);
+  const e2 = unit(sub(b, e1.map(x => x * dot(b, e1))));
+  return [e1, e2, cross(e1, e2)];
+}
+
+// Lookup of points by position, bucketed on a grid of cell size `cell`
+function pointIndex(points, cell) {
+  const buckets = new Map();
+  const keyOf = (p) => p.map(x => Math.floor(x / cell));
+  points.forEach((p, i) => {
+    const key = keyOf(p).join(',');
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  });
+  // Index of the point within `tolerance` of p, or -1
+  return (p, tolerance) => {
+    const [x, y, z] = keyOf(p);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const i of buckets.get(`${x + dx},${y + dy},${z + dz}`) || []) {
+            if (length(sub(points[i], p)) < tolerance) return i;
+          }
+        }
+      }
+    }
+    return -1;
+  };
+}
+
+// All symmetries of the polyhedron, each as { matrix, permutation, proper }:
+// matrix (rows) acts on positions relative to center, permutation[v] is the
+// image of vertex v, and proper is false for reflections and rotoreflections.
+// The identity comes first.
+export function findSymmetries(vertices, faces) {
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+  const points = vertices.map(v => sub(v, center));
+  const radius = Math.max(...points.map(length));
+  const tolerance = 1e-3 * radius;
+
+  const neighbours = vertices.map(() => new Set());
+  const edges = new Set();
+  for (const face of faces) {
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      neighbours[a].add(b);
+      neighbours[b].add(a);
+      edges.add(a < b ? `${a}-${b}` : `${b}-${a}`);
+    });
+  }
+
+  // Reference pair: the farthest vertex from the centre and a neighbour not
+  // in line with it
+  const a = points.reduce((best, p, i) => (length(p) > length(points[best]) ? i : best), 0);
+  const b = [...neighbours[a]].find(n => length(cross(points[a], points[n])) > tolerance * radius);
+  if (b === undefined) return [];
+  const source = frame(points[a], points[b]);
+  const edgeLength = length(sub(points[a], points[b]));
+
+  const find = pointIndex(points, 4 * tolerance);
+  const symmetries = [];
+  points.forEach((pa, ia) => {
+    if (Math.abs(length(pa) - length(points[a])) > tolerance) return;
+    if (neighbours[ia].size !== neighbours[a].size) return;
+    for (const ib of neighbours[ia]) {
+      const pb = points[ib];
+      if (Math.abs(length(pb) - length(points[b])) > tolerance) continue;
+      if (Math.abs(length(sub(pa, pb)) - edgeLength) > tolerance) continue;
+
+      const target = frame(pa, pb);
+      for (const proper of [true, false]) {
+        const t = proper ? target : [target[0], target[1], target[2].map(x => -x)];
+        // matrix = t^T * source, taking source frame to target frame
+        const matrix = [0, 1, 2].map(r => [0, 1, 2].map(c =>
+          t[0][r] * source[0][c] + t[1][r] * source[1][c] + t[2][r] * source[2][c]));
+
+        const permutation = [];
+        for (const p of points) {
+          const image = find([dot(matrix[0], p), dot(matrix[1], p), dot(matrix[2], p)], tolerance * 4);
+          if (image < 0) break;
+          permutation.push(image);
+        }
+        if (permutation.length !== points.length) continue;
+        if (new Set(permutation).size !== points.length) continue;
+        const keepsEdges = [...edges].every(edge => {
+          const [u, v] = edge.split('-').map(Number);
+          const [pu, pv] = [permutation[u], permutation[v]];
+          return edges.has(pu < pv ? `${pu}-${pv}` : `${pv}-${pu}`);
+        });
+        if (!keepsEdges) continue;
+
+        symmetries.push({ matrix, permutation, proper });
+      }
+    }
+  });
+
+  // Identity first
+  const isIdentity = (s) => s.permutation.every((v, i) => v === i) && s.proper;
+  symmetries.sort((s, t) => isIdentity(t) - isIdentity(s));
+  return symmetries;
+}
+
+// Partition vertices into orbits under the symmetries: arrays of vertex
+// indices, largest orbit first
+export function vertexOrbits(vertexCount, symmetries) {
+  const orbitOf = new Array(vertexCount).fill(-1);
+  const orbits = [];
+  for (let v = 0; v < vertexCount; v++) {
+    if (orbitOf[v] >= 0) continue;
+    const orbit = [...new Set([v, ...symmetries.map(s => s.permutation[v])])].sort((x, y) => x - y);
+    for (const w of orbit) orbitOf[w] = orbits.length;
+    orbits.push(orbit);
+  }
+  return orbits.sort((x, y) => y.length - x.length || x[0] - y[0]);
+}
+
+// Axis of a rotation matrix as a unit vector, with the sign fixed so that the
+// first clearly non-zero component is positive
+function rotationAxis(m) {
+  let axis = [m[2][1] - m[1][2], m[0][2] - m[2][0], m[1][0] - m[0][1]];
+  if (length(axis) < 1e-6) {
+    // Half turn: m + I has rank one, with columns along the axis
+    const columns = [0, 1, 2].map(c => [0, 1, 2].map(r => m[r][c] + (r === c ? 1 : 0)));
+    axis = columns.reduce((best, c) => (length(c) > length(best) ? c : best));
+  }
+  axis = unit(axis);
+  const lead = axis.find(x => Math.abs(x) > 1e-6);
+  return lead < 0 ? axis.map(x => -x) : axis;
+}
+
+const parallel = (u, v) => Math.abs(dot(u, v)) > 1 - 1e-4;
+const perpendicular = (u, v) => Math.abs(dot(u, v)) < 1e-2;
+const trace = (m) => m[0][0] + m[1][1] + m[2][2];
+
+// Point group of the polyhedron in Schoenflies notation, found from its
+// rotation axes and mirror planes:
+// { name, order, center, axes: [{ axis, order }], planes: [normal], symmetries }
+// with axes sorted by decreasing order. Axes and planes pass through center.
+export function symmetryGroup(vertices, faces) {
+  const center = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+  const symmetries = findSymmetries(vertices, faces);
+
+  const axes = [];
+  const planes = [];
+  let inversion = false;
+  for (const { matrix, proper } of symmetries) {
+    if (proper) {
+      if (trace(matrix) > 3 - 1e-4) continue; // identity
+      const axis = rotationAxis(matrix);
+      const existing = axes.find(a => parallel(a.axis, axis));
+      if (existing) existing.order++;
+      else axes.push({ axis, order: 2 });
+    } else if (trace(matrix) < -3 + 1e-4) {
+      inversion = true;
+    } else if (Math.abs(trace(matrix) - 1) < 1e-4) {
+      // A reflection is minus a half turn about its normal
+      planes.push(rotationAxis(matrix.map(row => row.map(x => -x))));
+    }
+  }
+  axes.sort((a, b) => b.order - a.order);
+
+  const order = Math.max(1, symmetries.length);
+  const improper = symmetries.some(s => !s.proper);
+  const result = (name) => ({ name, order, center, axes, planes, symmetries });
+
+  // Polyhedral groups have more than one axis of order three or more
+  if (axes.filter(a => a.order >= 3).length > 1) {
+    const n = axes[0].order;
+    if (n === 5) return result(improper ? 'Ih' : 'I');
+    if (n === 4) return result(improper ? 'Oh' : 'O');
+    return result(!improper ? 'T' : inversion ? 'Th' : 'Td');
+  }
+
+  if (!axes.length) {
+    if (planes.length) return result('Cs');
+    return result(inversion ? 'Ci' : 'C1');
+  }
+
+  // Axial groups: a principal axis, perhaps with half turns perpendicular to it
+  const principal = axes[0];
+  const n = principal.order;
+  const horizontal = planes.some(p => parallel(p, principal.axis));
+  if (axes.some(a => a !== principal && a.order === 2 && perpendicular(a.axis, principal.axis))) {
+    return result(horizontal ? `D${n}h` : planes.length ? `D${n}d` : `D${n}`);
+  }
+  if (horizontal) return result(`C${n}h`);
+  if (planes.length) return result(`C${n}v`);
+  return result(improper ? `S${2 * n}` : `C${n}`);
+}
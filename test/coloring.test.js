@@ -0,0 +1,45 @@
+// Face coloring schemes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData, edgeList, getPolygonColor } from '../polyhedra.js';
+import { faceColoring } from '../coloring.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const colorsOf = (key, scheme, palette) => faceColoring(polyhedra[key].vertices, polyhedra[key].faces, scheme, palette);
+
+test('side count keeps the polygon convention', () => {
+  const { faces } = polyhedra.j37;
+  assert.deepEqual(colorsOf('j37', 'sides').colors, faces.map(face => getPolygonColor(face.length)));
+});
+
+// The pseudo-rhombicuboctahedron's squares are all congruent, but the eight
+// round the gyrated cupola lie differently from the rest
+test('congruence and orbits tell faces apart', () => {
+  assert.equal(colorsOf('j37', 'congruence').legend.length, 2);
+  assert.ok(colorsOf('j37', 'orbit').legend.length > 2);
+  assert.equal(colorsOf('catalan_cuboctahedron', 'congruence').legend.length, 1);
+});
+
+test('the fewest colors leave no neighbours alike', () => {
+  const expected = { tetrahedron: 4, cube: 3, octahedron: 2, dodecahedron: 4, icosahedron: 3 };
+  for (const [key, count] of Object.entries(expected)) {
+    const { faces } = polyhedra[key];
+    const { colors, legend, note } = colorsOf(key, 'graph');
+    assert.equal(legend.length, count, key);
+    assert.match(note, /fewest possible/);
+    for (const [a, b] of edgeList(faces)) {
+      const sides = faces.map((face, f) => face.includes(a) && face.includes(b) ? f : -1).filter(f => f >= 0);
+      assert.notEqual(colors[sides[0]], colors[sides[1]], `${key} edge ${a}-${b}`);
+    }
+  }
+});
+
+test('ramps run over the range of values', () => {
+  const { colors, legend } = colorsOf('j3', 'distance', 'print');
+  assert.ok(legend.length > 1);
+  assert.ok(legend.every(({ count }) => count > 0));
+  assert.equal(new Set(colors).size, legend.length);
+});
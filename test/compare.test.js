@@ -0,0 +1,30 @@
+// Side-by-side counts for the comparison view
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData, computeDual } from '../polyhedra.js';
+import { compareCounts } from '../compare.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const byType = (rows) => Object.fromEntries(rows.map(row => [row.type === 'face' ? row.label : row.type, row]));
+
+test('near-identical solids have the same counts', () => {
+  for (const [a, b] of [['j34', 'icosidodecahedron'], ['j37', 'rhombicuboctahedron']]) {
+    assert.ok(compareCounts(polyhedra[a], polyhedra[b]).every(({ difference }) => difference === 0), `${a} and ${b}`);
+  }
+});
+
+test('a shape and its dual swap vertices and faces', () => {
+  const { vertices, faces } = polyhedra.cube;
+  const rows = byType(compareCounts(polyhedra.cube, computeDual(vertices, faces)));
+  assert.deepEqual([rows.vertices.a, rows.vertices.b, rows.vertices.difference], [8, 6, -2]);
+  assert.equal(rows.edges.difference, 0);
+  assert.deepEqual([rows.faces.a, rows.faces.b], [6, 8]);
+});
+
+test('face types found in either shape are listed in order', () => {
+  const rows = compareCounts(polyhedra.truncatedTetrahedron, polyhedra.cube).filter(row => row.type === 'face');
+  assert.deepEqual(rows.map(({ label, a, b }) => [label, a, b]), [['3', 4, 0], ['4', 0, 6], ['6', 4, 0]]);
+});
@@ -0,0 +1,68 @@
+// Imported polyhedra
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { importPolyhedron, removeCustomShape, loadCustomPolyhedra } from '../custom.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const tetrahedron = (name) => JSON.stringify({
+  name,
+  vertices: [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]],
+  faces: [[0, 1, 2], [0, 3, 1], [0, 2, 3], [1, 3, 2]]
+});
+
+test('an imported shape is registered under its own name', () => {
+  const { key } = importPolyhedron('my-shape.json', tetrahedron('Little tetrahedron'));
+  assert.equal(polyhedra[key].name, 'Little tetrahedron');
+  assert.equal(polyhedra[key].category, 'custom');
+  removeCustomShape(key);
+  assert.equal(polyhedra[key], undefined);
+});
+
+test('names from files are kept to plain text', () => {
+  const { key } = importPolyhedron('bad.json', tetrahedron('<img src=x onerror="alert(1)">\nTetra'));
+  assert.doesNotMatch(polyhedra[key].name, /[<>"\n]/);
+  removeCustomShape(key);
+
+  const long = importPolyhedron('long.json', tetrahedron('x'.repeat(500)));
+  assert.equal(polyhedra[long.key].name.length, 80);
+  removeCustomShape(long.key);
+
+  const unnamed = importPolyhedron('odd.json', tetrahedron({ toString: 'no' }));
+  assert.equal(polyhedra[unnamed.key].name, 'Imported shape');
+  removeCustomShape(unnamed.key);
+});
+
+test('OFF faces must list the vertices they declare', () => {
+  const off = (lastFace) => `OFF\n4 4 6\n1 1 1\n1 -1 -1\n-1 1 -1\n-1 -1 1\n3 0 1 2\n3 0 3 1\n3 0 2 3\n${lastFace}\n`;
+  assert.throws(() => importPolyhedron('short.off', off('4 1 3 2')), /Face 3 declares 4 vertices but lists 3/);
+  const { key } = importPolyhedron('fine.off', off('3 1 3 2'));
+  assert.equal(polyhedra[key].faces.length, 4);
+  removeCustomShape(key);
+});
+
+test('stored shapes are only loaded under free custom_ keys', () => {
+  const stored = new Map();
+  globalThis.localStorage = { getItem: (key) => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) };
+  const shape = JSON.parse(tetrahedron('Stored'));
+  try {
+    stored.set('polyhedra-viewer.custom', JSON.stringify({ key: 'custom_object', ...shape }));
+    assert.equal(loadCustomPolyhedra(), 0);
+
+    stored.set('polyhedra-viewer.custom', JSON.stringify([
+      { key: 'cube', ...shape },
+      { key: 'custom_broken', name: 'Broken', vertices: [[0, 0, 0]], faces: [] },
+      { key: 'custom_stored', ...shape }
+    ]));
+    assert.equal(loadCustomPolyhedra(), 1);
+    assert.equal(polyhedra.cube.name, 'Cube');
+    assert.equal(polyhedra.custom_broken, undefined);
+    assert.equal(polyhedra.custom_stored.name, 'Stored');
+    removeCustomShape('custom_stored');
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
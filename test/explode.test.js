@@ -0,0 +1,48 @@
+// Exploded views and face-by-face assembly
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData, faceNormal } from '../polyhedra.js';
+import { explodeOffsets, assemblyOrder, assemblyOffsets, assemblyLength, explodedSolid } from '../explode.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const sharesEdge = (a, b) => a.some((v, i) => {
+  const w = a[(i + 1) % a.length];
+  return b.some((x, j) => x === w && b[(j + 1) % b.length] === v);
+});
+
+test('assembly adds every face once, each next to one already there', () => {
+  for (const key of ['cube', 'catalan_truncatedIcosidodecahedron', 'j84', 'greatDodecahedron']) {
+    const { faces } = polyhedra[key];
+    const order = assemblyOrder(faces, 3);
+    assert.equal(order[0], 3);
+    assert.deepEqual([...order].sort((a, b) => a - b), faces.map((_, f) => f), key);
+    order.forEach((f, i) => {
+      if (i > 0) assert.ok(order.slice(0, i).some(g => sharesEdge(faces[f], faces[g])), `${key} face ${f}`);
+    });
+  }
+});
+
+test('faces are hidden until added, then fly in and settle', () => {
+  const timing = { interval: 2, fly: 8, distance: 1 };
+  const order = [2, 0, 1];
+  assert.deepEqual(assemblyOffsets(order, 0, timing), [null, null, 1]);
+  assert.deepEqual(assemblyOffsets(order, 2, timing).map(x => x === null ? null : x > 0), [true, null, true]);
+  assert.deepEqual(assemblyOffsets(order, assemblyLength(3, timing), timing), [0, 0, 0]);
+});
+
+test('only faces of the chosen type move out, along their normals', () => {
+  const { vertices, faces } = polyhedra.cuboctahedron;
+  const offsets = explodeOffsets(vertices, faces, 0.5, 4);
+  faces.forEach((face, f) => assert.equal(offsets[f] > 0, face.length === 4));
+
+  const apart = explodedSolid(vertices, faces, offsets);
+  assert.equal(apart.vertices.length, faces.reduce((sum, face) => sum + face.length, 0));
+  faces.forEach((face, f) => {
+    const normal = faceNormal(vertices, face);
+    const moved = apart.vertices[apart.faces[f][0]].map((x, k) => x - vertices[face[0]][k]);
+    assert.ok(Math.abs(moved.reduce((sum, x, k) => sum + x * normal[k], 0) - offsets[f]) < 1e-12);
+  });
+});
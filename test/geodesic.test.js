@@ -0,0 +1,71 @@
+// Geodesic polyhedra and their Goldberg duals
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData, edgeList } from '../polyhedra.js';
+import { createGeodesicShape, chordClasses, faceBreakdown, geodesicClass, triangulationNumber } from '../geodesic.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+// Base, its number of faces, and the polygon left at each base vertex in the Goldberg dual
+const bases = [['icosahedron', 20, 5], ['octahedron', 8, 4], ['tetrahedron', 4, 3]];
+const frequencies = [[1, 0], [3, 0], [1, 1], [2, 2], [2, 1], [1, 3], [3, 2]];
+
+test('frequencies fall into the three classes', () => {
+  assert.equal(geodesicClass(4, 0), 'I');
+  assert.equal(geodesicClass(0, 4), 'I');
+  assert.equal(geodesicClass(3, 3), 'II');
+  assert.equal(geodesicClass(2, 1), 'III');
+  assert.equal(triangulationNumber(2, 1), 7);
+});
+
+test('geodesic polyhedra have T times the base triangles, closed up, on a sphere', () => {
+  for (const [base, count] of bases) {
+    for (const [m, n] of frequencies) {
+      const { vertices, faces } = polyhedra[createGeodesicShape(base, m, n)];
+      const T = triangulationNumber(m, n);
+      const label = `${base} (${m},${n})`;
+      assert.equal(faces.length, count * T, label);
+      assert.equal(vertices.length - edgeList(faces).length + faces.length, 2, label);
+      assert.ok(faces.every(face => face.length === 3), label);
+      const radii = vertices.map(v => Math.hypot(...v));
+      assert.ok(Math.max(...radii) - Math.min(...radii) < 1e-9, label);
+    }
+  }
+});
+
+test('Goldberg polyhedra have a base polygon at each base vertex, and hexagons', () => {
+  for (const [base, count, sides] of bases) {
+    for (const [m, n] of frequencies) {
+      const { faces } = polyhedra[createGeodesicShape(base, m, n, true)];
+      const hexagons = count * (triangulationNumber(m, n) - 1) / 2;
+      const expected = [{ sides, count: polyhedra[base].vertices.length }];
+      if (hexagons) expected.push({ sides: 6, count: hexagons });
+      assert.deepEqual(faceBreakdown(faces), expected, `${base} (${m},${n})`);
+    }
+  }
+  assert.deepEqual(faceBreakdown(polyhedra[createGeodesicShape('icosahedron', 2, 1, true)].faces), [{ sides: 5, count: 12 }, { sides: 6, count: 60 }]);
+});
+
+test('chord classes of the frequency 2 icosahedral dome', () => {
+  const { vertices, faces } = polyhedra[createGeodesicShape('icosahedron', 2, 0)];
+  const classes = chordClasses(vertices, faces);
+  assert.deepEqual(classes.map(c => c.count), [60, 60]);
+  assert.deepEqual(classes.map(c => c.length.toFixed(5)), ['0.54653', '0.61803']);
+});
+
+test('class III frequencies are mirror images, with the same chords', () => {
+  const chords = (m, n) => {
+    const { vertices, faces } = polyhedra[createGeodesicShape('icosahedron', m, n)];
+    return chordClasses(vertices, faces).map(({ length, count }) => `${length.toFixed(6)}×${count}`);
+  };
+  assert.deepEqual(chords(2, 1), chords(1, 2));
+  assert.equal(chords(2, 1).length, 4);
+});
+
+test('out of range frequencies and unknown bases are refused', () => {
+  assert.throws(() => createGeodesicShape('icosahedron', 0, 0));
+  assert.throws(() => createGeodesicShape('icosahedron', 9, 0));
+  assert.throws(() => createGeodesicShape('cube', 2, 0));
+});
@@ -0,0 +1,34 @@
+// Deep links built from viewports, with stubs for the three.js camera and controls
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { viewLinkHash, compareParam } from '../link.js';
+
+const vector = (...xs) => ({ toArray: () => xs });
+const stubView = (state) => ({
+  shape: 'cube', dual: false, display: 'edges',
+  camera: { position: vector(0, 2.5, 7.6004) },
+  controls: { target: vector(0, 0, 0) },
+  ...state
+});
+
+test('a plain view gives its shape and camera', () => {
+  assert.equal(viewLinkHash(stubView()), '#shape=cube&cam=0,2.5,7.6,0,0,0');
+});
+
+test('dual and wireframe come before the modes, the camera last', () => {
+  const hash = viewLinkHash(stubView({ shape: 'j37', dual: true, display: 'wireframe' }), [['symmetry', '1'], ['theme', 'light']]);
+  assert.equal(hash, '#shape=j37&dual=1&view=wireframe&symmetry=1&theme=light&cam=0,2.5,7.6,0,0,0');
+});
+
+test('the link reads back as the same parameters', () => {
+  const params = new URLSearchParams(viewLinkHash(stubView({ shape: 'conway_tk_cube', dual: true })).slice(1));
+  assert.equal(params.get('shape'), 'conway_tk_cube');
+  assert.equal(params.get('dual'), '1');
+  assert.deepEqual(params.get('cam').split(',').map(Number), [0, 2.5, 7.6, 0, 0, 0]);
+});
+
+test('the compare parameter gives the second shape and its flags', () => {
+  assert.equal(compareParam(stubView()), 'cube');
+  assert.equal(compareParam(stubView({ shape: 'j37', dual: true, display: 'wireframe' })), 'j37,dual,wireframe');
+});
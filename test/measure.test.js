@@ -0,0 +1,35 @@
+// Geometry inspector measurements
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { measurePolyhedron } from '../measure.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const measure = (key) => measurePolyhedron(polyhedra[key].vertices, polyhedra[key].faces);
+const angles = (m) => m.dihedralAngles.map(({ degrees, count }) => [Number(degrees.toFixed(1)), count]);
+
+test('the cube has unit volume and one dihedral angle', () => {
+  const m = measure('cube');
+  assert.ok(Math.abs(m.volume - 1) < 1e-6);
+  assert.ok(Math.abs(m.sphericity - Math.cbrt(Math.PI / 6)) < 1e-6);
+  assert.deepEqual(angles(m), [[90, 12]]);
+});
+
+test('dihedral angles of the rounded Johnson data are listed once per kind', () => {
+  assert.deepEqual(angles(measure('j84')), [[96.2, 6], [121.7, 8], [166.4, 4]]);
+  // Distinct angles 0.09° apart stay apart
+  assert.equal(measure('j24').dihedralAngles.filter(({ degrees }) => Math.abs(degrees - 159.1) < 0.2).length, 2);
+});
+
+test('self-intersecting shapes have no volume', () => {
+  for (const key of ['ditrigonalDodecadodecahedron', 'greatDodecahedron', 'greatIcosahedron', 'greatStellatedDodecahedron']) {
+    const m = measure(key);
+    assert.equal(m.volume, null, key);
+    assert.equal(m.sphericity, null, key);
+    assert.ok(m.area > 0, key);
+  }
+  assert.ok(measure('j84').volume > 0);
+});
@@ -0,0 +1,28 @@
+// Conway operators
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { createConwayShape } from '../operators.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const name = (notation) => polyhedra[createConwayShape(notation)].name;
+
+test('results with the proportions of a known solid are named after it', () => {
+  assert.equal(name('tI'), 'Truncated Icosahedron (tI)');
+  assert.equal(name('eC'), 'Rhombicuboctahedron (eC)');
+  assert.equal(name('jC'), 'Rhombic Dodecahedron (jC)');
+});
+
+test('results with only the topology of a known solid keep their notation', () => {
+  assert.equal(name('aaC'), 'aaC');
+  assert.equal(name('tP5'), 'tP5');
+});
+
+test('notation over the limits is refused before it is built', () => {
+  assert.throws(() => createConwayShape('ttttttttt', 'cube'), /more than 8 operators/);
+  assert.throws(() => createConwayShape('ttttttttC'), /would give 52488 vertices/);
+  assert.equal(name('dddddddC'), 'Octahedron (dddddddC)');
+});
@@ -0,0 +1,158 @@
+// Regression tests over every shape in the polyhedra map, run headless with
+// `node --test` from the repository root
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData, computeDual, faceNormal, edgeList } from '../polyhedra.js';
+import { families, createFamilyShape, MIN_SIDES, MAX_SIDES } from '../families.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+// The parametric families join the map on demand, so generate them all
+for (const family of Object.keys(families)) {
+  for (let n = MIN_SIDES; n <= MAX_SIDES; n++) createFamilyShape(family, n);
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (v) => Math.sqrt(dot(v, v));
+const centroid = (points) => [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+
+const edgeLengths = ({ vertices, faces }) => edgeList(faces).map(([a, b]) => length(sub(vertices[a], vertices[b])));
+const mean = (values) => values.reduce((sum, x) => sum + x, 0) / values.length;
+
+// The vendored data has seven significant digits, and a few Johnson solids
+// (the snub disphenoid, the sphenomegacorona) are less exact still
+const PLANARITY_TOLERANCE = 1e-5;
+const EDGE_TOLERANCE = 1e-3;
+const DUAL_TOLERANCE = 1e-5;
+
+// Euler characteristics of the star polyhedra that aren't topological spheres
+const starCharacteristics = {
+  smallStellatedDodecahedron: -6,
+  greatDodecahedron: -6,
+  dodecadodecahedron: -6,
+  smallDitrigonalIcosidodecahedron: -8,
+  ditrigonalDodecadodecahedron: -16,
+  greatDitrigonalIcosidodecahedron: -8
+};
+
+// Every face of these is a regular polygon, so every edge has the same length
+const uniform = (data) => ['platonic', 'archimedean', 'johnson', 'star'].includes(data.category) ||
+  ['prism', 'antiprism'].includes(data.family);
+
+test('the data maps load every solid', () => {
+  const count = (category) => Object.values(polyhedra).filter(p => p.category === category).length;
+  assert.equal(count('platonic'), 5);
+  assert.equal(count('archimedean'), 13);
+  assert.equal(count('catalan'), 13);
+  assert.equal(count('johnson'), 92);
+  assert.equal(count('star'), 9);
+});
+
+// A key mapped to the wrong solid, or misspelt so that it no longer matches
+// its name, shows up here: "truncatedCuboctahedron" for "Truncated Cuboctahedron"
+test('Platonic and Archimedean keys match their names', () => {
+  const renamed = { snubCube: 'snubCuboctahedron', snubDodecahedron: 'snubIcosidodecahedron' };
+  for (const [key, data] of Object.entries(polyhedra)) {
+    if (!['platonic', 'archimedean'].includes(data.category)) continue;
+    const expected = (renamed[key] || key).replace(/^./, c => c.toUpperCase()).replace(/([A-Z])/g, ' $1').trim();
+    assert.equal(data.name, expected, key);
+  }
+});
+
+test('Johnson solids are numbered by key', () => {
+  for (let i = 1; i <= 92; i++) {
+    assert.match(polyhedra[`j${i}`].name, new RegExp(`\\(J${i}\\)$`));
+  }
+});
+
+for (const [key, data] of Object.entries(polyhedra)) {
+  test(key, async (t) => {
+    const { vertices, faces } = data;
+
+    await t.test('V - E + F', () => {
+      const chi = vertices.length - edgeList(faces).length + faces.length;
+      assert.equal(chi, starCharacteristics[key] ?? 2);
+    });
+
+    // Consistent winding: each directed edge once, the face across it the
+    // other way round
+    await t.test('each edge has two faces', () => {
+      const directed = new Map();
+      for (const face of faces) {
+        face.forEach((a, i) => {
+          const edge = `${a}>${face[(i + 1) % face.length]}`;
+          assert.ok(!directed.has(edge), `edge ${edge} appears twice`);
+          directed.set(edge, true);
+        });
+      }
+      for (const edge of directed.keys()) {
+        const [a, b] = edge.split('>');
+        assert.ok(directed.has(`${b}>${a}`), `edge ${edge} has one face`);
+      }
+    });
+
+    // Counter-clockwise from outside, so the signed volume is positive. Star
+    // polyhedra wind round their centre more than once, so are left out.
+    if (data.category !== 'star') {
+      await t.test('faces wind outward', () => {
+        let volume = 0;
+        for (const face of faces) {
+          for (let i = 1; i < face.length - 1; i++) {
+            const [a, b, c] = [vertices[face[0]], vertices[face[i]], vertices[face[i + 1]]];
+            volume += dot(a, [b[1] * c[2] - b[2] * c[1], b[2] * c[0] - b[0] * c[2], b[0] * c[1] - b[1] * c[0]]);
+          }
+        }
+        assert.ok(volume > 0);
+      });
+    }
+
+    await t.test('faces are planar', () => {
+      const scale = mean(edgeLengths(data));
+      for (const face of faces) {
+        const normal = faceNormal(vertices, face);
+        const center = centroid(face.map(i => vertices[i]));
+        for (const i of face) {
+          assert.ok(Math.abs(dot(sub(vertices[i], center), normal)) < PLANARITY_TOLERANCE * scale, `face ${face} bends`);
+        }
+      }
+    });
+
+    if (uniform(data)) {
+      await t.test('edges are equal', () => {
+        const lengths = edgeLengths(data);
+        const spread = (Math.max(...lengths) - Math.min(...lengths)) / mean(lengths);
+        assert.ok(spread < EDGE_TOLERANCE, `edge lengths differ by ${spread}`);
+      });
+    }
+
+    // Reciprocating twice about one centre gives the shape back, scaled about
+    // that centre when the two midspheres differ
+    await t.test('the dual of the dual is the original', () => {
+      const center = centroid(vertices);
+      const dual = computeDual(vertices, faces, center);
+      const again = computeDual(dual.vertices, dual.faces, center);
+
+      const before = vertices.map(v => sub(v, center));
+      const after = again.vertices.map(v => sub(v, center));
+      assert.equal(after.length, before.length);
+      const scale = before.reduce((sum, v, i) => sum + dot(v, after[i]), 0) / before.reduce((sum, v) => sum + dot(v, v), 0);
+      const radius = Math.max(...before.map(length));
+      before.forEach((v, i) => {
+        assert.ok(length(sub(after[i], v.map(x => x * scale))) < DUAL_TOLERANCE * radius * scale, `vertex ${i} moved`);
+      });
+
+      // The same faces, each possibly starting at another vertex and, as the
+      // dual winds a star polyhedron's faces by its own rule, either way round
+      const cycle = (face) => {
+        const start = face.indexOf(Math.min(...face));
+        const forward = [...face.slice(start), ...face.slice(0, start)];
+        const backward = [forward[0], ...forward.slice(1).reverse()];
+        return (forward[1] < backward[1] ? forward : backward).join(',');
+      };
+      assert.deepEqual(again.faces.map(cycle), faces.map(cycle));
+    });
+  });
+}
@@ -0,0 +1,58 @@
+// Schlegel, spherical and stereographic projections
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { projectionMesh, projectionPositions, largestFace } from '../projection.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const convex = ['tetrahedron', 'cube', 'dodecahedron', 'truncatedIcosahedron', 'j37'];
+
+function projected(key, kind) {
+  const { vertices, faces } = polyhedra[key];
+  const mesh = projectionMesh(vertices, faces, kind, largestFace(vertices, faces));
+  return { mesh, positions: projectionPositions(mesh, 1, [0, 0, 1]) };
+}
+
+// Signs of the triangles' areas seen down the z axis
+function orientations(mesh, positions) {
+  return new Set(mesh.triangles.map(({ points }) => {
+    const [a, b, c] = points.map(i => positions[i]);
+    return Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+  }));
+}
+
+test('the largest face is the one to project through', () => {
+  const { vertices, faces } = polyhedra.j3;
+  assert.equal(faces[largestFace(vertices, faces)].length, 6);
+});
+
+test('the spherical tiling lies on the circumsphere', () => {
+  for (const key of convex) {
+    const { mesh, positions } = projected(key, 'spherical');
+    const radius = Math.max(...polyhedra[key].vertices.map(v => Math.hypot(...v.map((x, k) => x - mesh.center[k]))));
+    for (const p of positions) assert.ok(Math.abs(Math.hypot(...p.map((x, k) => x - mesh.center[k])) - radius) < 1e-9, key);
+  }
+});
+
+test('the flat views of a convex solid lie flat without folding', () => {
+  for (const kind of ['schlegel', 'stereographic']) {
+    for (const key of convex) {
+      const { mesh, positions } = projected(key, kind);
+      const depths = positions.map(p => p[2]);
+      assert.ok(Math.max(...depths) - Math.min(...depths) < 1e-9, `${key} ${kind} is flat`);
+      assert.equal(orientations(mesh, positions).size, 1, `${key} ${kind} folds`);
+    }
+  }
+});
+
+test('the projection starts from the solid and leaves out the face projected through', () => {
+  const { vertices, faces } = polyhedra.cube;
+  const mesh = projectionMesh(vertices, faces, 'schlegel', 2);
+  assert.deepEqual(projectionPositions(mesh, 0, [0, 0, 1]), mesh.stages[0]);
+  assert.ok(mesh.triangles.every(({ face }) => face !== 2));
+  assert.equal(new Set(mesh.triangles.map(({ face }) => face)).size, 5);
+  assert.equal(mesh.edges.length, 12);
+});
@@ -0,0 +1,45 @@
+// Cross-sections
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { sliceSolid, sectionRange, sectionDirections } from '../section.js';
+import { symmetryGroup } from '../symmetry.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+// The section halfway along an axis of the given order
+function midSection(key, order) {
+  const { vertices, faces } = polyhedra[key];
+  const { normal } = sectionDirections(symmetryGroup(vertices, faces)).find(d => d.order === order);
+  const { min, max } = sectionRange(vertices, normal);
+  return sliceSolid(vertices, faces, normal, (min + max) / 2);
+}
+
+test('the cube cut square to a 3-fold axis gives a regular hexagon', () => {
+  const { section } = midSection('cube', 3);
+  assert.equal(section.length, 1);
+  assert.equal(section[0].sides, 6);
+  assert.ok(section[0].regular);
+});
+
+test('the tetrahedron cut square to a 2-fold axis gives a square', () => {
+  const { section } = midSection('tetrahedron', 2);
+  assert.equal(section[0].sides, 4);
+  assert.ok(section[0].regular);
+});
+
+test('the cut solid is closed and the cap comes last', () => {
+  for (const key of ['cube', 'icosahedron', 'j37', 'truncatedIcosidodecahedron']) {
+    const { faces, sourceFaces } = midSection(key, 2);
+    const directed = new Set();
+    for (const face of faces) face.forEach((a, i) => directed.add(`${a}>${face[(i + 1) % face.length]}`));
+    for (const edge of directed) {
+      const [a, b] = edge.split('>');
+      assert.ok(directed.has(`${b}>${a}`), `${key}: edge ${edge} has one face`);
+    }
+    assert.equal(sourceFaces[sourceFaces.length - 1], -1);
+    assert.ok(sourceFaces.slice(0, -1).every(f => f >= 0));
+  }
+});
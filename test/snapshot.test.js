@@ -0,0 +1,44 @@
+// Vector snapshots, drawn headless as a script would
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { snapshotDrawing } from '../snapshot.js';
+import { drawingToSVG, drawingToPDF } from '../drawing.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+// Looking at a cube from above a corner's side: three faces, nine edges in
+// sight and three behind
+const camera = { position: [3, 4, 8], target: [0, 0, 0], fov: 35 };
+const count = (drawing, type, dashed) => drawing.items.filter(item => item.type === type && !!item.dash === dashed).length;
+
+test('solid mode draws the front faces and visible edges', () => {
+  const drawing = snapshotDrawing([polyhedra.cube], camera);
+  assert.equal(count(drawing, 'polygon', false), 3);
+  assert.equal(count(drawing, 'line', false), 9);
+  assert.equal(count(drawing, 'line', true), 0);
+});
+
+test('hidden edges are dashed on request', () => {
+  const solid = snapshotDrawing([polyhedra.cube], camera, { hiddenEdges: true });
+  assert.equal(count(solid, 'line', true), 3);
+  const wireframe = snapshotDrawing([polyhedra.cube], camera, { mode: 'wireframe', hiddenEdges: true });
+  assert.equal(count(wireframe, 'polygon', false), 0);
+  assert.equal(count(wireframe, 'line', false), 9);
+  assert.equal(count(wireframe, 'line', true), 3);
+});
+
+test('the drawing is cropped to the shape with the background behind it', () => {
+  const drawing = snapshotDrawing([polyhedra.cube], camera, { background: 0x1a1a2e, size: 100, margin: 5 });
+  assert.equal(Math.max(drawing.width, drawing.height), 110);
+  assert.deepEqual(drawing.items[0].points, [[0, 0], [drawing.width, 0], [drawing.width, drawing.height], [0, drawing.height]]);
+  for (const item of drawing.items.slice(1)) {
+    for (const [x, y] of item.points) {
+      assert.ok(x > 5 - 1e-9 && x < drawing.width - 5 + 1e-9 && y > 5 - 1e-9 && y < drawing.height - 5 + 1e-9);
+    }
+  }
+  assert.match(drawingToSVG(drawing), /fill="#1a1a2e"/);
+  assert.ok(drawingToPDF(drawing).length > 0);
+});
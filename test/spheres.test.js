@@ -0,0 +1,75 @@
+// Circumscribed, edge-tangent and inscribed spheres, and vertex figures
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData, computeDual } from '../polyhedra.js';
+import { solidSpheres } from '../spheres.js';
+import { vertexFigure, vertexFigures } from '../figures.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+const has = (key) => {
+  const { vertices, faces } = polyhedra[key];
+  const spheres = solidSpheres(vertices, faces);
+  return Object.keys(spheres).filter(kind => spheres[kind].exists);
+};
+
+test('the Platonic solids have all three spheres, about the same centre', () => {
+  for (const key of ['tetrahedron', 'cube', 'octahedron', 'dodecahedron', 'icosahedron']) {
+    const { vertices, faces } = polyhedra[key];
+    const spheres = solidSpheres(vertices, faces);
+    assert.deepEqual(has(key), ['circumsphere', 'midsphere', 'insphere'], key);
+    for (const { center } of Object.values(spheres)) {
+      assert.ok(Math.hypot(...center.map((x, k) => x - spheres.midsphere.center[k])) < 1e-6, key);
+    }
+    assert.ok(spheres.insphere.radius < spheres.midsphere.radius && spheres.midsphere.radius < spheres.circumsphere.radius, key);
+  }
+});
+
+test('Archimedean solids have no insphere and Catalan solids no circumsphere', () => {
+  assert.deepEqual(has('cuboctahedron'), ['circumsphere', 'midsphere']);
+  assert.deepEqual(has('truncatedIcosahedron'), ['circumsphere', 'midsphere']);
+  assert.deepEqual(has('catalan_cuboctahedron'), ['midsphere', 'insphere']);
+});
+
+test('the midsphere radius is the dual reciprocation radius', () => {
+  const { vertices, faces } = polyhedra.icosidodecahedron;
+  const { midsphere } = solidSpheres(vertices, faces);
+  assert.ok(Math.abs(midsphere.radius - computeDual(vertices, faces, midsphere.center).radius) < 1e-12);
+  assert.ok(Math.abs(midsphere.radius - 1) < 1e-6);
+});
+
+test('a sphere the solid lacks still reports the spread of distances', () => {
+  const { vertices, faces } = polyhedra.cuboctahedron;
+  const { insphere } = solidSpheres(vertices, faces);
+  assert.equal(insphere.exists, false);
+  assert.ok(insphere.min < insphere.radius && insphere.radius < insphere.max);
+});
+
+test('vertex figures are named by their shape', () => {
+  const name = (key, v = 0) => vertexFigure(polyhedra[key].vertices, polyhedra[key].faces, v).name;
+  assert.equal(name('octahedron'), 'square');
+  assert.equal(name('cube'), 'equilateral triangle');
+  assert.equal(name('icosahedron'), 'regular pentagon');
+  assert.equal(name('cuboctahedron'), 'rectangle');
+  assert.equal(name('greatDodecahedron'), 'pentagram');
+});
+
+test('the figure runs through the midpoints of the edges at the vertex, in order round it', () => {
+  const { vertices, faces } = polyhedra.cube;
+  const figure = vertexFigure(vertices, faces, 0);
+  assert.equal(figure.points.length, 3);
+  for (const [i, w] of figure.neighbours.entries()) {
+    const next = figure.neighbours[(i + 1) % 3];
+    assert.ok(faces.some(face => face.includes(0) && face.includes(w) && face.includes(next)));
+    assert.deepEqual(figure.points[i], vertices[0].map((x, k) => (x + vertices[w][k]) / 2));
+  }
+});
+
+test('a solid with several kinds of vertex has a figure per orbit', () => {
+  const { vertices, faces } = polyhedra.j1;
+  const figures = vertexFigures(vertices, faces);
+  assert.deepEqual(figures.map(({ name, orbit }) => [name, orbit.length]).sort(), [['isosceles triangle', 4], ['square', 1]]);
+  assert.equal(vertexFigures(polyhedra.cube.vertices, polyhedra.cube.faces).length, 1);
+});
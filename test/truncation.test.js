@@ -0,0 +1,28 @@
+// Truncation and cantellation of the Platonic solids
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { polyhedra, initPolyhedraData } from '../polyhedra.js';
+import { truncationSeries, truncationStops, truncationStop, truncationShape } from '../truncation.js';
+
+await initPolyhedraData(async (url) => JSON.parse(await readFile(url, 'utf8')));
+
+test('every stop gives the uniform solid it is named after', () => {
+  for (const key of Object.keys(truncationSeries)) {
+    for (const stop of truncationStops(key)) {
+      const { vertices, faces } = truncationShape(key, stop.truncation, stop.cantellation);
+      assert.equal(vertices.length, polyhedra[stop.key].vertices.length, `${key} -> ${stop.key}`);
+      assert.equal(faces.length, polyhedra[stop.key].faces.length, `${key} -> ${stop.key}`);
+    }
+  }
+});
+
+test('the stop at the sliders is found within the tolerance, and only there', () => {
+  assert.equal(truncationStop('cube', 0, 0).key, 'cube');
+  assert.equal(truncationStop('cube', 0.5, 0).key, 'cuboctahedron');
+  assert.equal(truncationStop('cube', 0.51, 0), null);
+  assert.equal(truncationStop('cube', 0.51, 0, 0.015).key, 'cuboctahedron');
+  assert.equal(truncationStop('cube', 0.2, 1).key, 'rhombicuboctahedron');
+  assert.equal(truncationStop('dodecahedron', 1, 0).key, 'icosahedron');
+});
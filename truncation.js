@@ -0,0 +1,175 @@
+import { polyhedra, faceNormal } from './polyhedra.js';
+import { findSymmetries } from './symmetry.js';
+
+// Truncation and cantellation of the Platonic solids by Wythoff's construction.
+// Take the triangle on one face joining a vertex V, the midpoint E of an edge
+// at V and the face centre F; its sides lie in three mirror planes of the
+// solid. The images of a point of the triangle under every symmetry are the
+// vertices of a new solid, whose faces lie square to the original's vertex,
+// edge and face directions.
+//
+// The truncation parameter walks the point along V -> E -> F, sweeping
+// solid -> truncated -> rectified -> truncated dual -> dual. Cantellation
+// pulls it across the triangle towards the point on V-F giving the
+// cantellated solid (the rhombicuboctahedron for the cube); in between lie the
+// omnitruncations. Each edge is twice as long as the point's distance from a
+// mirror, so the solid is uniform where those distances are equal.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (v, s) => [v[0] * s, v[1] * s, v[2] * s];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const length = (v) => Math.sqrt(dot(v, v));
+const unit = (v) => scale(v, 1 / length(v));
+const centroid = (points) => scale(points.reduce(add, [0, 0, 0]), 1 / points.length);
+
+// Uniform solids along the way for each Platonic solid
+export const truncationSeries = {
+  tetrahedron: {
+    truncated: 'truncatedTetrahedron', rectified: 'octahedron', truncatedDual: 'truncatedTetrahedron',
+    dual: 'tetrahedron', cantellated: 'cuboctahedron', omnitruncated: 'truncatedOctahedron'
+  },
+  cube: {
+    truncated: 'truncatedCube', rectified: 'cuboctahedron', truncatedDual: 'truncatedOctahedron',
+    dual: 'octahedron', cantellated: 'rhombicuboctahedron', omnitruncated: 'truncatedCuboctahedron'
+  },
+  octahedron: {
+    truncated: 'truncatedOctahedron', rectified: 'cuboctahedron', truncatedDual: 'truncatedCube',
+    dual: 'cube', cantellated: 'rhombicuboctahedron', omnitruncated: 'truncatedCuboctahedron'
+  },
+  dodecahedron: {
+    truncated: 'truncatedDodecahedron', rectified: 'icosidodecahedron', truncatedDual: 'truncatedIcosahedron',
+    dual: 'icosahedron', cantellated: 'rhombicosidodecahedron', omnitruncated: 'truncatedIcosidodecahedron'
+  },
+  icosahedron: {
+    truncated: 'truncatedIcosahedron', rectified: 'icosidodecahedron', truncatedDual: 'truncatedDodecahedron',
+    dual: 'dodecahedron', cantellated: 'rhombicosidodecahedron', omnitruncated: 'truncatedIcosidodecahedron'
+  }
+};
+
+// Triangle, symmetries and face directions of each solid, found once
+const setups = new Map();
+
+function wythoffSetup(key) {
+  if (!setups.has(key)) {
+    const { vertices, faces } = polyhedra[key];
+    const center = centroid(vertices);
+    const points = vertices.map(v => sub(v, center));
+    const [v0, v1] = faces[0];
+    const V = points[v0];
+    const E = scale(add(points[v0], points[v1]), 0.5);
+    const F = centroid(faces[0].map(i => points[i]));
+
+    const edgeDirections = [];
+    for (const face of faces) {
+      face.forEach((a, i) => {
+        const b = face[(i + 1) % face.length];
+        if (a < b) edgeDirections.push(unit(add(points[a], points[b])));
+      });
+    }
+    const directions = [];
+    for (const n of [...faces.map(face => faceNormal(points, face)), ...points.map(unit), ...edgeDirections]) {
+      if (!directions.some(d => dot(d, n) > 1 - 1e-9)) directions.push(n);
+    }
+
+    // Distance of each corner from the mirror through the other two
+    const mirrorDistance = (p, q, r) => Math.abs(dot(p, unit(cross(q, r))));
+    setups.set(key, {
+      V, E, F, directions,
+      matrices: findSymmetries(vertices, faces).map(s => s.matrix),
+      radius: length(V),
+      dV: mirrorDistance(V, E, F),
+      dE: mirrorDistance(E, V, F),
+      dF: mirrorDistance(F, V, E)
+    });
+  }
+  return setups.get(key);
+}
+
+// Weights of V, E and F for the point at the given parameters
+function weights({ dV, dF }, truncation, cantellation) {
+  const path = truncation <= 0.5
+    ? [1 - 2 * truncation, 2 * truncation, 0]
+    : [0, 2 - 2 * truncation, 2 * truncation - 1];
+  const s = dV / (dV + dF);
+  const cantellated = [1 - s, 0, s];
+  return path.map((w, i) => w + (cantellated[i] - w) * cantellation);
+}
+
+// Parameters of the uniform solids: [{ truncation, cantellation, key }]
+export function truncationStops(key) {
+  const series = truncationSeries[key];
+  const { dV, dE, dF } = wythoffSetup(key);
+  const stops = [
+    { truncation: 0, cantellation: 0, key },
+    { truncation: dV / (dV + dE) / 2, cantellation: 0, key: series.truncated },
+    { truncation: 0.5, cantellation: 0, key: series.rectified },
+    { truncation: 0.5 + dE / (dE + dF) / 2, cantellation: 0, key: series.truncatedDual },
+    { truncation: 1, cantellation: 0, key: series.dual },
+    { truncation: 0.5, cantellation: 1, key: series.cantellated }
+  ];
+
+  // The omnitruncation has equal distances from all three mirrors; solve for
+  // the path point and cantellation that reach it
+  const total = 1 / dV + 1 / dE + 1 / dF;
+  const [wV, wE, wF] = [1 / dV / total, 1 / dE / total, 1 / dF / total];
+  const s = dV / (dV + dF);
+  let cantellation = wF / s;
+  let truncation = wE / (1 - cantellation) / 2;
+  if (wV - cantellation * (1 - s) < 0) {
+    cantellation = wV / (1 - s);
+    truncation = 1 - wE / (1 - cantellation) / 2;
+  }
+  stops.push({ truncation, cantellation, key: series.omnitruncated });
+  return stops;
+}
+
+// The stop of truncationStops(key) within tolerance of the parameters, or
+// null. At full cantellation the truncation parameter has no effect, so only
+// the cantellation has to match there.
+export function truncationStop(key, truncation, cantellation, tolerance = 1e-6) {
+  return truncationStops(key).find(stop => Math.abs(stop.cantellation - cantellation) <= tolerance &&
+    (stop.cantellation === 1 || Math.abs(stop.truncation - truncation) <= tolerance)) || null;
+}
+
+// The solid at the given parameters, at the circumradius of the original:
+// { vertices, faces } with faces counter-clockwise from outside
+export function truncationShape(key, truncation, cantellation = 0) {
+  const setup = wythoffSetup(key);
+  const { V, E, F, matrices, directions, radius } = setup;
+  const [wV, wE, wF] = weights(setup, truncation, cantellation);
+  const point = add(add(scale(V, wV), scale(E, wE)), scale(F, wF));
+  const size = radius / length(point);
+  // The symmetries are only as exact as the data's seven digits
+  const tolerance = 1e-5 * radius;
+
+  const vertices = [];
+  for (const m of matrices) {
+    const p = scale([dot(m[0], point), dot(m[1], point), dot(m[2], point)], size);
+    if (!vertices.some(q => length(sub(p, q)) < tolerance)) vertices.push(p);
+  }
+
+  // A face square to each direction, where at least three vertices are
+  // furthest along it
+  const faces = [];
+  for (const n of directions) {
+    const heights = vertices.map(p => dot(p, n));
+    const top = Math.max(...heights);
+    const face = vertices.map((_, i) => i).filter(i => heights[i] > top - tolerance);
+    if (face.length < 3) continue;
+    const center = centroid(face.map(i => vertices[i]));
+    const x = unit(sub(vertices[face[0]], center));
+    const y = cross(n, x);
+    const angle = (i) => {
+      const d = sub(vertices[i], center);
+      return Math.atan2(dot(d, y), dot(d, x));
+    };
+    faces.push(face.sort((i, j) => angle(i) - angle(j)));
+  }
+  return { vertices, faces };
+}